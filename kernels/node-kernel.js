@@ -0,0 +1,117 @@
+// Node.js notebook kernel, started by server.js as one child process per notebook session.
+//
+// Requests arrive on stdin as JSON lines: { id, code }. Replies go out on file
+// descriptor 3, also as JSON lines, so they never mix with what cells print:
+//   { type: 'stream', id, name: 'stdout'|'stderr', text }
+//   { type: 'display', id, data }   a mime bundle from display() (see public/notebook-display.js)
+//   { type: 'result', id, data }    the mime bundle of the cell's last expression
+//   { type: 'error', id, name, message, traceback, line }
+//   { type: 'done', id, status: 'ok'|'error'|'interrupted' }
+// Cells run in this process's global scope (rewritten by public/notebook-transform.js),
+// so what they declare stays available to later cells. SIGINT interrupts the running cell.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const util = require('util');
+const vm = require('vm');
+const { createRequire } = require('module');
+const { prepareCell } = require('../public/notebook-transform');
+const { valueBundle, createDisplay } = require('../public/notebook-display');
+
+const CONTROL_FD = 3;
+const CELL_FILENAME = 'cell.js';
+
+let running = null;
+let lastId = null;
+
+const inspect = value => util.inspect(value, { depth: 4 });
+
+function send(message) {
+  fs.writeSync(CONTROL_FD, JSON.stringify(message) + '\n');
+}
+
+// Route process.stdout/stderr (and so console) into stream messages of the latest cell
+function captureStream(name) {
+  process[name].write = (chunk, encoding, callback) => {
+    send({ type: 'stream', id: lastId, name, text: Buffer.isBuffer(chunk) ? chunk.toString('utf8') : String(chunk) });
+    const done = typeof encoding === 'function' ? encoding : callback;
+    if (done) done();
+    return true;
+  };
+}
+
+// Stack trace without the kernel's own frames: { traceback, line }
+function cellTrace(error) {
+  const lines = String(error.stack || `${error.name}: ${error.message}`).split('\n');
+  const traceback = lines.filter(text => !/^\s+at /.test(text) || text.includes(CELL_FILENAME)).join('\n');
+  const frame = lines.find(text => text.includes(CELL_FILENAME + ':'));
+  const match = frame && frame.match(/:(\d+):\d+\)?$/);
+  return { traceback, line: error.loc ? error.loc.line : (match ? Number(match[1]) : null) };
+}
+
+async function execute({ id, code }) {
+  let interrupt;
+  const interrupted = new Promise((resolve) => {
+    interrupt = resolve;
+  });
+  running = { id, interrupt };
+  lastId = id;
+
+  try {
+    // breakOnSigint stops synchronous code; awaiting cells are stopped by the race below
+    const promise = vm.runInThisContext(prepareCell(code), { filename: CELL_FILENAME, breakOnSigint: true });
+    const outcome = await Promise.race([
+      promise.then(value => ({ value })),
+      interrupted.then(() => ({ interrupted: true }))
+    ]);
+    if (outcome.interrupted) {
+      send({ type: 'done', id, status: 'interrupted' });
+      return;
+    }
+    if (outcome.value !== undefined) {
+      send({ type: 'result', id, data: valueBundle(outcome.value, inspect) });
+    }
+    send({ type: 'done', id, status: 'ok' });
+  } catch (error) {
+    if (error && error.code === 'ERR_SCRIPT_EXECUTION_INTERRUPTED') {
+      send({ type: 'done', id, status: 'interrupted' });
+      return;
+    }
+    const thrown = error instanceof Error ? error : new Error(`Uncaught ${util.inspect(error)}`);
+    send({ type: 'error', id, name: thrown.name, message: thrown.message, ...cellTrace(thrown) });
+    send({ type: 'done', id, status: 'error' });
+  } finally {
+    running = null;
+  }
+}
+
+// Cells get require() relative to the project folder the kernel runs in
+globalThis.require = createRequire(path.join(process.cwd(), 'notebook.js'));
+globalThis.__dirname = process.cwd();
+globalThis.display = createDisplay(bundle => send({ type: 'display', id: lastId, data: bundle }), inspect);
+
+captureStream('stdout');
+captureStream('stderr');
+
+process.on('SIGINT', () => {
+  if (running) {
+    running.interrupt();
+  }
+});
+
+// Errors from timers and promises that outlive their cell are reported, not fatal
+process.on('uncaughtException', (error) => {
+  process.stderr.write(`Uncaught ${error && error.stack ? error.stack : error}\n`);
+});
+
+process.on('unhandledRejection', (reason) => {
+  process.stderr.write(`Unhandled promise rejection: ${reason && reason.stack ? reason.stack : reason}\n`);
+});
+
+// The server sends one request at a time, but keep them in order regardless
+let queue = Promise.resolve();
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  if (!line.trim()) return;
+  const request = JSON.parse(line);
+  queue = queue.then(() => execute(request));
+});
@@ -0,0 +1,246 @@
+"""Python notebook kernel, started by server.js as one child process per notebook session.
+
+Speaks the same protocol as node-kernel.js: requests arrive on stdin as JSON lines
+({ id, code }) and replies go out on file descriptor 3 as JSON lines. Cells share one
+namespace, so what they define stays available to later cells. The value of a cell's
+last expression is its result, top-level `await` works, and SIGINT interrupts the
+running cell.
+
+Results and display() output are mime bundles built from the value's IPython-style
+_repr_*_ methods (pandas, IPython.display and others provide them), lists of dicts become
+tables, and matplotlib figures a cell leaves open are shown as PNG images.
+"""
+import ast
+import asyncio
+import base64
+import inspect
+import io
+import json
+import math
+import os
+import sys
+import traceback
+
+CONTROL_FD = 3
+CELL_FILENAME = '<cell>'
+TABLE_MIME = 'application/vnd.dataresource+json'
+TABLE_MAX_ROWS = 1000
+REPR_METHODS = [
+    ('_repr_html_', 'text/html'),
+    ('_repr_markdown_', 'text/markdown'),
+    ('_repr_svg_', 'image/svg+xml'),
+    ('_repr_png_', 'image/png'),
+    ('_repr_jpeg_', 'image/jpeg'),
+    ('_repr_latex_', 'text/latex'),
+    ('_repr_json_', 'application/json'),
+]
+
+# Figures are rendered to images, never to a window
+os.environ.setdefault('MPLBACKEND', 'Agg')
+
+control = os.fdopen(CONTROL_FD, 'w', encoding='utf-8')
+namespace = {'__name__': '__main__', '__builtins__': __builtins__}
+last_id = None
+
+
+def json_safe(value):
+    """Copy of value with NaN and infinities as None, which JSON has no numbers for"""
+    if isinstance(value, float) and not math.isfinite(value):
+        return None
+    if isinstance(value, dict):
+        return {key: json_safe(item) for key, item in value.items()}
+    if isinstance(value, (list, tuple)):
+        return [json_safe(item) for item in value]
+    return value
+
+
+def send(message):
+    try:
+        line = json.dumps(message, allow_nan=False)
+    except ValueError:
+        line = json.dumps(json_safe(message))
+    control.write(line + '\n')
+    control.flush()
+
+
+class StreamWriter(io.TextIOBase):
+    """sys.stdout / sys.stderr replacement that sends writes as stream messages"""
+
+    def __init__(self, name):
+        self.stream_name = name
+
+    def writable(self):
+        return True
+
+    def write(self, text):
+        if text:
+            send({'type': 'stream', 'id': last_id, 'name': self.stream_name, 'text': text})
+        return len(text)
+
+
+def table_cell(value):
+    if isinstance(value, float) and not math.isfinite(value):
+        # Shown as text, since JSON has no NaN or Infinity
+        return str(value)
+    if value is None or isinstance(value, (bool, int, float, str)):
+        return value
+    try:
+        return json.dumps(value)
+    except (TypeError, ValueError):
+        return str(value)
+
+
+def table_resource(rows):
+    fields = []
+    for row in rows[:TABLE_MAX_ROWS]:
+        for key in row:
+            if str(key) not in fields:
+                fields.append(str(key))
+    data = []
+    for row in rows[:TABLE_MAX_ROWS]:
+        cells = {str(key): value for key, value in row.items()}
+        data.append({name: table_cell(cells.get(name)) for name in fields})
+    return {'schema': {'fields': [{'name': name} for name in fields]}, 'data': data}
+
+
+def mime_bundle(value):
+    """nbformat mime bundle for a value, like IPython's display formatter"""
+    bundle = {'text/plain': repr(value)}
+    for method, mime in REPR_METHODS:
+        render = getattr(value, method, None)
+        if not callable(render) or inspect.isclass(value):
+            continue
+        try:
+            data = render()
+        except Exception:
+            continue
+        if isinstance(data, tuple):
+            data = data[0]
+        if data is None:
+            continue
+        if isinstance(data, bytes):
+            data = base64.b64encode(data).decode('ascii')
+        bundle[mime] = data
+    mimebundle = getattr(value, '_repr_mimebundle_', None)
+    if callable(mimebundle) and not inspect.isclass(value):
+        try:
+            data = mimebundle()
+            bundle.update(data[0] if isinstance(data, tuple) else data)
+        except Exception:
+            pass
+    if isinstance(value, list) and value and all(isinstance(row, dict) for row in value):
+        bundle[TABLE_MIME] = table_resource(value)
+    return bundle
+
+
+def display(*values, raw=False):
+    """Show values in the cell's output; with raw=True each value is a ready mime bundle"""
+    for value in values:
+        send({'type': 'display', 'id': last_id, 'data': value if raw else mime_bundle(value)})
+
+
+def show_figures():
+    """Send the matplotlib figures a cell left open as PNG images, then close them"""
+    pyplot = sys.modules.get('matplotlib.pyplot')
+    if pyplot is None:
+        return
+    try:
+        for number in pyplot.get_fignums():
+            image = io.BytesIO()
+            pyplot.figure(number).savefig(image, format='png', bbox_inches='tight')
+            display({'image/png': base64.b64encode(image.getvalue()).decode('ascii'), 'text/plain': '<Figure>'}, raw=True)
+    finally:
+        pyplot.close('all')
+
+
+def set_memory_limit():
+    limit = int(os.environ.get('KERNEL_MEMORY_MB') or 0)
+    if not limit:
+        return
+    try:
+        import resource
+        resource.setrlimit(resource.RLIMIT_AS, (limit * 1024 * 1024, limit * 1024 * 1024))
+    except (ImportError, ValueError, OSError):
+        # Not available on this platform (e.g. Windows); the server's timeout still applies
+        pass
+
+
+def run(tree, mode):
+    code = compile(tree, CELL_FILENAME, mode, flags=ast.PyCF_ALLOW_TOP_LEVEL_AWAIT)
+    result = eval(code, namespace)
+    if inspect.iscoroutine(result):
+        result = asyncio.run(result)
+    return result
+
+
+def describe_error(error):
+    """Traceback without the kernel's own frames, and the cell line it points at"""
+    tb = error.__traceback__
+    while tb is not None and tb.tb_frame.f_code.co_filename != CELL_FILENAME:
+        tb = tb.tb_next
+    lines = traceback.format_exception(type(error), error, tb)
+
+    line = getattr(error, 'lineno', None) if isinstance(error, SyntaxError) else None
+    for frame in traceback.extract_tb(tb):
+        if frame.filename == CELL_FILENAME:
+            line = frame.lineno
+    return {
+        'name': type(error).__name__,
+        'message': str(error),
+        'traceback': ''.join(lines).rstrip(),
+        'line': line
+    }
+
+
+def execute(request):
+    global last_id
+    last_id = request['id']
+    try:
+        tree = ast.parse(request['code'], CELL_FILENAME, 'exec')
+        last = tree.body.pop() if tree.body and isinstance(tree.body[-1], ast.Expr) else None
+        run(ast.Module(body=tree.body, type_ignores=[]), 'exec')
+        if last is not None:
+            value = run(ast.Expression(body=last.value), 'eval')
+            if value is not None:
+                namespace['_'] = value
+                send({'type': 'result', 'id': last_id, 'data': mime_bundle(value)})
+        show_figures()
+        send({'type': 'done', 'id': last_id, 'status': 'ok'})
+    except KeyboardInterrupt:
+        send({'type': 'done', 'id': last_id, 'status': 'interrupted'})
+    except BaseException as error:
+        send(dict(describe_error(error), type='error', id=last_id))
+        # Figures drawn before the error are still worth seeing
+        try:
+            show_figures()
+        except Exception:
+            pass
+        send({'type': 'done', 'id': last_id, 'status': 'error'})
+    finally:
+        sys.stdout.flush()
+        sys.stderr.flush()
+
+
+def main():
+    set_memory_limit()
+    namespace['display'] = display
+    requests = sys.stdin
+    # Cells that read input get end-of-file instead of the kernel's requests
+    sys.stdin = io.StringIO('')
+    sys.stdout = StreamWriter('stdout')
+    sys.stderr = StreamWriter('stderr')
+
+    while True:
+        try:
+            line = requests.readline()
+        except KeyboardInterrupt:
+            # Interrupted between cells; nothing to stop
+            continue
+        if not line:
+            break
+        if line.strip():
+            execute(json.loads(line))
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,159 @@
+// Local mock AI provider for exercising the gateway without real API keys.
+//
+// Usage:
+//   node mock-provider.js
+//   DEEPSEEK_API_BASE=http://localhost:3001/v1 \
+//   OPENAI_API_BASE=http://localhost:3001/v1 \
+//   GEMINI_API_BASE=http://localhost:3001/v1 \
+//   ANTHROPIC_API_BASE=http://localhost:3001/v1 \
+//   OLLAMA_API_BASE=http://localhost:3001 npm start
+//
+// Replies echo the last prompt back word by word so streaming is visible.
+// Inline completion requests get a fixed stub completion instead. Embeddings are
+// word-hash vectors, so texts that share words come out similar.
+const express = require('express');
+
+const app = express();
+const PORT = process.env.MOCK_PORT || 3001;
+const DELAY = Number(process.env.MOCK_DELAY || 80);
+const EMBEDDING_SIZE = 256;
+
+app.use(express.json({ limit: '50mb' }));
+
+function mockReply(prompt) {
+  if (prompt.includes('<code_before_cursor>')) {
+    return 'console.log(\'mock completion\');';
+  }
+  return `Mock reply to: ${prompt}`;
+}
+
+function mockEmbedding(text) {
+  const vector = new Array(EMBEDDING_SIZE).fill(0);
+  (String(text).toLowerCase().match(/\w+/g) || []).forEach(word => {
+    let hash = 0;
+    for (const char of word) {
+      hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    vector[hash % EMBEDDING_SIZE] += 1;
+  });
+  return vector;
+}
+
+function words(text) {
+  return text.match(/\S+\s*/g) || [];
+}
+
+// Per-format framing of a single streamed token
+const STREAM_FORMATS = {
+  openai: token => `data: ${JSON.stringify({ choices: [{ delta: { content: token } }] })}\n\n`,
+  gemini: token => `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text: token }] } }] })}\n\n`,
+  anthropic: token => `event: content_block_delta\ndata: ${JSON.stringify({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: token } })}\n\n`,
+  ollama: token => JSON.stringify({ message: { role: 'assistant', content: token }, done: false }) + '\n'
+};
+
+const STREAM_ENDINGS = {
+  openai: 'data: [DONE]\n\n',
+  gemini: '',
+  anthropic: `event: message_stop\ndata: ${JSON.stringify({ type: 'message_stop' })}\n\n`,
+  ollama: JSON.stringify({ message: { role: 'assistant', content: '' }, done: true }) + '\n'
+};
+
+// Write tokens one at a time until done or the client disconnects
+function streamTokens(res, tokens, format) {
+  res.set({
+    'Content-Type': format === 'ollama' ? 'application/x-ndjson' : 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  let index = 0;
+  const timer = setInterval(() => {
+    if (index >= tokens.length) {
+      clearInterval(timer);
+      res.end(STREAM_ENDINGS[format]);
+      return;
+    }
+    res.write(STREAM_FORMATS[format](tokens[index]));
+    index++;
+  }, DELAY);
+
+  res.on('close', () => {
+    if (index < tokens.length) {
+      console.log(`Client aborted after ${index}/${tokens.length} tokens`);
+    }
+    clearInterval(timer);
+  });
+}
+
+// OpenAI-compatible chat completions (DeepSeek, OpenAI)
+app.post('/v1/chat/completions', (req, res) => {
+  const messages = req.body.messages || [];
+  const last = messages[messages.length - 1] || { content: '' };
+  const reply = mockReply(last.content);
+
+  if (req.body.stream) {
+    return streamTokens(res, words(reply), 'openai');
+  }
+  res.json({ choices: [{ message: { role: 'assistant', content: reply } }] });
+});
+
+// OpenAI-compatible embeddings
+app.post('/v1/embeddings', (req, res) => {
+  const input = [].concat(req.body.input || []);
+  res.json({ data: input.map((text, index) => ({ index, embedding: mockEmbedding(text) })) });
+});
+
+// Gemini generateContent / streamGenerateContent / batchEmbedContents
+app.post('/v1/models/:action', (req, res) => {
+  if (req.params.action.endsWith(':batchEmbedContents')) {
+    const requests = req.body.requests || [];
+    return res.json({
+      embeddings: requests.map(request => ({ values: mockEmbedding(request.content.parts.map(part => part.text).join('')) }))
+    });
+  }
+
+  const contents = req.body.contents || [];
+  const last = contents[contents.length - 1] || { parts: [] };
+  const reply = mockReply(last.parts.map(part => part.text).join(''));
+
+  if (req.params.action.endsWith(':streamGenerateContent')) {
+    return streamTokens(res, words(reply), 'gemini');
+  }
+  res.json({ candidates: [{ content: { parts: [{ text: reply }] } }] });
+});
+
+// Anthropic messages
+app.post('/v1/messages', (req, res) => {
+  const messages = req.body.messages || [];
+  const last = messages[messages.length - 1] || { content: '' };
+  const reply = mockReply(last.content);
+
+  if (req.body.stream) {
+    return streamTokens(res, words(reply), 'anthropic');
+  }
+  res.json({ content: [{ type: 'text', text: reply }] });
+});
+
+// Ollama chat
+app.post('/api/chat', (req, res) => {
+  const messages = req.body.messages || [];
+  const last = messages[messages.length - 1] || { content: '' };
+  const reply = mockReply(last.content);
+
+  // Ollama streams by default
+  if (req.body.stream !== false) {
+    return streamTokens(res, words(reply), 'ollama');
+  }
+  res.json({ message: { role: 'assistant', content: reply }, done: true });
+});
+
+// Ollama embeddings
+app.post('/api/embed', (req, res) => {
+  const input = [].concat(req.body.input || []);
+  res.json({ embeddings: input.map(mockEmbedding) });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock AI provider running on http://localhost:${PORT}`);
+});
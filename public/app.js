@@ -1,17 +1,35 @@
 // Initialize CodeMirror editor
 let editor;
 let currentFile = 'untitled.html';
-let apiKeys = {};
+let currentProject = localStorage.getItem('currentProject') || 'default';
+let selectedFolder = '';
+let expandedFolders = new Set();
+let previewPage = 'index.html';
+let vaultKeys = {};
+let vaultUnlocked = false;
 let notebookCells = [];
 let sheetEditor;
+let aiAbortController = null;
+let aiMessageCounter = 0;
+let aiThread = null;
+let aiProviders = [];
 
 // Initialize editor on page load
 document.addEventListener('DOMContentLoaded', () => {
     initializeEditor();
+    initializeTabs();
+    initializeCodeActions();
+    initializeCompletions();
     initializeResizer();
+    initializePreviewConsole();
     initializeEventListeners();
     loadApiKeys();
-    loadFileList();
+    loadProviders();
+    initializeFileTree();
+    loadProjects().then(() => restoreOpenTabs(savedOpenTabs()));
+    loadAIThreads();
+    loadDataSheets();
+    loadServerKernels();
     updateLivePreview();
 });
 
@@ -108,7 +126,12 @@ function initializeEventListeners() {
     });
     
     // File operations
+    document.getElementById('projectSelect').addEventListener('change', (e) => switchProject(e.target.value));
+    document.getElementById('newProject').addEventListener('click', newProject);
+    document.getElementById('renameProject').addEventListener('click', renameProject);
+    document.getElementById('deleteProject').addEventListener('click', deleteProject);
     document.getElementById('newFile').addEventListener('click', newFile);
+    document.getElementById('newFolder').addEventListener('click', newFolder);
     document.getElementById('saveFile').addEventListener('click', saveFile);
     document.getElementById('uploadFile').addEventListener('change', uploadFile);
     document.getElementById('downloadFile').addEventListener('click', downloadFile);
@@ -117,67 +140,483 @@ function initializeEventListeners() {
     document.getElementById('toggleNotebook').addEventListener('click', () => togglePanel('notebookPanel'));
     document.getElementById('toggleAI').addEventListener('click', () => togglePanel('aiPanel'));
     document.getElementById('toggleApiVault').addEventListener('click', () => togglePanel('apiVaultPanel'));
-    document.getElementById('toggleDatabank').addEventListener('click', () => togglePanel('databankPanel'));
+    document.getElementById('toggleDatabank').addEventListener('click', () => {
+        togglePanel('databankPanel');
+        if (isPanelOpen('databankPanel')) {
+            loadDatabank();
+        }
+    });
+    document.getElementById('toggleGit').addEventListener('click', () => {
+        togglePanel('gitPanel');
+        if (isPanelOpen('gitPanel')) {
+            loadGitPanel();
+        }
+    });
+    document.getElementById('toggleQuery').addEventListener('click', () => togglePanel('queryPanel'));
+    document.getElementById('toggleSearch').addEventListener('click', () => {
+        togglePanel('searchPanel');
+        if (isPanelOpen('searchPanel')) {
+            document.getElementById('searchQuery').focus();
+        }
+    });
+    document.getElementById('toggleHistory').addEventListener('click', () => {
+        togglePanel('historyPanel');
+        if (isPanelOpen('historyPanel')) {
+            loadHistory();
+        }
+    });
+    
+    // Git
+    document.getElementById('gitInitButton').addEventListener('click', initGitRepo);
+    document.getElementById('gitRefresh').addEventListener('click', loadGitPanel);
+    document.getElementById('gitBranch').addEventListener('change', (e) => switchGitBranch(e.target.value));
+    document.getElementById('gitNewBranch').addEventListener('click', newGitBranch);
+    document.getElementById('gitStageAll').addEventListener('click', () => gitAction('stage', ['.']));
+    document.getElementById('gitUnstageAll').addEventListener('click', () => gitAction('unstage', ['.']));
+    document.getElementById('gitDiscardAll').addEventListener('click', () => discardGitChanges(['.']));
+    document.getElementById('gitAIMessage').addEventListener('click', generateCommitMessage);
+    document.getElementById('gitCommit').addEventListener('click', commitGitChanges);
+    
+    // File history
+    document.getElementById('historyCompare').addEventListener('change', () => {
+        if (historySelected !== null) {
+            showRevisionDiff(historySelected);
+        }
+    });
     
     // AI Assistant
+    document.getElementById('aiService').addEventListener('change', updateModelPlaceholder);
     document.getElementById('sendAI').addEventListener('click', sendAIMessage);
+    document.getElementById('stopAI').addEventListener('click', stopAIMessage);
     document.getElementById('aiPrompt').addEventListener('keypress', (e) => {
         if (e.key === 'Enter' && e.ctrlKey) {
             sendAIMessage();
         }
     });
+    document.getElementById('aiThreadSelect').addEventListener('change', (e) => {
+        if (e.target.value) {
+            resumeAIThread(e.target.value);
+        } else {
+            newAIThread();
+        }
+    });
+    document.getElementById('newThread').addEventListener('click', newAIThread);
+    document.getElementById('renameThread').addEventListener('click', renameAIThread);
+    document.getElementById('deleteThread').addEventListener('click', deleteAIThread);
     
     // Notebook
-    document.getElementById('addCell').addEventListener('click', addNotebookCell);
+    document.getElementById('addCell').addEventListener('click', () => {
+        if (activeNotebookCell) {
+            insertCell(activeNotebookCell, 1);
+        } else {
+            addNotebookCell().editor.focus();
+        }
+    });
+    document.getElementById('runAllCells').addEventListener('click', runAllCells);
+    document.getElementById('runCellsAbove').addEventListener('click', () => runCellsAround(false));
+    document.getElementById('runCellsBelow').addEventListener('click', () => runCellsAround(true));
+    document.getElementById('interruptKernel').addEventListener('click', interruptNotebookKernel);
+    document.getElementById('restartKernel').addEventListener('click', restartAllKernels);
+    document.getElementById('clearOutputs').addEventListener('click', clearNotebookOutputs);
+    document.getElementById('newNotebook').addEventListener('click', newNotebook);
+    document.getElementById('openNotebook').addEventListener('click', () => openNotebook(notebookPath()));
+    document.getElementById('saveNotebook').addEventListener('click', saveNotebook);
+    document.getElementById('exportNotebook').addEventListener('click', exportNotebook);
+    document.getElementById('notebookPath').value = localStorage.getItem('notebookPath') || '';
+    // Server kernels hold their memory until they are shut down or go idle
+    window.addEventListener('pagehide', () => {
+        fetch(`/api/kernels/${notebookSession}`, { method: 'DELETE', keepalive: true }).catch(() => {});
+    });
     
     // Databank
     document.getElementById('saveDatabank').addEventListener('click', saveToDatabank);
-    document.getElementById('loadDatabank').addEventListener('click', loadDatabank);
+    document.getElementById('loadDatabank').addEventListener('click', () => loadDatabank());
+    document.getElementById('databankSearch').addEventListener('input', debounce(() => loadDatabank(), 300));
+    document.getElementById('databankFilterNamespace').addEventListener('change', () => loadDatabank());
+    document.getElementById('backupData').addEventListener('click', downloadBackup);
+    document.getElementById('restoreData').addEventListener('change', restoreBackup);
+    
+    // Data queries
+    document.getElementById('queryRun').addEventListener('click', runDataQuery);
+    document.getElementById('querySave').addEventListener('click', saveQueryResult);
+    document.getElementById('queryAsk').addEventListener('click', askQueryAI);
+    document.getElementById('queryQuestion').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') askQueryAI();
+    });
+    document.getElementById('queryText').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            runDataQuery();
+        }
+    });
+    
+    // Search
+    document.getElementById('searchRun').addEventListener('click', runSearch);
+    document.getElementById('searchQuery').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') runSearch();
+    });
+    document.getElementById('searchReindex').addEventListener('click', reindexSearch);
     
     // Data sheets
     document.getElementById('newDataSheet').addEventListener('click', () => {
         openDataSheetModal();
     });
+    document.getElementById('importDataSheet').addEventListener('change', importDataSheet);
     document.getElementById('saveSheet').addEventListener('click', saveDataSheet);
+    document.getElementById('exportSheet').addEventListener('click', exportDataSheet);
     document.getElementById('aiAssistSheet').addEventListener('click', aiAssistDataSheet);
+    document.getElementById('sheetGridView').addEventListener('click', () => setSheetView('grid'));
+    document.getElementById('sheetJsonView').addEventListener('click', () => setSheetView('json'));
+    document.getElementById('sheetFilter').addEventListener('input', debounce((e) => filterSheetRows(e.target.value), 200));
+    document.getElementById('sheetAddRow').addEventListener('click', addSheetRow);
+    document.getElementById('sheetAddColumn').addEventListener('click', addSheetColumn);
+    document.getElementById('sheetSchemaToggle').addEventListener('click', () => toggleSheetSchema());
+    document.getElementById('sheetInferSchema').addEventListener('click', inferSheetSchema);
+    document.getElementById('sheetGrid').addEventListener('copy', copySheetSelection);
+    document.getElementById('sheetGrid').addEventListener('paste', pasteIntoSheet);
 }
 
 // Update live preview
-function updateLivePreview() {
+// The preview is served from /preview/<project>/ so relative links to other project
+// files resolve. Unsaved tab buffers are pushed first so they override the files on disk.
+async function updateLivePreview() {
     const preview = document.getElementById('preview');
-    const code = editor.getValue();
     
-    // Create a blob URL for the content
-    const blob = new Blob([code], { type: 'text/html' });
-    const url = URL.createObjectURL(blob);
+    // Editing a stylesheet or script keeps showing the last HTML page
+    if (/\.html?$/i.test(currentFile)) {
+        previewPage = currentFile;
+    }
+    
+    const buffers = {};
+    openTabs.forEach(tab => {
+        if (tab.path === currentFile || isTabDirty(tab)) {
+            buffers[tab.path] = tab.doc.getValue();
+        }
+    });
+    
+    try {
+        await fetch(`/api/preview/${encodeURIComponent(currentProject)}/buffers`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ buffers })
+        });
+    } catch (error) {
+        console.error('Error syncing preview buffer:', error);
+    }
+    
+    document.getElementById('previewPath').textContent = previewPage;
+    clearPreviewConsole();
+    preview.src = `/preview/${encodeURIComponent(currentProject)}/${encodeFilePath(previewPage)}?t=${Date.now()}`;
+}
+
+// Preview Console
+// Entries arrive from public/preview-console.js inside the preview iframe.
+let consoleCounts = { error: 0, warn: 0 };
+
+function initializePreviewConsole() {
+    window.addEventListener('message', (e) => {
+        const preview = document.getElementById('preview');
+        if (e.source !== preview.contentWindow || !e.data || e.data.source !== 'preview-console') return;
+        appendConsoleEntry(e.data);
+    });
+    
+    document.getElementById('clearConsole').addEventListener('click', clearPreviewConsole);
+    document.getElementById('toggleConsole').addEventListener('click', () => {
+        const pane = document.getElementById('previewConsole');
+        pane.classList.toggle('collapsed');
+        document.getElementById('toggleConsole').textContent = pane.classList.contains('collapsed') ? '▴' : '▾';
+    });
+}
+
+function clearPreviewConsole() {
+    document.getElementById('consoleOutput').innerHTML = '';
+    consoleCounts = { error: 0, warn: 0 };
+    updateConsoleCounts();
+}
+
+function updateConsoleCounts() {
+    const parts = [];
+    if (consoleCounts.error) parts.push(`${consoleCounts.error} error${consoleCounts.error === 1 ? '' : 's'}`);
+    if (consoleCounts.warn) parts.push(`${consoleCounts.warn} warning${consoleCounts.warn === 1 ? '' : 's'}`);
+    document.getElementById('consoleCounts').textContent = parts.join(', ');
+}
+
+// Map a script URL inside the preview back to a project file: { file, line, column }
+function previewLocation(location) {
+    if (!location || !location.url) return null;
+    
+    const url = new URL(location.url, window.location.href);
+    const prefix = `/preview/${encodeURIComponent(currentProject)}/`;
+    if (url.origin !== window.location.origin || !url.pathname.startsWith(prefix)) return null;
+    
+    let file = decodeURIComponent(url.pathname.slice(prefix.length));
+    if (!file || file.endsWith('/')) {
+        file += 'index.html';
+    }
+    return { file, line: location.line, column: location.column };
+}
+
+function appendConsoleEntry(message) {
+    const output = document.getElementById('consoleOutput');
+    
+    const entry = document.createElement('div');
+    entry.className = `console-entry level-${message.level}`;
+    
+    const args = document.createElement('div');
+    args.className = 'console-args';
+    message.args.forEach(arg => {
+        args.appendChild(renderConsoleValue(arg, true));
+        args.appendChild(document.createTextNode(' '));
+    });
+    entry.appendChild(args);
+    
+    const location = previewLocation(message.location);
+    const meta = document.createElement('div');
+    meta.className = 'console-meta';
+    if (location) {
+        const link = document.createElement('a');
+        link.className = 'console-location';
+        link.textContent = `${location.file}:${location.line}`;
+        link.title = 'Show in editor';
+        link.onclick = () => openFileAtLine(location);
+        meta.appendChild(link);
+    }
+    if (message.level === 'error') {
+        const fixButton = document.createElement('button');
+        fixButton.className = 'btn-small';
+        fixButton.textContent = '🤖 Ask AI to fix';
+        fixButton.onclick = () => askAIToFix(message, location);
+        meta.appendChild(fixButton);
+    }
+    entry.appendChild(meta);
+    
+    output.appendChild(entry);
+    output.scrollTop = output.scrollHeight;
+    
+    if (message.level === 'error' || message.level === 'warn') {
+        consoleCounts[message.level]++;
+        updateConsoleCounts();
+    }
+}
+
+// Render a value serialized by preview-console.js; objects and arrays expand on click
+function renderConsoleValue(node, topLevel) {
+    if (node.type === 'object' || node.type === 'array') {
+        if (node.truncated || !node.entries.length) {
+            const span = document.createElement('span');
+            span.className = 'console-object';
+            span.textContent = consoleValueText(node);
+            return span;
+        }
+        
+        const details = document.createElement('details');
+        details.className = 'console-object';
+        const summary = document.createElement('summary');
+        summary.textContent = consoleValueText(node);
+        details.appendChild(summary);
+        
+        // Children are built on first expand so large objects stay cheap
+        details.addEventListener('toggle', () => {
+            if (!details.open || details.childNodes.length > 1) return;
+            node.entries.forEach(({ key, value }) => {
+                const row = document.createElement('div');
+                row.className = 'console-property';
+                const keySpan = document.createElement('span');
+                keySpan.className = 'console-key';
+                keySpan.textContent = key + ': ';
+                row.appendChild(keySpan);
+                row.appendChild(renderConsoleValue(value, false));
+                details.appendChild(row);
+            });
+            if (node.more) {
+                const more = document.createElement('div');
+                more.className = 'console-property';
+                more.textContent = `… ${node.more} more`;
+                details.appendChild(more);
+            }
+        });
+        return details;
+    }
+    
+    if (node.type === 'error' && node.stack) {
+        const details = document.createElement('details');
+        details.className = 'console-error-value';
+        const summary = document.createElement('summary');
+        summary.textContent = consoleValueText(node);
+        const stack = document.createElement('pre');
+        stack.textContent = node.stack;
+        details.appendChild(summary);
+        details.appendChild(stack);
+        return details;
+    }
+    
+    const span = document.createElement('span');
+    span.className = 'console-' + node.type;
+    span.textContent = node.type === 'string' && !topLevel ? JSON.stringify(node.value) : consoleValueText(node);
+    return span;
+}
+
+// One-line text for a serialized value, used for summaries and AI prompts
+function consoleValueText(node) {
+    switch (node.type) {
+        case 'error':
+            return `${node.name}: ${node.value}`;
+        case 'array':
+            return `Array(${node.size})` + (node.entries && node.entries.length
+                ? ' [' + node.entries.slice(0, 5).map(e => shortValueText(e.value)).join(', ') + (node.size > 5 ? ', …' : '') + ']'
+                : '');
+        case 'object':
+            return (node.name === 'Object' ? '' : node.name + ' ') + (node.entries && node.entries.length
+                ? '{' + node.entries.slice(0, 3).map(e => `${e.key}: ${shortValueText(e.value)}`).join(', ') + (node.size > 3 ? ', …' : '') + '}'
+                : node.truncated ? '{…}' : '{}');
+        default:
+            return node.value;
+    }
+}
+
+function shortValueText(node) {
+    if (node.type === 'string') return JSON.stringify(node.value);
+    if (node.type === 'object') return node.name === 'Object' ? '{…}' : node.name;
+    if (node.type === 'array') return `Array(${node.size})`;
+    return consoleValueText(node);
+}
+
+async function openFileAtLine({ file, line, column }) {
+    if (file !== currentFile) {
+        await loadFile(file);
+        if (file !== currentFile) return;
+    }
+    
+    const pos = { line: line - 1, ch: Math.max(0, (column || 1) - 1) };
+    editor.focus();
+    editor.setCursor(pos);
+    editor.scrollIntoView(pos, 100);
+    
+    const handle = editor.addLineClass(pos.line, 'background', 'error-line-flash');
+    setTimeout(() => editor.removeLineClass(handle, 'background', 'error-line-flash'), 1500);
+}
+
+// Jump to the error and run the "Fix errors" code action on the whole file with the error as context
+async function askAIToFix(message, location) {
+    const errorText = message.args.map(consoleValueText).join(' ');
+    
+    if (location) {
+        await openFileAtLine(location);
+    } else {
+        editor.setCursor(editor.getCursor());
+    }
     
-    preview.src = url;
+    runCodeAction('fix', `The live preview reported this error${location ? ` at ${location.file} line ${location.line}` : ''}: ${errorText}`);
 }
 
 // File Operations
-function newFile() {
-    const filename = prompt('Enter filename:', 'untitled.html');
-    if (filename) {
-        currentFile = filename;
-        editor.setValue('');
-        showNotification('New file created: ' + filename);
+// File paths are relative to the current project and use forward slashes (e.g. css/style.css).
+function projectQuery() {
+    return 'project=' + encodeURIComponent(currentProject);
+}
+
+function encodeFilePath(filePath) {
+    return filePath.split('/').map(encodeURIComponent).join('/');
+}
+
+function baseName(filePath) {
+    return filePath.split('/').pop();
+}
+
+function dirName(filePath) {
+    return filePath.split('/').slice(0, -1).join('/');
+}
+
+function joinPath(dir, name) {
+    return dir ? dir + '/' + name : name;
+}
+
+async function newFile() {
+    const filename = prompt('Enter filename (folders allowed, e.g. css/style.css):', joinPath(selectedFolder, 'untitled.html'));
+    if (!filename) return;
+    
+    if (findTab(filename)) {
+        activateTab(filename);
+        return;
+    }
+    
+    // An existing file is opened rather than replaced by an empty tab that would overwrite it on save
+    try {
+        const response = await fetch(`/api/read/${encodeFilePath(filename)}?${projectQuery()}`);
+        if (response.status !== 404) {
+            const data = await response.json();
+            if (!data.success) {
+                showNotification('Error creating file: ' + data.error, 'error');
+                return;
+            }
+            showNotification(filename + ' already exists, opening it instead');
+            loadFile(filename);
+            return;
+        }
+    } catch (error) {
+        showNotification('Error creating file: ' + error.message, 'error');
+        return;
+    }
+    openTab(filename, '', false);
+    showNotification('New file created: ' + filename);
+}
+
+async function newFolder() {
+    const folder = prompt('Enter folder name:', joinPath(selectedFolder, 'new-folder'));
+    if (!folder) return;
+    
+    try {
+        const response = await fetch('/api/folder', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ project: currentProject, path: folder })
+        });
+        
+        const data = await response.json();
+        if (data.success) {
+            expandedFolders.add(data.path);
+            selectedFolder = data.path;
+            showNotification('Folder created: ' + data.path);
+            loadFileList();
+        } else {
+            showNotification('Error creating folder: ' + data.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error creating folder: ' + error.message, 'error');
     }
 }
 
 async function saveFile() {
-    const content = editor.getValue();
+    const tab = activeTab();
+    const content = tab.doc.getValue();
+    // Edits made while the request is in flight keep the tab dirty
+    const generation = tab.doc.changeGeneration();
     
     try {
         const response = await fetch('/api/write', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ filename: currentFile, content })
+            body: JSON.stringify({ project: currentProject, filename: currentFile, content })
         });
         
         const data = await response.json();
         if (data.success) {
-            showNotification('File saved: ' + currentFile);
+            if (currentFile === tab.path) {
+                currentFile = data.filename;
+            }
+            tab.path = data.filename;
+            tab.onDisk = true;
+            tab.cleanGeneration = generation;
+            tab.dirty = isTabDirty(tab);
+            renderTabs();
+            saveOpenTabs();
+            showNotification('File saved: ' + tab.path);
             loadFileList();
+            if (isPanelOpen('historyPanel') && tab.path === currentFile) {
+                loadHistory();
+            }
+        } else {
+            showNotification('Error saving file: ' + data.error, 'error');
         }
     } catch (error) {
         showNotification('Error saving file: ' + error.message, 'error');
@@ -192,7 +631,7 @@ async function uploadFile(event) {
     formData.append('file', file);
     
     try {
-        const response = await fetch('/api/upload', {
+        const response = await fetch(`/api/upload?${projectQuery()}&dir=${encodeURIComponent(selectedFolder)}`, {
             method: 'POST',
             body: formData
         });
@@ -203,16 +642,16 @@ async function uploadFile(event) {
             loadFileList();
             
             // Read the file content
-            const readResponse = await fetch(`/api/read/${data.filename}`);
+            const readResponse = await fetch(`/api/read/${encodeFilePath(data.filename)}?${projectQuery()}`);
             const readData = await readResponse.json();
             if (readData.success) {
-                editor.setValue(readData.content);
-                currentFile = data.originalName;
+                openTab(data.filename, readData.content, true);
             }
         }
     } catch (error) {
         showNotification('Error uploading file: ' + error.message, 'error');
     }
+    event.target.value = '';
 }
 
 function downloadFile() {
@@ -221,7 +660,7 @@ function downloadFile() {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = currentFile;
+    a.download = baseName(currentFile);
     a.click();
     URL.revokeObjectURL(url);
     showNotification('File downloaded: ' + currentFile);
@@ -229,32 +668,228 @@ function downloadFile() {
 
 async function loadFileList() {
     try {
-        const response = await fetch('/api/files');
+        const response = await fetch(`/api/files?${projectQuery()}`);
         const data = await response.json();
         
         const fileList = document.getElementById('fileList');
         fileList.innerHTML = '';
         
-        data.files.forEach(filename => {
-            const fileItem = document.createElement('div');
-            fileItem.className = 'file-item';
-            fileItem.textContent = filename;
-            fileItem.onclick = () => loadFile(filename);
-            fileList.appendChild(fileItem);
-        });
+        if (data.success) {
+            gitFileStatus = {};
+            if (data.git) {
+                data.git.files.forEach(file => {
+                    gitFileStatus[file.path] = file;
+                });
+                if (isPanelOpen('gitPanel')) {
+                    renderGitChanges(data.git.files);
+                }
+            }
+            renderFileTree(data.tree, fileList, 0);
+        }
     } catch (error) {
         console.error('Error loading file list:', error);
     }
 }
 
+// Collapsible tree; entries can be dragged onto folders (or the empty area for the root)
+function renderFileTree(nodes, container, depth) {
+    nodes.forEach(node => {
+        const isFolder = node.type === 'dir';
+        const expanded = expandedFolders.has(node.path);
+        
+        const item = document.createElement('div');
+        item.className = 'file-item tree-item' +
+            (isFolder ? ' folder' : '') +
+            (node.path === currentFile || (isFolder && node.path === selectedFolder) ? ' active' : '');
+        item.style.paddingLeft = (8 + depth * 12) + 'px';
+        item.draggable = true;
+        
+        // Create elements safely to prevent XSS
+        const label = document.createElement('span');
+        label.className = 'tree-label';
+        label.textContent = (isFolder ? (expanded ? '▾ 📂 ' : '▸ 📁 ') : '📄 ') + node.name;
+        
+        const actions = document.createElement('span');
+        actions.className = 'tree-actions';
+        const renameButton = document.createElement('button');
+        renameButton.className = 'btn-icon';
+        renameButton.title = 'Rename';
+        renameButton.textContent = '✏️';
+        renameButton.onclick = (e) => {
+            e.stopPropagation();
+            renameEntry(node.path);
+        };
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'btn-icon';
+        deleteButton.title = 'Delete';
+        deleteButton.textContent = '🗑️';
+        deleteButton.onclick = (e) => {
+            e.stopPropagation();
+            deleteEntry(node.path, isFolder);
+        };
+        actions.appendChild(renameButton);
+        actions.appendChild(deleteButton);
+        
+        item.appendChild(label);
+        
+        // Git status: a letter for changed files, a dot for folders containing changes
+        const status = gitFileStatus[node.path];
+        if (status) {
+            const { letter, className, title } = gitMarker(status);
+            const marker = document.createElement('span');
+            marker.className = 'git-marker ' + className;
+            marker.textContent = letter;
+            marker.title = title;
+            item.appendChild(marker);
+        } else if (isFolder && Object.keys(gitFileStatus).some(filePath => filePath.startsWith(node.path + '/'))) {
+            const marker = document.createElement('span');
+            marker.className = 'git-marker modified';
+            marker.textContent = '•';
+            marker.title = 'Contains changes';
+            item.appendChild(marker);
+        }
+        item.appendChild(actions);
+        
+        item.onclick = () => {
+            if (isFolder) {
+                if (expanded) {
+                    expandedFolders.delete(node.path);
+                } else {
+                    expandedFolders.add(node.path);
+                }
+                selectedFolder = node.path;
+                loadFileList();
+            } else {
+                selectedFolder = dirName(node.path);
+                loadFile(node.path);
+            }
+        };
+        
+        item.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', node.path);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        
+        // Dropping onto a file moves into that file's folder
+        const dropFolder = isFolder ? node.path : dirName(node.path);
+        item.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            item.classList.add('drop-target');
+        });
+        item.addEventListener('dragleave', () => item.classList.remove('drop-target'));
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            item.classList.remove('drop-target');
+            dropEntry(e.dataTransfer.getData('text/plain'), dropFolder);
+        });
+        
+        container.appendChild(item);
+        
+        if (isFolder && expanded) {
+            renderFileTree(node.children, container, depth + 1);
+        }
+    });
+}
+
+function initializeFileTree() {
+    const fileList = document.getElementById('fileList');
+    fileList.addEventListener('dragover', (e) => e.preventDefault());
+    fileList.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropEntry(e.dataTransfer.getData('text/plain'), '');
+    });
+}
+
+function dropEntry(from, folder) {
+    if (!from || dirName(from) === folder || from === folder) return;
+    expandedFolders.add(folder);
+    moveEntry(from, joinPath(folder, baseName(from)));
+}
+
+async function moveEntry(from, to) {
+    try {
+        const response = await fetch('/api/move', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ project: currentProject, from, to })
+        });
+        
+        const data = await response.json();
+        if (data.success) {
+            // Keep open tabs pointing at their new location
+            openTabs.forEach(tab => {
+                if (tab.path === from || tab.path.startsWith(from + '/')) {
+                    if (tab.path === currentFile) {
+                        currentFile = data.path + tab.path.slice(from.length);
+                    }
+                    tab.path = data.path + tab.path.slice(from.length);
+                }
+            });
+            renderTabs();
+            saveOpenTabs();
+            showNotification(`Moved ${from} to ${data.path}`);
+            loadFileList();
+        } else {
+            showNotification('Error moving: ' + data.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error moving: ' + error.message, 'error');
+    }
+}
+
+function renameEntry(filePath) {
+    const name = prompt('Rename to:', baseName(filePath));
+    if (name && name !== baseName(filePath)) {
+        moveEntry(filePath, joinPath(dirName(filePath), name));
+    }
+}
+
+async function deleteEntry(filePath, isFolder) {
+    if (!confirm(`Delete ${isFolder ? 'folder' : 'file'} "${filePath}"${isFolder ? ' and everything in it' : ''}?`)) return;
+    
+    try {
+        const response = await fetch(`/api/files/${encodeFilePath(filePath)}?${projectQuery()}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (data.success) {
+            if (selectedFolder === filePath || selectedFolder.startsWith(filePath + '/')) {
+                selectedFolder = dirName(filePath);
+            }
+            // Close tabs of deleted files; unsaved ones stay open so the edits aren't lost
+            openTabs.filter(tab => tab.path === filePath || tab.path.startsWith(filePath + '/')).forEach(tab => {
+                if (isTabDirty(tab)) {
+                    tab.onDisk = false;
+                } else {
+                    closeTab(tab.path);
+                }
+            });
+            showNotification('Deleted: ' + filePath);
+            loadFileList();
+        } else {
+            showNotification('Error deleting: ' + data.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error deleting: ' + error.message, 'error');
+    }
+}
+
 async function loadFile(filename) {
+    if (filename.endsWith('.ipynb')) {
+        openNotebook(filename);
+        return;
+    }
+    if (findTab(filename)) {
+        activateTab(filename);
+        return;
+    }
+    
     try {
-        const response = await fetch(`/api/read/${filename}`);
+        const response = await fetch(`/api/read/${encodeFilePath(filename)}?${projectQuery()}`);
         const data = await response.json();
         
         if (data.success) {
-            editor.setValue(data.content);
-            currentFile = filename;
+            openTab(filename, data.content, true);
             showNotification('Loaded: ' + filename);
         }
     } catch (error) {
@@ -262,80 +897,3471 @@ async function loadFile(filename) {
     }
 }
 
-// Panel Management
-function togglePanel(panelId) {
-    const panel = document.getElementById(panelId);
-    panel.classList.toggle('hidden');
+// Editor Tabs
+// Every open file keeps its own CodeMirror Doc, so cursor, selection and undo history
+// survive switching tabs. `currentFile` is always the path of the active tab.
+const EDITOR_MODES = {
+    html: 'htmlmixed',
+    htm: 'htmlmixed',
+    css: 'css',
+    js: 'javascript',
+    mjs: 'javascript',
+    json: 'javascript',
+    py: 'python',
+    md: 'markdown'
+};
+
+let openTabs = [];
+
+function initializeTabs() {
+    // The welcome page the editor starts with becomes the first tab
+    const doc = editor.getDoc();
+    openTabs = [{ path: currentFile, doc, cleanGeneration: doc.changeGeneration(), dirty: false, onDisk: false }];
+    renderTabs();
+    
+    editor.on('changes', () => {
+        const tab = activeTab();
+        if (tab && tab.dirty !== isTabDirty(tab)) {
+            tab.dirty = !tab.dirty;
+            renderTabs();
+        }
+    });
+    
+    window.addEventListener('beforeunload', (e) => {
+        if (openTabs.some(isTabDirty) || (notebookDirty && notebookCells.length)) {
+            e.preventDefault();
+            e.returnValue = '';
+        }
+    });
 }
 
-function closePanel(panelId) {
-    document.getElementById(panelId).classList.add('hidden');
+function modeForFile(filePath) {
+    const extension = baseName(filePath).split('.').pop().toLowerCase();
+    return EDITOR_MODES[extension] || 'text/plain';
 }
 
-function closeModal(modalId) {
-    document.getElementById(modalId).classList.add('hidden');
+function findTab(filePath) {
+    return openTabs.find(tab => tab.path === filePath);
 }
 
-// API Key Management
-function loadApiKeys() {
-    apiKeys = JSON.parse(localStorage.getItem('apiKeys') || '{}');
-    updateApiKeyStatus();
+function activeTab() {
+    return findTab(currentFile);
 }
 
-function saveApiKey(service) {
-    const keyInput = document.getElementById(service + 'Key');
-    const key = keyInput.value.trim();
+function isTabDirty(tab) {
+    return !tab.doc.isClean(tab.cleanGeneration);
+}
+
+function createTab(filePath, content, onDisk) {
+    const doc = CodeMirror.Doc(content, modeForFile(filePath));
+    return { path: filePath, doc, cleanGeneration: doc.changeGeneration(), dirty: false, onDisk };
+}
+
+function openTab(filePath, content, onDisk) {
+    if (!findTab(filePath)) {
+        openTabs.push(createTab(filePath, content, onDisk));
+    }
+    activateTab(filePath);
+}
+
+function activateTab(filePath) {
+    const tab = findTab(filePath);
+    if (!tab) return;
     
-    if (key) {
-        apiKeys[service] = key;
-        localStorage.setItem('apiKeys', JSON.stringify(apiKeys));
-        showNotification(`${service} API key saved`);
-        updateApiKeyStatus();
+    if (tab.doc !== editor.getDoc()) {
+        // Widgets and pending requests belong to the document being swapped out
+        clearCodeAction();
+        cancelCompletion();
+        clearGhostText();
+        editor.swapDoc(tab.doc);
+    }
+    currentFile = tab.path;
+    
+    const modeSelect = document.getElementById('editorMode');
+    if (Array.from(modeSelect.options).some(option => option.value === tab.doc.modeOption)) {
+        modeSelect.value = tab.doc.modeOption;
+    }
+    
+    renderTabs();
+    saveOpenTabs();
+    loadFileList();
+    updateLivePreview();
+    if (isPanelOpen('historyPanel')) {
+        loadHistory();
     }
 }
 
-function updateApiKeyStatus() {
-    const statusDiv = document.getElementById('apiKeyStatus');
-    statusDiv.innerHTML = '';
+function closeTab(filePath) {
+    const tab = findTab(filePath);
+    if (!tab) return;
+    if (isTabDirty(tab) && !confirm(`"${filePath}" has unsaved changes. Close it anyway?`)) return;
+    
+    const index = openTabs.indexOf(tab);
+    openTabs.splice(index, 1);
+    
+    if (!openTabs.length) {
+        openTab('untitled.html', '', false);
+    } else if (tab.path === currentFile) {
+        activateTab(openTabs[Math.min(index, openTabs.length - 1)].path);
+    } else {
+        renderTabs();
+        saveOpenTabs();
+        // Drop the closed buffer from the preview
+        if (tab.dirty) {
+            updateLivePreview();
+        }
+    }
+}
+
+// Start over with a single empty tab, e.g. after switching projects
+function resetTabs() {
+    openTabs = [];
+    openTab('untitled.html', '', false);
+}
+
+function renderTabs() {
+    const container = document.getElementById('editorTabs');
+    container.innerHTML = '';
     
-    Object.keys(apiKeys).forEach(service => {
+    openTabs.forEach(tab => {
         const item = document.createElement('div');
-        item.className = 'api-key-status-item';
+        item.className = 'editor-tab' +
+            (tab.path === currentFile ? ' active' : '') +
+            (tab.dirty ? ' dirty' : '');
+        item.title = tab.path + (tab.dirty ? ' (unsaved)' : '');
         
-        // Create elements safely to prevent XSS
-        const serviceSpan = document.createElement('span');
-        serviceSpan.textContent = service;
+        const label = document.createElement('span');
+        label.className = 'tab-label';
+        label.textContent = baseName(tab.path);
         
-        const indicatorSpan = document.createElement('span');
-        indicatorSpan.className = 'status-indicator';
+        const closeButton = document.createElement('button');
+        closeButton.className = 'tab-close';
+        closeButton.title = 'Close';
+        closeButton.textContent = '×';
+        closeButton.onclick = (e) => {
+            e.stopPropagation();
+            closeTab(tab.path);
+        };
         
-        item.appendChild(serviceSpan);
-        item.appendChild(indicatorSpan);
-        statusDiv.appendChild(item);
+        item.appendChild(label);
+        item.appendChild(closeButton);
+        item.onclick = () => activateTab(tab.path);
+        // Middle click closes, like browser tabs
+        item.addEventListener('auxclick', (e) => {
+            if (e.button === 1) {
+                closeTab(tab.path);
+            }
+        });
+        
+        container.appendChild(item);
+    });
+}
+
+// Open tabs are remembered per project; files that were never saved are not restored
+function saveOpenTabs() {
+    localStorage.setItem('openTabs:' + currentProject, JSON.stringify({
+        files: openTabs.filter(tab => tab.onDisk).map(tab => tab.path),
+        active: currentFile
+    }));
+}
+
+function savedOpenTabs() {
+    try {
+        return JSON.parse(localStorage.getItem('openTabs:' + currentProject)) || { files: [] };
+    } catch (error) {
+        return { files: [] };
+    }
+}
+
+async function restoreOpenTabs(saved) {
+    const restored = [];
+    for (const filePath of saved.files) {
+        if (findTab(filePath)) continue;
+        try {
+            const response = await fetch(`/api/read/${encodeFilePath(filePath)}?${projectQuery()}`);
+            const data = await response.json();
+            if (data.success) {
+                restored.push(createTab(filePath, data.content, true));
+            }
+        } catch (error) {
+            console.error('Error restoring tab:', filePath, error);
+        }
+    }
+    if (!restored.length) return;
+    
+    // Restored files replace the untouched starting tab
+    openTabs = openTabs.filter(tab => tab.onDisk || isTabDirty(tab)).concat(restored);
+    activateTab(findTab(saved.active) ? saved.active : restored[0].path);
+}
+
+// Pick up files changed on disk behind the editor's back (e.g. by a git checkout).
+// Tabs with unsaved changes are left alone.
+async function reloadCleanTabs() {
+    for (const tab of openTabs.filter(tab => tab.onDisk && !isTabDirty(tab))) {
+        try {
+            const response = await fetch(`/api/read/${encodeFilePath(tab.path)}?${projectQuery()}`);
+            const data = await response.json();
+            if (!data.success) {
+                tab.onDisk = false;
+            } else if (data.content !== tab.doc.getValue()) {
+                tab.doc.setValue(data.content);
+                tab.cleanGeneration = tab.doc.changeGeneration();
+            }
+        } catch (error) {
+            console.error('Error reloading tab:', tab.path, error);
+        }
+    }
+    renderTabs();
+    saveOpenTabs();
+    updateLivePreview();
+}
+
+// Projects
+async function loadProjects() {
+    try {
+        const response = await fetch('/api/projects');
+        const data = await response.json();
+        
+        if (!data.projects.includes(currentProject)) {
+            currentProject = data.projects.includes('default') ? 'default' : data.projects[0];
+        }
+        
+        const select = document.getElementById('projectSelect');
+        select.innerHTML = '';
+        data.projects.forEach(project => {
+            const option = document.createElement('option');
+            option.value = project;
+            option.textContent = project;
+            select.appendChild(option);
+        });
+        select.value = currentProject;
+        
+        loadFileList();
+    } catch (error) {
+        console.error('Error loading projects:', error);
+    }
+}
+
+function switchProject(project) {
+    if (openTabs.some(isTabDirty) && !confirm('Some open files have unsaved changes. Discard them and switch projects?')) {
+        document.getElementById('projectSelect').value = currentProject;
+        return;
+    }
+    
+    currentProject = project;
+    localStorage.setItem('currentProject', project);
+    selectedFolder = '';
+    expandedFolders = new Set();
+    previewPage = 'index.html';
+    // Read the new project's saved tabs before the reset overwrites them
+    const saved = savedOpenTabs();
+    resetTabs();
+    loadProjects().then(() => restoreOpenTabs(saved));
+    if (isPanelOpen('gitPanel')) {
+        loadGitPanel();
+    }
+    showNotification('Switched to project: ' + project);
+}
+
+async function newProject() {
+    const name = prompt('New project name:');
+    if (!name) return;
+    
+    try {
+        const response = await fetch('/api/projects', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name })
+        });
+        
+        const data = await response.json();
+        if (data.success) {
+            switchProject(data.project);
+        } else {
+            showNotification('Error creating project: ' + data.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error creating project: ' + error.message, 'error');
+    }
+}
+
+async function renameProject() {
+    const name = prompt('Rename project:', currentProject);
+    if (!name || name === currentProject) return;
+    
+    try {
+        const response = await fetch(`/api/projects/${encodeURIComponent(currentProject)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name })
+        });
+        
+        const data = await response.json();
+        if (data.success) {
+            localStorage.setItem('openTabs:' + data.project, localStorage.getItem('openTabs:' + currentProject));
+            localStorage.removeItem('openTabs:' + currentProject);
+            currentProject = data.project;
+            localStorage.setItem('currentProject', currentProject);
+            loadProjects();
+        } else {
+            showNotification('Error renaming project: ' + data.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error renaming project: ' + error.message, 'error');
+    }
+}
+
+async function deleteProject() {
+    if (!confirm(`Delete project "${currentProject}" and all of its files?`)) return;
+    
+    try {
+        const response = await fetch(`/api/projects/${encodeURIComponent(currentProject)}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (data.success) {
+            showNotification('Project deleted: ' + data.project);
+            localStorage.removeItem('openTabs:' + data.project);
+            // The files are gone, so there is nothing left to save
+            openTabs = [];
+            switchProject('default');
+        } else {
+            showNotification('Error deleting project: ' + data.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error deleting project: ' + error.message, 'error');
+    }
+}
+
+// Git
+// Each project can be its own git repository. The panel drives the /api/git routes
+// and the file tree shows a status marker next to every changed file.
+const GIT_STATUS_NAMES = {
+    M: 'Modified',
+    A: 'Added',
+    D: 'Deleted',
+    R: 'Renamed',
+    C: 'Copied',
+    T: 'Type changed',
+    U: 'Conflict',
+    '?': 'Untracked'
+};
+const COMMIT_DIFF_CHARS = 12000;
+
+// path → { index, worktree } porcelain status codes from the last file list refresh
+let gitFileStatus = {};
+
+function gitApi(action) {
+    return `/api/git/${encodeURIComponent(currentProject)}/${action}`;
+}
+
+// Marker for a file in the tree: unstaged changes win over staged ones
+function gitMarker(status) {
+    const code = status.worktree !== ' ' ? status.worktree : status.index;
+    const staged = status.worktree === ' ';
+    return {
+        letter: code === '?' ? 'U' : code,
+        className: code === '?' ? 'untracked' : staged ? 'staged' : 'modified',
+        title: (GIT_STATUS_NAMES[code] || code) + (staged ? ' (staged)' : '')
+    };
+}
+
+// POST to a git route; returns the response data, or null after reporting the error
+async function gitRequest(action, body) {
+    try {
+        const response = await fetch(gitApi(action), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body || {})
+        });
+        
+        const data = await response.json();
+        if (data.success) {
+            return data;
+        }
+        showNotification('Git: ' + data.error, 'error');
+    } catch (error) {
+        showNotification('Git: ' + error.message, 'error');
+    }
+    return null;
+}
+
+async function loadGitPanel() {
+    try {
+        const status = await (await fetch(gitApi('status'))).json();
+        if (!status.success) {
+            showNotification('Git: ' + status.error, 'error');
+            return;
+        }
+        
+        document.getElementById('gitInit').style.display = status.initialized ? 'none' : 'block';
+        document.getElementById('gitRepo').style.display = status.initialized ? 'block' : 'none';
+        if (!status.initialized) return;
+        
+        renderGitChanges(status.files);
+        const [branches, log] = await Promise.all([
+            fetch(gitApi('branches')).then(response => response.json()),
+            fetch(gitApi('log')).then(response => response.json())
+        ]);
+        renderGitBranches(branches.current, branches.branches || []);
+        renderGitLog(log.commits || []);
+    } catch (error) {
+        showNotification('Error loading git status: ' + error.message, 'error');
+    }
+}
+
+function renderGitChanges(files) {
+    renderGitChangeList('gitStaged', files.filter(file => file.index !== ' ' && file.index !== '?'), true);
+    renderGitChangeList('gitUnstaged', files.filter(file => file.worktree !== ' '), false);
+}
+
+function renderGitChangeList(containerId, files, staged) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+    if (!files.length) {
+        container.textContent = staged ? 'No staged changes' : 'No changes';
+        return;
+    }
+    
+    files.forEach(file => {
+        const code = staged ? file.index : file.worktree;
+        
+        const item = document.createElement('div');
+        item.className = 'git-change';
+        
+        // Create elements safely to prevent XSS
+        const marker = document.createElement('span');
+        marker.className = 'git-marker ' + (code === '?' ? 'untracked' : staged ? 'staged' : 'modified');
+        marker.textContent = code === '?' ? 'U' : code;
+        marker.title = GIT_STATUS_NAMES[code] || code;
+        
+        const label = document.createElement('span');
+        label.className = 'git-path';
+        label.textContent = file.from ? `${file.from} → ${file.path}` : file.path;
+        label.title = 'Show diff';
+        label.onclick = () => showGitDiff(file.path, staged);
+        
+        item.appendChild(marker);
+        item.appendChild(label);
+        
+        const addButton = (text, title, onclick) => {
+            const button = document.createElement('button');
+            button.className = 'btn-icon';
+            button.textContent = text;
+            button.title = title;
+            button.onclick = onclick;
+            item.appendChild(button);
+        };
+        if (staged) {
+            addButton('−', 'Unstage', () => gitAction('unstage', [file.path]));
+        } else {
+            addButton('↺', 'Discard changes', () => discardGitChanges([file.path]));
+            addButton('+', 'Stage', () => gitAction('stage', [file.path]));
+        }
+        
+        container.appendChild(item);
+    });
+}
+
+function renderGitBranches(current, branches) {
+    const select = document.getElementById('gitBranch');
+    select.innerHTML = '';
+    
+    // No branches exist before the first commit, and HEAD may be detached
+    if (!current || !branches.includes(current)) {
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = current || '(detached)';
+        select.appendChild(option);
+    }
+    branches.forEach(branch => {
+        const option = document.createElement('option');
+        option.value = branch;
+        option.textContent = branch;
+        select.appendChild(option);
+    });
+    select.value = current && branches.includes(current) ? current : '';
+}
+
+function renderGitLog(commits) {
+    const container = document.getElementById('gitLog');
+    container.innerHTML = '';
+    if (!commits.length) {
+        container.textContent = 'No commits yet';
+        return;
+    }
+    
+    commits.forEach(commit => {
+        const item = document.createElement('div');
+        item.className = 'git-commit-entry';
+        
+        const hash = document.createElement('span');
+        hash.className = 'git-hash';
+        hash.textContent = commit.hash.slice(0, 7);
+        
+        const subject = document.createElement('span');
+        subject.className = 'git-subject';
+        subject.textContent = commit.subject;
+        
+        const meta = document.createElement('div');
+        meta.className = 'git-commit-meta';
+        meta.textContent = `${commit.author}, ${new Date(commit.date).toLocaleString()}`;
+        
+        item.appendChild(hash);
+        item.appendChild(subject);
+        item.appendChild(meta);
+        container.appendChild(item);
+    });
+}
+
+async function showGitDiff(filePath, staged) {
+    const container = document.getElementById('gitDiff');
+    
+    try {
+        const response = await fetch(`${gitApi('diff')}?path=${encodeURIComponent(filePath)}&staged=${staged}`);
+        const data = await response.json();
+        if (!data.success) {
+            showNotification('Git: ' + data.error, 'error');
+            return;
+        }
+        
+        container.innerHTML = '';
+        const title = document.createElement('div');
+        title.className = 'git-diff-title';
+        title.textContent = `${filePath} (${staged ? 'staged' : 'unstaged'})`;
+        container.appendChild(title);
+        
+        const pre = document.createElement('pre');
+        (data.diff || 'No differences').split('\n').forEach(line => {
+            const span = document.createElement('span');
+            if (line.startsWith('@@')) {
+                span.className = 'diff-hunk';
+            } else if (line.startsWith('+') && !line.startsWith('+++')) {
+                span.className = 'diff-added';
+            } else if (line.startsWith('-') && !line.startsWith('---')) {
+                span.className = 'diff-removed';
+            }
+            span.textContent = line + '\n';
+            pre.appendChild(span);
+        });
+        container.appendChild(pre);
+    } catch (error) {
+        showNotification('Error loading diff: ' + error.message, 'error');
+    }
+}
+
+async function gitAction(action, paths) {
+    if (await gitRequest(action, { paths })) {
+        loadGitPanel();
+        loadFileList();
+    }
+}
+
+async function initGitRepo() {
+    if (await gitRequest('init')) {
+        showNotification('Initialized git repository in ' + currentProject);
+        loadGitPanel();
+        loadFileList();
+    }
+}
+
+async function discardGitChanges(paths) {
+    const target = paths.length === 1 && paths[0] !== '.' ? `"${paths[0]}"` : 'all files';
+    if (!confirm(`Discard changes to ${target}? Untracked files are deleted. The current content stays available in file history.`)) return;
+    
+    if (await gitRequest('discard', { paths })) {
+        showNotification('Changes discarded');
+        reloadCleanTabs();
+        loadGitPanel();
+        loadFileList();
+    }
+}
+
+async function commitGitChanges() {
+    const messageInput = document.getElementById('gitMessage');
+    const message = messageInput.value.trim();
+    if (!message) {
+        showNotification('Enter a commit message', 'error');
+        return;
+    }
+    
+    const data = await gitRequest('commit', { message });
+    if (data) {
+        messageInput.value = '';
+        showNotification('Committed ' + data.commit.slice(0, 7));
+        loadGitPanel();
+        loadFileList();
+    }
+}
+
+async function switchGitBranch(branch) {
+    if (!branch) return;
+    if (await gitRequest('checkout', { branch })) {
+        showNotification('Switched to branch ' + branch);
+        reloadCleanTabs();
+        loadFileList();
+    }
+    loadGitPanel();
+}
+
+async function newGitBranch() {
+    const name = prompt('New branch name:');
+    if (!name) return;
+    
+    if (await gitRequest('branches', { name, checkout: true })) {
+        showNotification('Created and switched to branch ' + name);
+        loadGitPanel();
+    }
+}
+
+// Ask the AI service selected in the AI panel to summarize the staged diff
+async function generateCommitMessage() {
+    const button = document.getElementById('gitAIMessage');
+    
+    try {
+        const response = await fetch(`${gitApi('diff')}?staged=true`);
+        const data = await response.json();
+        if (!data.success) {
+            showNotification('Git: ' + data.error, 'error');
+            return;
+        }
+        if (!data.diff.trim()) {
+            showNotification('Stage some changes first', 'error');
+            return;
+        }
+        
+        button.disabled = true;
+        button.textContent = '✨ Generating...';
+        const truncated = data.diff.length > COMMIT_DIFF_CHARS;
+        const reply = await callGateway([
+            {
+                role: 'system',
+                content: 'You write git commit messages. Reply with only the message: an imperative subject ' +
+                    'line of at most 72 characters, optionally followed by a blank line and a short body.'
+            },
+            {
+                role: 'user',
+                content: `Write a commit message for this staged diff${truncated ? ' (truncated)' : ''}:\n\n` +
+                    data.diff.slice(0, COMMIT_DIFF_CHARS)
+            }
+        ]);
+        document.getElementById('gitMessage').value = extractCodeBlock(reply);
+    } catch (error) {
+        showNotification('Error generating commit message: ' + error.message, 'error');
+    } finally {
+        button.disabled = false;
+        button.textContent = '✨ AI Message';
+    }
+}
+
+// File History
+// Every save records a revision on the server. The panel lists revisions of the
+// active file and shows a side-by-side diff against the file or another revision.
+let historyRevisions = [];
+let historySelected = null;
+
+async function loadHistory() {
+    const list = document.getElementById('historyRevisions');
+    document.getElementById('historyFile').textContent = currentFile;
+    document.getElementById('historyDiff').innerHTML = '';
+    historySelected = null;
+    
+    try {
+        const response = await fetch(`/api/history/${encodeFilePath(currentFile)}?${projectQuery()}`);
+        const data = await response.json();
+        historyRevisions = data.success ? data.revisions : [];
+    } catch (error) {
+        historyRevisions = [];
+        showNotification('Error loading history: ' + error.message, 'error');
+    }
+    
+    const compare = document.getElementById('historyCompare');
+    compare.innerHTML = '';
+    const current = document.createElement('option');
+    current.value = '';
+    current.textContent = 'Saved file';
+    compare.appendChild(current);
+    historyRevisions.forEach(revision => {
+        const option = document.createElement('option');
+        option.value = revision.id;
+        option.textContent = `Revision ${revision.id}`;
+        compare.appendChild(option);
+    });
+    
+    list.innerHTML = '';
+    if (!historyRevisions.length) {
+        list.textContent = 'No revisions yet. Revisions are recorded each time the file is saved.';
+        return;
+    }
+    
+    historyRevisions.forEach(revision => {
+        const item = document.createElement('div');
+        item.className = 'history-item';
+        item.dataset.id = revision.id;
+        
+        // Create elements safely to prevent XSS
+        const label = document.createElement('span');
+        label.className = 'history-label';
+        label.textContent = `#${revision.id} · ${new Date(revision.timestamp).toLocaleString()} · ${revision.source} · ${formatBytes(revision.size)}`;
+        
+        const restoreButton = document.createElement('button');
+        restoreButton.className = 'btn-small';
+        restoreButton.textContent = 'Restore';
+        restoreButton.onclick = (e) => {
+            e.stopPropagation();
+            restoreRevision(revision.id);
+        };
+        
+        item.appendChild(label);
+        item.appendChild(restoreButton);
+        item.onclick = () => showRevisionDiff(revision.id);
+        list.appendChild(item);
+    });
+}
+
+async function showRevisionDiff(id) {
+    historySelected = id;
+    document.querySelectorAll('.history-item').forEach(item => {
+        item.classList.toggle('active', Number(item.dataset.id) === id);
+    });
+    
+    const to = document.getElementById('historyCompare').value;
+    const container = document.getElementById('historyDiff');
+    
+    try {
+        const response = await fetch(`/api/revision-diff/${encodeFilePath(currentFile)}?${projectQuery()}&from=${id}${to ? '&to=' + to : ''}`);
+        const data = await response.json();
+        if (!data.success) {
+            container.textContent = data.error;
+            return;
+        }
+        renderSideBySideDiff(data.diff, container, `Revision ${id}`, to ? `Revision ${to}` : 'Saved file');
+    } catch (error) {
+        showNotification('Error loading diff: ' + error.message, 'error');
+    }
+}
+
+// Two-column view of a diffLines() result; runs of removed/added lines are paired up
+function renderSideBySideDiff(diff, container, leftTitle, rightTitle) {
+    container.innerHTML = '';
+    
+    const table = document.createElement('table');
+    table.className = 'side-by-side-diff';
+    
+    const header = document.createElement('tr');
+    [leftTitle, rightTitle].forEach(title => {
+        const th = document.createElement('th');
+        th.colSpan = 2;
+        th.textContent = title;
+        header.appendChild(th);
+    });
+    table.appendChild(header);
+    
+    const addCells = (row, number, text, type) => {
+        const numberCell = document.createElement('td');
+        numberCell.className = 'diff-line-number';
+        numberCell.textContent = number;
+        const textCell = document.createElement('td');
+        textCell.className = 'diff-text ' + (text === undefined ? 'empty' : type);
+        textCell.textContent = text === undefined ? '' : text;
+        row.appendChild(numberCell);
+        row.appendChild(textCell);
+    };
+    
+    let leftLine = 1;
+    let rightLine = 1;
+    let i = 0;
+    while (i < diff.length) {
+        if (diff[i].type === 'same') {
+            const row = document.createElement('tr');
+            addCells(row, leftLine++, diff[i].text, 'same');
+            addCells(row, rightLine++, diff[i].text, 'same');
+            table.appendChild(row);
+            i++;
+            continue;
+        }
+        
+        const removed = [];
+        const added = [];
+        while (i < diff.length && diff[i].type !== 'same') {
+            (diff[i].type === 'removed' ? removed : added).push(diff[i].text);
+            i++;
+        }
+        for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+            const row = document.createElement('tr');
+            addCells(row, k < removed.length ? leftLine++ : '', removed[k], 'removed');
+            addCells(row, k < added.length ? rightLine++ : '', added[k], 'added');
+            table.appendChild(row);
+        }
+    }
+    
+    if (!diff.some(line => line.type !== 'same')) {
+        const note = document.createElement('p');
+        note.className = 'history-note';
+        note.textContent = 'No differences.';
+        container.appendChild(note);
+    }
+    container.appendChild(table);
+}
+
+async function restoreRevision(id) {
+    const tab = activeTab();
+    const unsaved = tab && isTabDirty(tab);
+    if (!confirm(`Restore revision ${id} of "${currentFile}"?${unsaved ? ' Unsaved changes in the editor will be replaced.' : ''}`)) return;
+    
+    try {
+        const response = await fetch('/api/restore', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ project: currentProject, path: currentFile, revision: id })
+        });
+        
+        const data = await response.json();
+        if (data.success) {
+            // Replace the buffer as one undoable change and mark it saved
+            tab.doc.setValue(data.content);
+            tab.onDisk = true;
+            tab.cleanGeneration = tab.doc.changeGeneration();
+            tab.dirty = false;
+            renderTabs();
+            saveOpenTabs();
+            showNotification(`Restored revision ${id} of ${currentFile}`);
+            loadFileList();
+            loadHistory();
+        } else {
+            showNotification('Error restoring revision: ' + data.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error restoring revision: ' + error.message, 'error');
+    }
+}
+
+// Panel Management
+function togglePanel(panelId) {
+    const panel = document.getElementById(panelId);
+    panel.classList.toggle('hidden');
+}
+
+function isPanelOpen(panelId) {
+    return !document.getElementById(panelId).classList.contains('hidden');
+}
+
+function closePanel(panelId) {
+    document.getElementById(panelId).classList.add('hidden');
+}
+
+function closeModal(modalId) {
+    document.getElementById(modalId).classList.add('hidden');
+}
+
+// API Key Management
+// Keys live in the server-side vault; the browser only ever sees their status.
+async function loadApiKeys() {
+    try {
+        const response = await fetch('/api/vault');
+        const data = await response.json();
+        
+        vaultUnlocked = data.unlocked;
+        vaultKeys = {};
+        data.keys.forEach(status => {
+            vaultKeys[status.service] = status;
+        });
+        
+        renderApiKeyForms();
+        updateApiKeyStatus();
+        await migrateLocalApiKeys();
+    } catch (error) {
+        console.error('Error loading API key vault:', error);
+    }
+}
+
+function hasApiKey(service) {
+    return Boolean(vaultKeys[service] && vaultKeys[service].source);
+}
+
+// Keys saved by earlier versions in localStorage are moved into the vault once
+async function migrateLocalApiKeys() {
+    const legacyKeys = JSON.parse(localStorage.getItem('apiKeys') || '{}');
+    if (!vaultUnlocked || Object.keys(legacyKeys).length === 0) return;
+    
+    for (const [service, key] of Object.entries(legacyKeys)) {
+        const stored = vaultKeys[service] && vaultKeys[service].stored;
+        const response = await fetch(`/api/vault/${service}`, {
+            method: stored ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ key })
+        });
+        const data = await response.json();
+        if (data.success) {
+            delete legacyKeys[service];
+            vaultKeys[service] = data.key;
+        }
+    }
+    
+    if (Object.keys(legacyKeys).length === 0) {
+        localStorage.removeItem('apiKeys');
+        showNotification('API keys moved from this browser into the server vault');
+    } else {
+        localStorage.setItem('apiKeys', JSON.stringify(legacyKeys));
+    }
+    updateApiKeyStatus();
+}
+
+function renderApiKeyForms() {
+    const notice = document.getElementById('vaultNotice');
+    notice.textContent = vaultUnlocked
+        ? ''
+        : 'The key vault is locked. Set VAULT_PASSPHRASE on the server to store keys, or provide them as environment variables.';
+    notice.style.display = vaultUnlocked ? 'none' : '';
+    
+    const formDiv = document.getElementById('apiKeyForms');
+    formDiv.innerHTML = '';
+    
+    Object.values(vaultKeys).forEach(status => {
+        // Create elements safely to prevent XSS
+        const heading = document.createElement('h3');
+        heading.textContent = `${status.name} API Key`;
+        
+        const input = document.createElement('input');
+        input.type = 'password';
+        input.id = status.service + 'Key';
+        input.placeholder = `Enter ${status.name} API Key`;
+        input.disabled = !vaultUnlocked;
+        
+        const button = document.createElement('button');
+        button.className = 'btn-small';
+        button.textContent = status.stored ? 'Rotate' : 'Save';
+        button.disabled = !vaultUnlocked;
+        button.onclick = () => saveApiKey(status.service);
+        
+        formDiv.appendChild(heading);
+        formDiv.appendChild(input);
+        formDiv.appendChild(button);
+    });
+}
+
+async function saveApiKey(service) {
+    const keyInput = document.getElementById(service + 'Key');
+    const key = keyInput.value.trim();
+    
+    if (!key) return;
+    
+    const rotate = vaultKeys[service] && vaultKeys[service].stored;
+    
+    try {
+        const response = await fetch(`/api/vault/${service}`, {
+            method: rotate ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ key })
+        });
+        
+        const data = await response.json();
+        if (data.success) {
+            keyInput.value = '';
+            vaultKeys[service] = data.key;
+            showNotification(`${service} API key ${rotate ? 'rotated' : 'saved'}`);
+            renderApiKeyForms();
+            updateApiKeyStatus();
+        } else {
+            showNotification('Error saving API key: ' + data.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error saving API key: ' + error.message, 'error');
+    }
+}
+
+async function testApiKey(service) {
+    try {
+        const response = await fetch(`/api/vault/${service}/test`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{}'
+        });
+        const data = await response.json();
+        
+        if (data.success) {
+            vaultKeys[service] = data.key;
+            updateApiKeyStatus();
+            if (data.key.test.ok) {
+                showNotification(`${service} API key works`);
+            } else {
+                showNotification(`${service} API key test failed: ${data.key.test.error}`, 'error');
+            }
+        } else {
+            showNotification('Error testing API key: ' + data.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error testing API key: ' + error.message, 'error');
+    }
+}
+
+async function revokeApiKey(service) {
+    if (!confirm(`Revoke the stored ${service} API key?`)) return;
+    
+    try {
+        const response = await fetch(`/api/vault/${service}`, { method: 'DELETE' });
+        const data = await response.json();
+        
+        if (data.success) {
+            vaultKeys[service] = data.key;
+            showNotification(`${service} API key revoked`);
+            renderApiKeyForms();
+            updateApiKeyStatus();
+        } else {
+            showNotification('Error revoking API key: ' + data.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error revoking API key: ' + error.message, 'error');
+    }
+}
+
+function updateApiKeyStatus() {
+    const statusDiv = document.getElementById('apiKeyStatus');
+    statusDiv.innerHTML = '';
+    
+    Object.values(vaultKeys).forEach(status => {
+        const item = document.createElement('div');
+        item.className = 'api-key-status-item';
+        
+        // Create elements safely to prevent XSS
+        const serviceSpan = document.createElement('span');
+        serviceSpan.textContent = status.name;
+        
+        const sourceSpan = document.createElement('span');
+        sourceSpan.className = 'api-key-source';
+        sourceSpan.textContent = status.source === 'vault'
+            ? 'vault'
+            : status.source === 'env' ? status.envKey : 'not set';
+        
+        // Green: last test passed, red: failed, amber: configured but untested, grey: missing
+        const indicatorSpan = document.createElement('span');
+        indicatorSpan.className = 'status-indicator ' + (!status.source
+            ? 'missing'
+            : !status.test ? 'untested' : status.test.ok ? 'ok' : 'failed');
+        indicatorSpan.title = status.test
+            ? `${status.test.ok ? 'Passed' : 'Failed: ' + status.test.error} (${new Date(status.test.testedAt).toLocaleString()})`
+            : status.source ? 'Not tested yet' : 'No key configured';
+        
+        const actions = document.createElement('span');
+        actions.className = 'api-key-actions';
+        
+        if (status.source) {
+            const testButton = document.createElement('button');
+            testButton.className = 'btn-small';
+            testButton.textContent = 'Test';
+            testButton.onclick = () => testApiKey(status.service);
+            actions.appendChild(testButton);
+        }
+        if (status.stored) {
+            const revokeButton = document.createElement('button');
+            revokeButton.className = 'btn-small';
+            revokeButton.textContent = 'Revoke';
+            revokeButton.onclick = () => revokeApiKey(status.service);
+            actions.appendChild(revokeButton);
+        }
+        actions.appendChild(indicatorSpan);
+        
+        item.appendChild(serviceSpan);
+        item.appendChild(sourceSpan);
+        item.appendChild(actions);
+        statusDiv.appendChild(item);
     });
 }
 
 // AI Assistant
+async function loadProviders() {
+    try {
+        const response = await fetch('/api/providers');
+        const data = await response.json();
+        
+        aiProviders = data.providers;
+        const select = document.getElementById('aiService');
+        select.innerHTML = '';
+        
+        aiProviders.forEach(provider => {
+            const option = document.createElement('option');
+            option.value = provider.id;
+            option.textContent = provider.name;
+            select.appendChild(option);
+        });
+        
+        updateModelPlaceholder();
+    } catch (error) {
+        console.error('Error loading AI providers:', error);
+    }
+}
+
+function updateModelPlaceholder() {
+    const provider = aiProviders.find(p => p.id === document.getElementById('aiService').value);
+    document.getElementById('aiModel').placeholder = provider && provider.defaultModel
+        ? `Model (default: ${provider.defaultModel})`
+        : 'Model (optional)';
+}
+
 async function sendAIMessage() {
     const promptInput = document.getElementById('aiPrompt');
     const prompt = promptInput.value.trim();
     
-    if (!prompt) return;
+    if (!prompt) return;
+    
+    const service = document.getElementById('aiService').value;
+    const model = document.getElementById('aiModel').value;
+    const provider = aiProviders.find(p => p.id === service);
+    
+    if (provider && provider.requiresKey && !hasApiKey(service)) {
+        showNotification('Please set API key for ' + service, 'error');
+        return;
+    }
+    
+    // Add user message; the whole thread so far is sent so the AI remembers earlier turns
+    addAIMessage('user', prompt);
+    promptInput.value = '';
+    // The reply is saved to the conversation it was asked in, whatever is selected by then
+    const thread = aiThread;
+    const messages = (thread ? thread.messages : []).concat({ role: 'user', content: prompt });
+    
+    // Show loading; replaced by streamed text as it arrives
+    const messageId = addAIMessage('assistant', 'Thinking...');
+    const contentDiv = document.querySelector(`#${messageId} .ai-message-content`);
+    const messagesDiv = document.getElementById('aiMessages');
+    let text = '';
+    
+    aiAbortController = new AbortController();
+    setAIStreaming(true);
+    
+    try {
+        // Retrieved context goes with this request only; the saved thread keeps just the conversation
+        let sent = messages;
+        if (document.getElementById('aiRetrieval').checked) {
+            try {
+                const context = await retrievalContext(prompt);
+                if (context) {
+                    sent = [context.message].concat(messages);
+                    addAISources(messageId, context.results);
+                }
+            } catch (error) {
+                showNotification('Workspace search failed, asking without context: ' + error.message, 'error');
+            }
+        }
+        
+        const response = await fetch('/api/gateway', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                service,
+                messages: sent,
+                model: model || undefined,
+                stream: true
+            }),
+            signal: aiAbortController.signal
+        });
+        
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error);
+        }
+        
+        await readEventStream(response, (event, data) => {
+            if (event === 'delta') {
+                text += data.text;
+                contentDiv.textContent = text;
+                messagesDiv.scrollTop = messagesDiv.scrollHeight;
+            } else if (event === 'error') {
+                throw new Error(data.error);
+            }
+        });
+        
+        if (!text) {
+            contentDiv.textContent = '(empty response)';
+        }
+        await saveAIThread(thread, messages.concat({ role: 'assistant', content: text }), service);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            contentDiv.textContent = text + ' [stopped]';
+            // Keep whatever arrived before Stop so the conversation stays consistent; a
+            // question stopped before any reply is left out of the thread altogether
+            if (text) {
+                await saveAIThread(thread, messages.concat({ role: 'assistant', content: text }), service);
+            }
+        } else {
+            contentDiv.textContent = (text ? text + '\n\n' : '') + 'Error: ' + error.message;
+        }
+    } finally {
+        aiAbortController = null;
+        setAIStreaming(false);
+    }
+}
+
+// Conversation threads
+async function saveAIThread(thread, messages, service) {
+    try {
+        const response = await fetch(thread ? `/api/threads/${thread.id}` : '/api/threads', {
+            method: thread ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: thread ? undefined : messages[0].content.slice(0, 40),
+                service,
+                messages
+            })
+        });
+        
+        const data = await response.json();
+        if (data.success) {
+            aiThread = data.thread;
+            loadAIThreads();
+        } else {
+            showNotification('Error saving conversation: ' + data.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error saving conversation: ' + error.message, 'error');
+    }
+}
+
+async function loadAIThreads() {
+    try {
+        const response = await fetch('/api/threads');
+        const data = await response.json();
+        
+        const select = document.getElementById('aiThreadSelect');
+        select.innerHTML = '';
+        
+        const newOption = document.createElement('option');
+        newOption.value = '';
+        newOption.textContent = 'New conversation';
+        select.appendChild(newOption);
+        
+        data.threads.forEach(thread => {
+            const option = document.createElement('option');
+            option.value = thread.id;
+            option.textContent = `${thread.name} (${thread.messageCount})`;
+            select.appendChild(option);
+        });
+        
+        select.value = aiThread ? aiThread.id : '';
+    } catch (error) {
+        console.error('Error loading conversations:', error);
+    }
+}
+
+async function resumeAIThread(id) {
+    try {
+        const response = await fetch(`/api/threads/${id}`);
+        const data = await response.json();
+        
+        if (data.success) {
+            aiThread = data.thread;
+            document.getElementById('aiMessages').innerHTML = '';
+            aiThread.messages
+                .filter(message => message.role !== 'system')
+                .forEach(message => addAIMessage(message.role, message.content));
+            if (aiThread.service) {
+                document.getElementById('aiService').value = aiThread.service;
+            }
+        } else {
+            showNotification('Error loading conversation: ' + data.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error loading conversation: ' + error.message, 'error');
+    }
+}
+
+function newAIThread() {
+    aiThread = null;
+    document.getElementById('aiMessages').innerHTML = '';
+    document.getElementById('aiThreadSelect').value = '';
+}
+
+async function renameAIThread() {
+    if (!aiThread) {
+        showNotification('Send a message to start a conversation first', 'error');
+        return;
+    }
+    
+    const name = prompt('Rename conversation:', aiThread.name);
+    if (!name) return;
+    
+    try {
+        const response = await fetch(`/api/threads/${aiThread.id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name })
+        });
+        
+        const data = await response.json();
+        if (data.success) {
+            aiThread = data.thread;
+            loadAIThreads();
+        }
+    } catch (error) {
+        showNotification('Error renaming conversation: ' + error.message, 'error');
+    }
+}
+
+async function deleteAIThread() {
+    if (!aiThread || !confirm(`Delete conversation "${aiThread.name}"?`)) return;
+    
+    try {
+        const response = await fetch(`/api/threads/${aiThread.id}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (data.success) {
+            showNotification('Conversation deleted');
+            newAIThread();
+            loadAIThreads();
+        }
+    } catch (error) {
+        showNotification('Error deleting conversation: ' + error.message, 'error');
+    }
+}
+
+function stopAIMessage() {
+    if (aiAbortController) {
+        aiAbortController.abort();
+    }
+}
+
+// Thread controls stay disabled while a reply streams, so the conversation on screen is
+// the one the reply belongs to
+function setAIStreaming(streaming) {
+    document.getElementById('sendAI').style.display = streaming ? 'none' : '';
+    document.getElementById('stopAI').style.display = streaming ? '' : 'none';
+    ['aiThreadSelect', 'newThread', 'renameThread', 'deleteThread'].forEach(id => {
+        document.getElementById(id).disabled = streaming;
+    });
+}
+
+// Read a text/event-stream response, calling onEvent(event, data) per message
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        
+        buffer += decoder.decode(value, { stream: true });
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop();
+        
+        messages.forEach(message => {
+            let event = 'message';
+            let data = '';
+            message.split('\n').forEach(line => {
+                if (line.startsWith('event:')) {
+                    event = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    data += line.slice(5).trim();
+                }
+            });
+            if (data) {
+                onEvent(event, JSON.parse(data));
+            }
+        });
+    }
+}
+
+function addAIMessage(role, content) {
+    const messagesDiv = document.getElementById('aiMessages');
+    const messageDiv = document.createElement('div');
+    const messageId = 'msg-' + Date.now() + '-' + (++aiMessageCounter);
+    
+    messageDiv.id = messageId;
+    messageDiv.className = `ai-message ${role}`;
+    
+    // Create elements safely to prevent XSS
+    const labelDiv = document.createElement('div');
+    labelDiv.className = 'ai-message-label';
+    labelDiv.textContent = role === 'user' ? 'You' : 'AI';
+    
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'ai-message-content';
+    contentDiv.textContent = content;
+    
+    messageDiv.appendChild(labelDiv);
+    messageDiv.appendChild(contentDiv);
+    
+    messagesDiv.appendChild(messageDiv);
+    messagesDiv.scrollTop = messagesDiv.scrollHeight;
+    
+    return messageId;
+}
+
+// List the search results given to the AI as context under its message; each opens its source
+function addAISources(messageId, results) {
+    const sourcesDiv = document.createElement('div');
+    sourcesDiv.className = 'ai-message-sources';
+    sourcesDiv.textContent = 'Context: ';
+    
+    results.forEach((result, i) => {
+        const link = document.createElement('button');
+        link.className = 'ai-source-link';
+        link.textContent = `[${i + 1}] ${searchResultLabel(result)}`;
+        link.onclick = () => openSearchResult(result);
+        sourcesDiv.appendChild(link);
+    });
+    document.getElementById(messageId).appendChild(sourcesDiv);
+}
+
+// AI Code Actions
+// Each action sends the selection plus surrounding file context through the gateway.
+// Actions that rewrite code show their result as an inline diff to accept or reject.
+// Shortcuts are two-key chords (Ctrl+K, then a letter): Ctrl+Alt combinations are AltGr
+// on many keyboard layouts, where they type characters such as € or ę.
+const AI_CODE_ACTIONS = [
+    {
+        id: 'explain',
+        label: 'Explain selection',
+        key: 'Ctrl-K E',
+        rewrites: false,
+        instruction: 'Explain what the selected code does, concisely, in plain prose.'
+    },
+    {
+        id: 'refactor',
+        label: 'Refactor selection',
+        key: 'Ctrl-K R',
+        rewrites: true,
+        instruction: 'Refactor the selected code for readability and maintainability without changing its behaviour.'
+    },
+    {
+        id: 'comment',
+        label: 'Add comments',
+        key: 'Ctrl-K C',
+        rewrites: true,
+        instruction: 'Add clear, useful comments to the selected code without changing the code itself.'
+    },
+    {
+        id: 'fix',
+        label: 'Fix errors',
+        key: 'Ctrl-K F',
+        rewrites: true,
+        instruction: 'Find and fix bugs, syntax errors and obvious mistakes in the selected code.'
+    },
+    {
+        id: 'generate',
+        label: 'Generate from comment',
+        key: 'Ctrl-K G',
+        rewrites: true,
+        instruction: 'The selected text is a comment describing code to write. Keep the comment and write the code it describes directly after it.'
+    }
+];
+
+const CODE_ACTION_CONTEXT_LINES = 50;
+
+let pendingCodeAction = null;
+
+function initializeCodeActions() {
+    const extraKeys = {};
+    AI_CODE_ACTIONS.forEach(action => {
+        extraKeys[action.key] = () => runCodeAction(action.id);
+    });
+    editor.setOption('extraKeys', CodeMirror.normalizeKeyMap(extraKeys));
+    
+    editor.getWrapperElement().addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        showCodeActionMenu(e.clientX, e.clientY);
+    });
+    
+    document.addEventListener('click', hideCodeActionMenu);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') hideCodeActionMenu();
+    });
+}
+
+function showCodeActionMenu(x, y) {
+    hideCodeActionMenu();
+    
+    const menu = document.createElement('div');
+    menu.id = 'codeActionMenu';
+    menu.className = 'editor-context-menu';
+    
+    AI_CODE_ACTIONS.forEach(action => {
+        const item = document.createElement('div');
+        item.className = 'editor-context-menu-item';
+        
+        const label = document.createElement('span');
+        label.textContent = '🤖 ' + action.label;
+        const shortcut = document.createElement('span');
+        shortcut.className = 'editor-context-menu-key';
+        shortcut.textContent = action.key;
+        
+        item.appendChild(label);
+        item.appendChild(shortcut);
+        item.onclick = () => {
+            hideCodeActionMenu();
+            runCodeAction(action.id);
+        };
+        menu.appendChild(item);
+    });
+    
+    document.body.appendChild(menu);
+    
+    // Keep the menu on screen
+    const rect = menu.getBoundingClientRect();
+    menu.style.left = Math.min(x, window.innerWidth - rect.width - 5) + 'px';
+    menu.style.top = Math.min(y, window.innerHeight - rect.height - 5) + 'px';
+}
+
+function hideCodeActionMenu() {
+    const menu = document.getElementById('codeActionMenu');
+    if (menu) menu.remove();
+}
+
+// The range an action works on: the selection, or a sensible default when nothing is selected
+function getCodeActionRange(actionId) {
+    if (editor.somethingSelected()) {
+        const selection = editor.listSelections()[0];
+        const [from, to] = CodeMirror.cmpPos(selection.anchor, selection.head) <= 0
+            ? [selection.anchor, selection.head]
+            : [selection.head, selection.anchor];
+        return { from, to };
+    }
+    
+    const cursor = editor.getCursor();
+    if (actionId === 'generate' && editor.getLine(cursor.line).trim()) {
+        return { from: { line: cursor.line, ch: 0 }, to: { line: cursor.line, ch: editor.getLine(cursor.line).length } };
+    }
+    if (actionId === 'fix') {
+        const lastLine = editor.lastLine();
+        return { from: { line: 0, ch: 0 }, to: { line: lastLine, ch: editor.getLine(lastLine).length } };
+    }
+    return null;
+}
+
+function buildCodeActionMessages(action, range, note) {
+    const selected = editor.getRange(range.from, range.to);
+    const before = editor.getRange(
+        { line: Math.max(0, range.from.line - CODE_ACTION_CONTEXT_LINES), ch: 0 },
+        range.from
+    );
+    const afterLine = Math.min(editor.lastLine(), range.to.line + CODE_ACTION_CONTEXT_LINES);
+    const after = editor.getRange(range.to, { line: afterLine, ch: editor.getLine(afterLine).length });
+    
+    const format = action.rewrites
+        ? 'Reply with only the replacement for the selected code in a single fenced code block. ' +
+          'Do not repeat the surrounding context.'
+        : 'Do not rewrite the code.';
+    
+    return [
+        {
+            role: 'system',
+            content: 'You are a coding assistant embedded in a code editor. ' +
+                'Match the language, indentation and style of the surrounding file.'
+        },
+        {
+            role: 'user',
+            content: `File: ${currentFile} (mode: ${editor.getOption('mode')})\n\n` +
+                `Code before the selection:\n\`\`\`\n${before}\n\`\`\`\n\n` +
+                `Selected code:\n\`\`\`\n${selected}\n\`\`\`\n\n` +
+                `Code after the selection:\n\`\`\`\n${after}\n\`\`\`\n\n` +
+                (note ? `${note}\n\n` : '') +
+                `${action.instruction} ${format}`
+        }
+    ];
+}
+
+// Take the first fenced code block from a reply, or the whole reply if there is none
+function extractCodeBlock(text) {
+    const match = text.match(/```[\w-]*\n([\s\S]*?)\n?```/);
+    return match ? match[1] : text.trim();
+}
+
+// Non-streaming gateway call with the service and model chosen in the AI panel
+async function callGateway(messages, signal) {
+    const service = document.getElementById('aiService').value;
+    const model = document.getElementById('aiModel').value;
+    const provider = aiProviders.find(p => p.id === service);
+    
+    if (provider && provider.requiresKey && !hasApiKey(service)) {
+        throw new Error('Please set API key for ' + service);
+    }
+    
+    const response = await fetch('/api/gateway', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ service, messages, model: model || undefined }),
+        signal
+    });
+    
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.error);
+    }
+    return data.response;
+}
+
+// `note` adds extra context to the request, e.g. an error reported by the preview
+async function runCodeAction(actionId, note) {
+    const action = AI_CODE_ACTIONS.find(a => a.id === actionId);
+    const range = getCodeActionRange(actionId);
+    
+    if (!range) {
+        showNotification('Select some code first', 'error');
+        return;
+    }
+    
+    clearCodeAction();
+    
+    const original = editor.getRange(range.from, range.to);
+    const controller = new AbortController();
+    const marker = editor.markText(range.from, range.to, { className: 'ai-diff-range', clearWhenEmpty: false });
+    
+    const widgetNode = document.createElement('div');
+    widgetNode.className = 'ai-diff-widget';
+    const widget = editor.addLineWidget(range.to.line, widgetNode, { noHScroll: true });
+    pendingCodeAction = { marker, widget, controller };
+    
+    renderCodeActionWidget(widgetNode, action.label, 'AI is working...', [
+        { label: 'Cancel', onClick: clearCodeAction }
+    ]);
+    
+    try {
+        const reply = await callGateway(buildCodeActionMessages(action, range, note), controller.signal);
+        if (!pendingCodeAction || pendingCodeAction.controller !== controller) return;
+        
+        if (action.rewrites) {
+            const suggestion = extractCodeBlock(reply);
+            renderCodeActionWidget(widgetNode, action.label, diffLines(original, suggestion), [
+                { label: 'Accept', primary: true, onClick: () => acceptCodeAction(suggestion) },
+                { label: 'Reject', onClick: clearCodeAction }
+            ]);
+        } else {
+            renderCodeActionWidget(widgetNode, action.label, reply, [
+                { label: 'Dismiss', onClick: clearCodeAction }
+            ]);
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        renderCodeActionWidget(widgetNode, action.label, 'Error: ' + error.message, [
+            { label: 'Dismiss', onClick: clearCodeAction }
+        ]);
+    }
+    widget.changed();
+}
+
+// `body` is either plain text or a line diff from diffLines()
+function renderCodeActionWidget(node, title, body, buttons) {
+    node.innerHTML = '';
+    
+    const header = document.createElement('div');
+    header.className = 'ai-diff-header';
+    const titleSpan = document.createElement('span');
+    titleSpan.textContent = '🤖 ' + title;
+    header.appendChild(titleSpan);
+    
+    const actions = document.createElement('span');
+    buttons.forEach(({ label, primary, onClick }) => {
+        const button = document.createElement('button');
+        button.className = primary ? 'btn-small' : 'btn-small btn-secondary';
+        button.textContent = label;
+        button.onclick = onClick;
+        actions.appendChild(button);
+    });
+    header.appendChild(actions);
+    node.appendChild(header);
+    
+    const content = document.createElement('div');
+    content.className = 'ai-diff-body';
+    if (typeof body === 'string') {
+        content.classList.add('ai-diff-text');
+        content.textContent = body;
+    } else {
+        body.forEach(line => {
+            const lineDiv = document.createElement('div');
+            lineDiv.className = 'ai-diff-line ' + line.type;
+            lineDiv.textContent = (line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  ') + line.text;
+            content.appendChild(lineDiv);
+        });
+    }
+    node.appendChild(content);
+}
+
+function acceptCodeAction(suggestion) {
+    const range = pendingCodeAction && pendingCodeAction.marker.find();
+    if (range) {
+        editor.replaceRange(suggestion, range.from, range.to, '+ai');
+        showNotification('AI change applied');
+    }
+    clearCodeAction();
+    editor.focus();
+}
+
+function clearCodeAction() {
+    if (!pendingCodeAction) return;
+    pendingCodeAction.controller.abort();
+    pendingCodeAction.marker.clear();
+    pendingCodeAction.widget.clear();
+    pendingCodeAction = null;
+}
+
+// Inline Completion
+// After a typing pause the editor asks /api/complete for a suggestion and shows it
+// as ghost text at the cursor. Tab accepts, Esc (or moving on) dismisses.
+const COMPLETION_DELAY = 600;
+const COMPLETION_PREFIX_CHARS = 3000;
+const COMPLETION_SUFFIX_CHARS = 1000;
+
+let completionsEnabled = localStorage.getItem('aiCompletions') === 'on';
+let completionController = null;
+let ghostText = null;
+
+function initializeCompletions() {
+    const toggle = document.getElementById('aiCompletionsToggle');
+    toggle.checked = completionsEnabled;
+    toggle.addEventListener('change', (e) => {
+        completionsEnabled = e.target.checked;
+        localStorage.setItem('aiCompletions', completionsEnabled ? 'on' : 'off');
+        cancelCompletion();
+        clearGhostText();
+    });
+    
+    const requestLater = debounce(requestCompletion, COMPLETION_DELAY);
+    editor.on('changes', (cm, changes) => {
+        cancelCompletion();
+        clearGhostText();
+        if (completionsEnabled && changes.some(change => change.origin === '+input')) {
+            requestLater();
+        }
+    });
+    editor.on('cursorActivity', () => {
+        if (ghostText && CodeMirror.cmpPos(editor.getCursor(), ghostText.pos) !== 0) {
+            clearGhostText();
+        }
+    });
+    
+    editor.setOption('extraKeys', Object.assign({}, editor.getOption('extraKeys'), {
+        Tab: () => (ghostText ? acceptGhostText() : CodeMirror.Pass),
+        Esc: () => (ghostText ? clearGhostText() : CodeMirror.Pass)
+    }));
+}
+
+async function requestCompletion() {
+    if (!completionsEnabled || editor.somethingSelected()) return;
+    
+    // Only complete at the end of a line or before closing brackets/quotes
+    const cursor = editor.getCursor();
+    if (!/^[\s)\]}>'"`;,]*$/.test(editor.getLine(cursor.line).slice(cursor.ch))) return;
+    
+    const service = document.getElementById('aiService').value;
+    const model = document.getElementById('aiModel').value;
+    const provider = aiProviders.find(p => p.id === service);
+    if (!provider || (provider.requiresKey && !hasApiKey(service))) return;
+    
+    cancelCompletion();
+    const controller = new AbortController();
+    completionController = controller;
+    const generation = editor.changeGeneration();
+    const content = editor.getValue();
+    const index = editor.indexFromPos(cursor);
+    
+    try {
+        const response = await fetch('/api/complete', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                service,
+                model: model || undefined,
+                prefix: content.slice(Math.max(0, index - COMPLETION_PREFIX_CHARS), index),
+                suffix: content.slice(index, index + COMPLETION_SUFFIX_CHARS),
+                language: editor.getOption('mode'),
+                filename: currentFile
+            }),
+            signal: controller.signal
+        });
+        
+        const data = await response.json();
+        
+        // Drop the suggestion if the buffer or cursor moved on while we waited
+        if (!data.success || !data.completion ||
+            editor.changeGeneration() !== generation ||
+            CodeMirror.cmpPos(editor.getCursor(), cursor) !== 0) {
+            return;
+        }
+        showGhostText(data.completion, cursor);
+    } catch (error) {
+        // Completions are best effort; aborted or failed requests are ignored
+    } finally {
+        if (completionController === controller) {
+            completionController = null;
+        }
+    }
+}
+
+function cancelCompletion() {
+    if (completionController) {
+        completionController.abort();
+        completionController = null;
+    }
+}
+
+function showGhostText(text, pos) {
+    clearGhostText();
+    
+    const lines = text.split('\n');
+    const inline = document.createElement('span');
+    inline.className = 'ghost-text';
+    inline.textContent = lines[0];
+    const bookmark = editor.setBookmark(pos, { widget: inline, insertLeft: true });
+    
+    // Further lines go in a widget below the cursor line
+    let widget = null;
+    if (lines.length > 1) {
+        const block = document.createElement('div');
+        block.className = 'ghost-text ghost-text-block';
+        block.textContent = lines.slice(1).join('\n');
+        widget = editor.addLineWidget(pos.line, block);
+    }
+    
+    ghostText = { text, pos, bookmark, widget };
+}
+
+function acceptGhostText() {
+    const { text, pos } = ghostText;
+    clearGhostText();
+    editor.replaceRange(text, pos, pos, '+ai-complete');
+}
+
+function clearGhostText() {
+    if (!ghostText) return;
+    ghostText.bookmark.clear();
+    if (ghostText.widget) {
+        ghostText.widget.clear();
+    }
+    ghostText = null;
+}
+
+// Notebook
+// Cell types with their editor modes. Node.js and Python cells run in server kernels
+// and are only offered when the server has them enabled.
+const NOTEBOOK_CELL_TYPES = {
+    code: { label: 'JavaScript (browser)', mode: 'javascript' },
+    node: { label: 'Node.js (server)', mode: 'javascript', server: true },
+    python: { label: 'Python (server)', mode: 'python', server: true },
+    markdown: { label: 'Markdown', mode: 'markdown' }
+};
+const NOTEBOOK_CELL_MIME = 'application/x-notebook-cell';
+
+let notebookCellCount = 0;
+// Set by edits, runs and added or deleted cells; cleared when the notebook is saved or opened
+let notebookDirty = false;
+// Shown as [n]; one sequence for the whole notebook, whichever kernel runs the cell
+let notebookExecutionCount = 0;
+// Never reset, so runOrder always tells which of two cells ran last
+let notebookRunSequence = 0;
+let activeNotebookCell = null;
+let notebookRunningAll = false;
+
+// Cells are { id, notebookId, editor, type, outputs, executionCount, runOrder, ranSource };
+// `outputs` holds nbformat outputs, so the notebook can be saved as .ipynb at any time.
+// The cell goes at `index` in the notebook, or at the end.
+function addNotebookCell({ type = 'code', source = '', notebookId, index = notebookCells.length } = {}) {
+    const cellsDiv = document.getElementById('notebookCells');
+    const cellId = `cell-${Date.now()}-${++notebookCellCount}`;
+    const typeOptions = Object.entries(NOTEBOOK_CELL_TYPES)
+        .filter(([value, spec]) => !spec.server || serverKernelLanguages.includes(value) || value === type)
+        .map(([value, spec]) => `<option value="${value}"${value === type ? ' selected' : ''}>${spec.label}</option>`)
+        .join('');
+    
+    const cellDiv = document.createElement('div');
+    cellDiv.className = 'notebook-cell';
+    cellDiv.id = cellId;
+    cellDiv.innerHTML = `
+        <div class="cell-header">
+            <span class="cell-drag-handle" draggable="true" title="Drag to move the cell">⋮⋮</span>
+            <span class="cell-count" id="${cellId}-count">[ ]</span>
+            <select class="cell-type-selector" onchange="changeCellType('${cellId}', this.value)">
+                ${typeOptions}
+            </select>
+            <div class="cell-controls">
+                <button class="btn-small" onclick="runCell('${cellId}')" title="Run (Ctrl+Enter)">▶ Run</button>
+                <button class="btn-small" onclick="moveCellBy('${cellId}', -1)" title="Move up (Alt+↑)">↑</button>
+                <button class="btn-small" onclick="moveCellBy('${cellId}', 1)" title="Move down (Alt+↓)">↓</button>
+                <button class="btn-small" onclick="insertCell('${cellId}', 0)" title="Insert a cell above">+ Above</button>
+                <button class="btn-small" onclick="insertCell('${cellId}', 1)" title="Insert a cell below">+ Below</button>
+                <button class="btn-small" onclick="deleteCell('${cellId}')">🗑️</button>
+            </div>
+        </div>
+        <div class="cell-editor" id="${cellId}-editor"></div>
+        <div class="cell-output" id="${cellId}-output"></div>
+    `;
+    
+    const next = notebookCells[index];
+    cellsDiv.insertBefore(cellDiv, next ? document.getElementById(next.id) : null);
+    
+    // Initialize CodeMirror for this cell
+    const cellEditor = CodeMirror(document.getElementById(`${cellId}-editor`), {
+        value: source,
+        mode: NOTEBOOK_CELL_TYPES[type].mode,
+        theme: 'monokai',
+        lineNumbers: true,
+        lineWrapping: true,
+        extraKeys: {
+            'Ctrl-Enter': () => runCell(cellId),
+            'Cmd-Enter': () => runCell(cellId),
+            'Shift-Enter': () => runCellAndAdvance(cellId),
+            'Alt-Up': () => moveCellBy(cellId, -1),
+            'Alt-Down': () => moveCellBy(cellId, 1)
+        }
+    });
+    cellEditor.on('changes', () => {
+        notebookDirty = true;
+        updateStaleCellsSoon();
+    });
+    cellEditor.on('focus', () => selectNotebookCell(cellId));
+    cellDiv.addEventListener('mousedown', () => selectNotebookCell(cellId));
+    initializeCellDragging(cellDiv, cellId);
+    
+    const cell = {
+        id: cellId,
+        notebookId: notebookId || cellId,
+        editor: cellEditor,
+        type,
+        outputs: [],
+        executionCount: null,
+        runOrder: null,
+        ranSource: null
+    };
+    notebookCells.splice(index, 0, cell);
+    notebookDirty = true;
+    return cell;
+}
+
+function changeCellType(cellId, type) {
+    const cell = notebookCells.find(c => c.id === cellId);
+    if (cell) {
+        cell.type = type;
+        cell.editor.setOption('mode', NOTEBOOK_CELL_TYPES[type].mode);
+        notebookDirty = true;
+        updateStaleCells();
+    }
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+// Resolves with the cell's status: ok, error, interrupted, timeout, dead (its kernel
+// stopped) or cancelled (it never ran)
+async function runCell(cellId) {
+    const cell = notebookCells.find(c => c.id === cellId);
+    if (!cell) return 'cancelled';
+    
+    const code = cell.editor.getValue();
+    const outputDiv = document.getElementById(`${cellId}-output`);
+    notebookDirty = true;
+    
+    if (cell.type === 'markdown') {
+        outputDiv.innerHTML = `<div class="markdown-body">${renderMarkdown(code)}</div>`;
+        return 'ok';
+    }
+    
+    outputDiv.innerHTML = '';
+    cell.outputs = [];
+    setCellCount(cellId, '*');
+    const status = NOTEBOOK_CELL_TYPES[cell.type].server
+        ? await executeOnServer(cellId, cell.type, code)
+        : await executeInKernel(cellId, code);
+    if (cell.executionCount !== null) {
+        cell.runOrder = ++notebookRunSequence;
+        cell.ranSource = code;
+    }
+    updateStaleCells();
+    return status;
+}
+
+// Shift+Enter: run the cell and move to the next one, adding it at the end
+function runCellAndAdvance(cellId) {
+    const index = notebookCells.findIndex(c => c.id === cellId);
+    runCell(cellId);
+    const next = notebookCells[index + 1] || addNotebookCell({ index: index + 1 });
+    next.editor.focus();
+}
+
+// Run cells one after another, stopping at the first that does not finish cleanly
+async function runCells(cells) {
+    if (notebookRunningAll) {
+        showNotification('Cells are already running', 'error');
+        return;
+    }
+    
+    notebookRunningAll = true;
+    try {
+        for (const cell of cells) {
+            // Cells deleted while earlier ones ran are skipped
+            if (!notebookCells.includes(cell)) continue;
+            const status = await runCell(cell.id);
+            if (status !== 'ok') break;
+        }
+    } finally {
+        notebookRunningAll = false;
+    }
+}
+
+function runAllCells() {
+    return runCells(notebookCells.slice());
+}
+
+// Cells above the selected one, or from it to the end
+function runCellsAround(below) {
+    const index = notebookCells.findIndex(c => c.id === activeNotebookCell);
+    if (index === -1) {
+        showNotification('Select a cell first', 'error');
+        return;
+    }
+    return runCells(below ? notebookCells.slice(index) : notebookCells.slice(0, index));
+}
+
+function nextExecutionCount() {
+    return ++notebookExecutionCount;
+}
+
+// `count` is an execution count, '*' while the cell is queued or running, or null
+function setCellCount(cellId, count) {
+    const cell = notebookCells.find(c => c.id === cellId);
+    const span = document.getElementById(`${cellId}-count`);
+    if (!cell || !span) return;
+    
+    span.textContent = `[${count === null ? ' ' : count}]`;
+    cell.executionCount = typeof count === 'number' ? count : null;
+    cell.outputs.forEach(output => {
+        if (output.output_type === 'execute_result') {
+            output.execution_count = cell.executionCount;
+        }
+    });
+}
+
+function selectNotebookCell(cellId) {
+    if (activeNotebookCell === cellId) return;
+    
+    const previous = activeNotebookCell && document.getElementById(activeNotebookCell);
+    if (previous) {
+        previous.classList.remove('selected');
+    }
+    activeNotebookCell = cellId;
+    document.getElementById(cellId).classList.add('selected');
+}
+
+// Insert a new cell above (offset 0) or below (offset 1) a cell and start editing it
+function insertCell(cellId, offset) {
+    const index = notebookCells.findIndex(c => c.id === cellId);
+    if (index === -1) return;
+    
+    const cell = addNotebookCell({ index: index + offset });
+    cell.editor.focus();
+    updateStaleCells();
+}
+
+// Move a cell to `index` in the notebook, counted without the cell itself
+function moveCell(cellId, index) {
+    const from = notebookCells.findIndex(c => c.id === cellId);
+    if (from === -1) return;
+    
+    const [cell] = notebookCells.splice(from, 1);
+    const to = Math.max(0, Math.min(index, notebookCells.length));
+    notebookCells.splice(to, 0, cell);
+    const next = notebookCells[to + 1];
+    document.getElementById('notebookCells').insertBefore(
+        document.getElementById(cellId),
+        next ? document.getElementById(next.id) : null
+    );
+    cell.editor.refresh();
+    if (to !== from) {
+        notebookDirty = true;
+        updateStaleCells();
+    }
+}
+
+function moveCellBy(cellId, offset) {
+    const index = notebookCells.findIndex(c => c.id === cellId);
+    if (index === -1) return;
+    
+    moveCell(cellId, index + offset);
+    // Moving the cell's element takes the focus away from its editor
+    notebookCells[Math.max(0, Math.min(index + offset, notebookCells.length - 1))].editor.focus();
+    document.getElementById(cellId).scrollIntoView({ block: 'nearest' });
+}
+
+// Cells are dragged by their handle and dropped above or below another cell
+function initializeCellDragging(cellDiv, cellId) {
+    const clearDropMarker = () => cellDiv.classList.remove('drop-before', 'drop-after');
+    const dropsAfter = (e) => {
+        const rect = cellDiv.getBoundingClientRect();
+        return e.clientY > rect.top + rect.height / 2;
+    };
+    
+    cellDiv.querySelector('.cell-drag-handle').addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData(NOTEBOOK_CELL_MIME, cellId);
+        e.dataTransfer.setDragImage(cellDiv, 20, 20);
+        e.dataTransfer.effectAllowed = 'move';
+    });
+    
+    cellDiv.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes(NOTEBOOK_CELL_MIME)) return;
+        e.preventDefault();
+        const after = dropsAfter(e);
+        cellDiv.classList.toggle('drop-after', after);
+        cellDiv.classList.toggle('drop-before', !after);
+    });
+    cellDiv.addEventListener('dragleave', clearDropMarker);
+    cellDiv.addEventListener('drop', (e) => {
+        const dragged = e.dataTransfer.getData(NOTEBOOK_CELL_MIME);
+        if (!dragged) return;
+        e.preventDefault();
+        clearDropMarker();
+        if (dragged === cellId) return;
+        
+        const from = notebookCells.findIndex(c => c.id === dragged);
+        let to = notebookCells.findIndex(c => c.id === cellId) + (dropsAfter(e) ? 1 : 0);
+        if (from < to) to--;
+        moveCell(dragged, to);
+    });
+}
+
+function deleteCell(cellId) {
+    const index = notebookCells.findIndex(c => c.id === cellId);
+    if (index !== -1) {
+        notebookCells.splice(index, 1);
+        document.getElementById(cellId).remove();
+        if (activeNotebookCell === cellId) {
+            activeNotebookCell = null;
+        }
+        notebookDirty = true;
+        updateStaleCells();
+    }
+}
+
+// Notebook dependencies
+// A cell's output is out of date ("stale") when the cell was edited since it last ran, or
+// when a cell above it in the same kernel defines a name it uses and that cell has since
+// run again, been edited, become stale itself or never run. Names come from the cell
+// source: JavaScript is parsed with acorn, Python is scanned for assignments, imports,
+// def and class, so the highlighting is a hint rather than a guarantee.
+const PYTHON_KEYWORDS = new Set([
+    'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue',
+    'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+    'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+]);
+
+const updateStaleCellsSoon = debounce(() => updateStaleCells(), 300);
+
+// { defines, uses } name sets of a cell, cached until its source changes
+function cellNames(cell) {
+    const source = cell.editor.getValue();
+    if (!cell.names || cell.names.source !== source) {
+        const names = cell.type === 'python' ? pythonNames(source) : javascriptNames(source);
+        cell.names = Object.assign({ source }, names);
+    }
+    return cell.names;
+}
+
+function javascriptNames(code) {
+    const defines = new Set();
+    const uses = new Set();
+    let program;
+    try {
+        program = acorn.parse(code, { ecmaVersion: 'latest', allowAwaitOutsideFunction: true });
+    } catch (error) {
+        // Mid-edit code that does not parse yet still has its identifiers
+        (code.match(/[A-Za-z_$][\w$]*/g) || []).forEach(name => uses.add(name));
+        return { defines, uses };
+    }
+    
+    const declare = (pattern) => {
+        if (!pattern) return;
+        if (pattern.type === 'Identifier') defines.add(pattern.name);
+        else if (pattern.type === 'ObjectPattern') pattern.properties.forEach(property => declare(property.value || property.argument));
+        else if (pattern.type === 'ArrayPattern') pattern.elements.forEach(declare);
+        else if (pattern.type === 'RestElement') declare(pattern.argument);
+        else if (pattern.type === 'AssignmentPattern') declare(pattern.left);
+    };
+    program.body.forEach(node => {
+        if (node.type === 'VariableDeclaration') {
+            node.declarations.forEach(declaration => declare(declaration.id));
+        } else if ((node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') && node.id) {
+            defines.add(node.id.name);
+        } else if (node.type === 'ExpressionStatement' && node.expression.type === 'AssignmentExpression') {
+            declare(node.expression.left);
+        }
+    });
+    
+    // Every identifier that is read, leaving out property names
+    const visit = (node, parent, key) => {
+        if (!node || typeof node.type !== 'string') return;
+        if (node.type === 'Identifier') {
+            const isProperty = (parent.type === 'MemberExpression' && key === 'property' && !parent.computed) ||
+                ((parent.type === 'Property' || parent.type === 'MethodDefinition' || parent.type === 'PropertyDefinition') &&
+                    key === 'key' && !parent.computed && !parent.shorthand);
+            if (!isProperty) uses.add(node.name);
+            return;
+        }
+        Object.keys(node).forEach(childKey => {
+            const child = node[childKey];
+            if (Array.isArray(child)) {
+                child.forEach(item => visit(item, node, childKey));
+            } else if (child && typeof child === 'object') {
+                visit(child, node, childKey);
+            }
+        });
+    };
+    visit(program, null, null);
+    return { defines, uses };
+}
+
+function pythonNames(code) {
+    const defines = new Set();
+    const uses = new Set();
+    const identifiers = text => text.match(/[A-Za-z_]\w*/g) || [];
+    // Comments and plain strings do not name anything; f-strings keep their names
+    const stripped = code.replace(
+        /#.*|(\b[rRbBuUfF]{1,2})?("""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')/g,
+        (match, prefix) => match[0] === '#' ? '' : (/f/i.test(prefix || '') ? match : '""')
+    );
+    
+    stripped.split('\n').forEach(line => {
+        // Only top-level statements define names for later cells
+        if (/^\s/.test(line)) return;
+        let match;
+        if ((match = line.match(/^(?:async\s+)?(?:def|class)\s+(\w+)/))) {
+            defines.add(match[1]);
+        } else if ((match = line.match(/^import\s+(.+)/))) {
+            match[1].split(',').forEach(part => {
+                const [module, alias] = part.trim().split(/\s+as\s+/);
+                defines.add(alias || module.split('.')[0]);
+            });
+        } else if ((match = line.match(/^from\s+\S+\s+import\s+(.+)/))) {
+            match[1].replace(/[()]/g, '').split(',').forEach(part => {
+                const [name, alias] = part.trim().split(/\s+as\s+/);
+                if (name && name !== '*') defines.add(alias || name);
+            });
+        } else if ((match = line.match(/^(?:async\s+)?for\s+(.+?)\s+in\b/))) {
+            identifiers(match[1]).forEach(name => defines.add(name));
+        } else if ((match = line.match(/^with\b.*\bas\s+(\w+)/))) {
+            defines.add(match[1]);
+        } else if ((match = line.match(/^([\w\s,.*()[\]]+?)\s*(?:[-+*/%&|^@]|\/\/|\*\*|>>|<<)?=(?!=)/))) {
+            // Attribute and item assignments change an object rather than define a name
+            match[1].split(',').forEach(target => {
+                const name = target.trim().replace(/^[*(\[]+|[)\]]+$/g, '');
+                if (/^[A-Za-z_]\w*$/.test(name)) defines.add(name);
+            });
+        }
+    });
+    
+    (stripped.match(/(?<![\w.])[A-Za-z_]\w*/g) || []).forEach(name => {
+        if (!PYTHON_KEYWORDS.has(name)) uses.add(name);
+    });
+    return { defines, uses };
+}
+
+function updateStaleCells() {
+    // Per kernel type, what the cells above define and whether they changed
+    const above = {};
+    notebookCells.forEach(cell => {
+        if (cell.type === 'markdown') return;
+        
+        const { defines, uses } = cellNames(cell);
+        const cellsAbove = above[cell.type] || (above[cell.type] = []);
+        let reason = null;
+        if (cell.runOrder !== null) {
+            if (cell.editor.getValue() !== cell.ranSource) {
+                reason = 'edited since it ran';
+            } else {
+                cellsAbove.some(upstream => {
+                    const changed = upstream.stale || upstream.cell.runOrder === null || upstream.cell.runOrder > cell.runOrder;
+                    const name = changed && Array.from(upstream.defines).find(defined => uses.has(defined));
+                    if (name) {
+                        reason = `"${name}" changed in a cell above`;
+                    }
+                    return Boolean(name);
+                });
+            }
+        }
+        cellsAbove.push({ cell, defines, stale: reason !== null });
+        
+        const cellDiv = document.getElementById(cell.id);
+        cellDiv.classList.toggle('stale', reason !== null);
+        document.getElementById(`${cell.id}-count`).title = reason ? `Output out of date: ${reason}` : '';
+    });
+}
+
+// Markdown
+// Markdown cells and text/markdown outputs are rendered with markdown-it: CommonMark plus
+// tables, strikethrough and links. Raw HTML stays escaped and the result still goes
+// through DOMPurify. Fenced code is highlighted with the editor's CodeMirror modes, and
+// $…$ and $$…$$ are typeset with KaTeX.
+const CODE_FENCE_MODES = {
+    js: 'javascript',
+    javascript: 'javascript',
+    node: 'javascript',
+    json: 'application/json',
+    ts: 'text/typescript',
+    typescript: 'text/typescript',
+    py: 'python',
+    python: 'python',
+    html: 'htmlmixed',
+    css: 'css',
+    xml: 'xml',
+    svg: 'xml',
+    md: 'markdown',
+    markdown: 'markdown'
+};
+
+let markdownRenderer = null;
+
+function renderMarkdown(text) {
+    if (!markdownRenderer) {
+        markdownRenderer = markdownit({ html: false, linkify: true, highlight: highlightCode });
+        markdownRenderer.inline.ruler.after('escape', 'math_inline', markdownMathInline);
+        markdownRenderer.block.ruler.before('fence', 'math_block', markdownMathBlock, {
+            alt: ['paragraph', 'reference', 'blockquote', 'list']
+        });
+        markdownRenderer.renderer.rules.math_inline = (tokens, index) => renderMath(tokens[index].content, tokens[index].meta.display);
+        markdownRenderer.renderer.rules.math_block = (tokens, index) => renderMath(tokens[index].content, true) + '\n';
+    }
+    return DOMPurify.sanitize(markdownRenderer.render(text));
+}
+
+function renderMath(tex, displayMode) {
+    return katex.renderToString(tex, { displayMode, throwOnError: false });
+}
+
+// Returning '' lets markdown-it escape code in languages without a mode
+function highlightCode(code, language) {
+    const mode = CODE_FENCE_MODES[(language || '').toLowerCase()];
+    if (!mode) return '';
+    
+    let html = '';
+    CodeMirror.runMode(code, mode, (text, style) => {
+        const escaped = escapeHtml(text);
+        html += style ? `<span class="${style.replace(/(^|\s+)/g, '$1cm-')}">${escaped}</span>` : escaped;
+    });
+    return `<pre class="cm-s-monokai markdown-code"><code>${html}</code></pre>`;
+}
+
+// $tex$ and $$tex$$ within a paragraph. The first unescaped $ after an opening one closes
+// it; an opening $ must not be followed by a space, and a closing one must not follow a
+// space or precede a digit, so prices such as "$5 and $10" stay text.
+function markdownMathInline(state, silent) {
+    const src = state.src;
+    const start = state.pos;
+    if (src[start] !== '$') return false;
+    
+    const display = src[start + 1] === '$';
+    const delimiter = display ? '$$' : '$';
+    const contentStart = start + delimiter.length;
+    if (!display && /\s/.test(src[contentStart] || ' ')) return false;
+    
+    let end = contentStart;
+    while ((end = src.indexOf(delimiter, end)) !== -1 && src[end - 1] === '\\') {
+        end++;
+    }
+    if (end === -1 || end === contentStart) return false;
+    if (!display && (/\s/.test(src[end - 1]) || /\d/.test(src[end + 1] || ''))) return false;
+    
+    if (!silent) {
+        const token = state.push('math_inline', 'math', 0);
+        token.content = src.slice(contentStart, end);
+        token.markup = delimiter;
+        token.meta = { display };
+    }
+    state.pos = end + delimiter.length;
+    return true;
+}
+
+// A block starting with $$ on its own line, up to the line ending with $$
+function markdownMathBlock(state, startLine, endLine, silent) {
+    const lineText = line => state.src.slice(state.bMarks[line] + state.tShift[line], state.eMarks[line]);
+    if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+    
+    const first = lineText(startLine);
+    if (!first.startsWith('$$')) return false;
+    
+    let lastLine = startLine;
+    let content;
+    const opening = first.slice(2);
+    if (opening.trim().endsWith('$$') && opening.trim().length > 2) {
+        content = opening.trim().slice(0, -2);
+    } else {
+        const lines = [opening];
+        for (lastLine = startLine + 1; lastLine < endLine; lastLine++) {
+            const text = lineText(lastLine);
+            if (text.trimEnd().endsWith('$$')) {
+                lines.push(text.trimEnd().slice(0, -2));
+                break;
+            }
+            lines.push(text);
+        }
+        if (lastLine >= endLine) return false;
+        content = lines.join('\n');
+    }
+    if (silent) return true;
+    
+    const token = state.push('math_block', 'math', 0);
+    token.block = true;
+    token.content = content.trim();
+    token.markup = '$$';
+    token.map = [startLine, lastLine + 1];
+    state.line = lastLine + 1;
+    return true;
+}
+
+// Rich output
+// Results and display() output are nbformat mime bundles. The richest type the notebook
+// understands is shown, in OUTPUT_MIME_ORDER; every bundle also has text/plain. HTML is
+// sanitized with DOMPurify and images are shown as <img>, so neither can run scripts.
+const CONSOLE_VALUE_MIME = 'application/vnd.console-value+json';
+const TABLE_MIME = 'application/vnd.dataresource+json';
+const OUTPUT_MIME_ORDER = [
+    'text/html',
+    TABLE_MIME,
+    'image/svg+xml',
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'text/markdown',
+    'text/latex',
+    CONSOLE_VALUE_MIME,
+    'application/json',
+    'text/plain'
+];
+
+function appendCellBundle(cellId, outputType, data) {
+    renderCellBundle(cellId, outputType, data);
+    const output = { output_type: outputType, data, metadata: {} };
+    if (outputType === 'execute_result') {
+        output.execution_count = null;
+    }
+    recordCellOutput(cellId, output);
+}
+
+function renderCellBundle(cellId, outputType, data) {
+    const outputDiv = document.getElementById(`${cellId}-output`);
+    if (!outputDiv) return;
+    
+    const entry = document.createElement('div');
+    entry.className = `console-entry cell-display ${outputType === 'execute_result' ? 'level-result' : 'level-display'}`;
+    if (outputType === 'execute_result') {
+        const prompt = document.createElement('span');
+        prompt.className = 'cell-result-prompt';
+        prompt.textContent = '=> ';
+        entry.appendChild(prompt);
+    }
+    entry.appendChild(bundleElement(data));
+    outputDiv.appendChild(entry);
+}
+
+function bundleElement(data) {
+    const mime = OUTPUT_MIME_ORDER.find(type => data[type] !== undefined && data[type] !== null);
+    const value = data[mime];
+    
+    if (mime === 'text/html' || mime === 'text/markdown' || mime === 'text/latex') {
+        const div = document.createElement('div');
+        div.className = mime === 'text/html' ? 'cell-html' : 'markdown-body';
+        // LaTeX reprs come wrapped in $ or $$, which the Markdown renderer typesets
+        div.innerHTML = mime === 'text/html' ? DOMPurify.sanitize(notebookText(value)) : renderMarkdown(notebookText(value));
+        return div;
+    }
+    if (mime === TABLE_MIME) {
+        return renderDataTable(value);
+    }
+    if (mime && mime.startsWith('image/')) {
+        const image = document.createElement('img');
+        image.className = 'cell-image';
+        image.alt = notebookText(data['text/plain']) || 'image';
+        image.src = mime === 'image/svg+xml'
+            ? 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(notebookText(value))
+            : `data:${mime};base64,${notebookText(value).replace(/\s+/g, '')}`;
+        return image;
+    }
+    if (mime === CONSOLE_VALUE_MIME) {
+        return renderConsoleValue(value, true);
+    }
+    
+    const pre = document.createElement('pre');
+    pre.className = 'cell-text';
+    pre.textContent = mime === 'application/json' ? JSON.stringify(value, null, 2) : notebookText(value);
+    return pre;
+}
+
+// Table data resource: { schema: { fields: [{ name }] }, data: [rows] }
+function renderDataTable(resource) {
+    const fields = ((resource.schema && resource.schema.fields) || []).map(field => field.name);
+    const rows = Array.isArray(resource.data) ? resource.data : [];
+    const table = document.createElement('table');
+    table.className = 'cell-table';
+    
+    const header = table.createTHead().insertRow();
+    fields.forEach(name => {
+        const th = document.createElement('th');
+        th.textContent = name;
+        header.appendChild(th);
+    });
+    const body = table.createTBody();
+    rows.forEach(row => {
+        const tr = body.insertRow();
+        fields.forEach(name => {
+            const value = Array.isArray(row) ? row[fields.indexOf(name)] : row[name];
+            const td = tr.insertCell();
+            td.textContent = value === null || value === undefined ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+            if (typeof value === 'number') {
+                td.className = 'numeric';
+            }
+        });
+    });
+    return table;
+}
+
+// Notebook kernel
+// Code cells run in a Web Worker (public/notebook-kernel.js), so they cannot touch the
+// editor's page or its state. Cells run one at a time and share their globals. Interrupt
+// stops a cell that is awaiting something; a cell stuck in synchronous code can only be
+// stopped by restarting the kernel, which Interrupt does after a short grace period.
+const KERNEL_INTERRUPT_GRACE_MS = 1000;
+
+// { worker, queue, running, executions: { id: cellId } }
+let notebookKernel = null;
+let kernelExecutionId = 0;
+
+function startNotebookKernel() {
+    const worker = new Worker('notebook-kernel.js');
+    notebookKernel = { worker, queue: [], running: null, executions: {} };
+    worker.onmessage = (e) => handleKernelMessage(worker, e.data);
+    worker.onerror = (e) => {
+        e.preventDefault();
+        showNotification('Notebook kernel failed: ' + e.message, 'error');
+    };
+    setKernelStatus('starting');
+}
+
+function setKernelStatus(status) {
+    const label = document.getElementById('kernelStatus');
+    label.textContent = 'Kernel: ' + status;
+    label.className = 'kernel-status ' + status;
+}
+
+// Queue a cell; resolves with its status once it has finished, failed or been stopped
+function executeInKernel(cellId, code) {
+    if (!notebookKernel) {
+        startNotebookKernel();
+    }
+    return new Promise(resolve => {
+        notebookKernel.queue.push({ id: ++kernelExecutionId, cellId, code, resolve });
+        runNextInKernel();
+    });
+}
+
+function runNextInKernel() {
+    const kernel = notebookKernel;
+    if (kernel.running || !kernel.queue.length) {
+        if (!kernel.running && !serverExecutions.length) setKernelStatus('idle');
+        return;
+    }
+    
+    const execution = kernel.queue.shift();
+    kernel.running = execution;
+    kernel.executions[execution.id] = execution.cellId;
+    kernel.worker.postMessage({ type: 'execute', id: execution.id, code: execution.code, name: execution.cellId + '.js' });
+    setKernelStatus('busy');
+}
+
+function handleKernelMessage(worker, message) {
+    const kernel = notebookKernel;
+    // Ignore stragglers from a worker that has since been restarted
+    if (!kernel || kernel.worker !== worker) return;
+    
+    if (message.type === 'ready') {
+        if (!kernel.running && !serverExecutions.length) setKernelStatus('idle');
+        return;
+    }
+    
+    const cellId = kernel.executions[message.id];
+    if (message.type === 'console') {
+        if (cellId) appendCellOutput(cellId, message.level, message.args);
+        return;
+    }
+    if (message.type === 'display') {
+        if (cellId) appendCellBundle(cellId, 'display_data', message.data);
+        return;
+    }
+    
+    const execution = kernel.running;
+    if (!execution || execution.id !== message.id) return;
+    
+    let status = 'ok';
+    if (message.type === 'result' && message.data) {
+        appendCellBundle(cellId, 'execute_result', message.data);
+    } else if (message.type === 'error') {
+        const { name, message: text, line } = message.error;
+        appendCellOutput(cellId, 'error', [{ type: 'error', name, value: text + (line ? ` (line ${line})` : '') }]);
+        status = 'error';
+    } else if (message.type === 'interrupted') {
+        appendCellOutput(cellId, 'error', [{ type: 'string', value: 'Interrupted' }]);
+        status = 'interrupted';
+    }
+    finishKernelExecution(execution, status);
+    runNextInKernel();
+}
+
+function finishKernelExecution(execution, status) {
+    setCellCount(execution.cellId, nextExecutionCount());
+    notebookKernel.running = null;
+    execution.resolve(status);
+}
+
+// Console output and errors of a cell, rendered like the preview console and recorded
+// as the nbformat output they amount to
+function appendCellOutput(cellId, level, args) {
+    renderCellEntry(cellId, level, args);
+    
+    const text = args.map(arg => arg.type === 'string' ? arg.value : consoleValueText(arg)).join(' ');
+    if (level === 'error' && args.length === 1 && args[0].type === 'error') {
+        const error = args[0];
+        recordCellOutput(cellId, {
+            output_type: 'error',
+            ename: error.name,
+            evalue: error.value,
+            traceback: (error.stack || `${error.name}: ${error.value}`).split('\n')
+        });
+    } else {
+        recordStreamOutput(cellId, level === 'warn' || level === 'error' ? 'stderr' : 'stdout', text + '\n');
+    }
+}
+
+function renderCellEntry(cellId, level, args) {
+    const outputDiv = document.getElementById(`${cellId}-output`);
+    if (!outputDiv) return;
+    
+    const entry = document.createElement('div');
+    entry.className = `console-entry level-${level}`;
+    const values = document.createElement('div');
+    values.className = 'console-args';
+    args.forEach(arg => {
+        values.appendChild(renderConsoleValue(arg, true));
+        values.appendChild(document.createTextNode(' '));
+    });
+    entry.appendChild(values);
+    outputDiv.appendChild(entry);
+}
+
+// Stop the running cells and drop the queued ones
+function interruptNotebookKernel() {
+    interruptServerKernels();
+    
+    const kernel = notebookKernel;
+    if (!kernel || !kernel.running) return;
+    
+    kernel.queue.splice(0).forEach(execution => {
+        setCellCount(execution.cellId, null);
+        execution.resolve('cancelled');
+    });
+    
+    const execution = kernel.running;
+    kernel.worker.postMessage({ type: 'interrupt', id: execution.id });
+    setTimeout(() => {
+        if (notebookKernel === kernel && kernel.running === execution) {
+            appendCellOutput(execution.cellId, 'error', [{
+                type: 'string',
+                value: 'Interrupted: the cell did not stop, so the kernel was restarted'
+            }]);
+            restartNotebookKernel(true);
+        }
+    }, KERNEL_INTERRUPT_GRACE_MS);
+}
+
+// Throw away all kernel state; running and queued cells are stopped
+function restartNotebookKernel(quiet) {
+    const kernel = notebookKernel;
+    if (kernel) {
+        kernel.worker.terminate();
+        [kernel.running].concat(kernel.queue).filter(Boolean).forEach(execution => {
+            setCellCount(execution.cellId, null);
+            execution.resolve('dead');
+        });
+    }
+    startNotebookKernel();
+    if (quiet !== true) {
+        showNotification('Notebook kernel restarted');
+    }
+}
+
+// Execution counts start again from 1, as they do in Jupyter
+function restartAllKernels() {
+    restartServerKernels();
+    restartNotebookKernel();
+    notebookExecutionCount = 0;
+}
+
+function clearNotebookOutputs() {
+    notebookCells.forEach(cell => {
+        document.getElementById(`${cell.id}-output`).innerHTML = '';
+        cell.outputs = [];
+        cell.runOrder = null;
+        cell.ranSource = null;
+        setCellCount(cell.id, null);
+    });
+    updateStaleCells();
+}
+
+// Server kernels
+// Node.js and Python cells run on the server (see kernels/), in one kernel per language
+// for this page. The server queues cells, enforces the time and memory limits and
+// streams output back while a cell runs.
+const notebookSession = Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+let serverKernelLanguages = [];
+// Cells sent to a server kernel and not finished yet, oldest first: [{ cellId, language, controller }]
+let serverExecutions = [];
+
+async function loadServerKernels() {
+    try {
+        const response = await fetch('/api/kernels');
+        const data = await response.json();
+        if (data.success) {
+            serverKernelLanguages = data.kernels.map(kernel => kernel.language);
+        }
+    } catch (error) {
+        // Browser cells still work without server kernels
+    }
+}
+
+// Run a cell on the server; resolves with its status once it has finished, failed or
+// been stopped
+async function executeOnServer(cellId, language, code) {
+    const execution = { cellId, language, controller: new AbortController() };
+    serverExecutions.push(execution);
+    setKernelStatus('busy');
+    let status = 'error';
+    let done = false;
+    
+    try {
+        const response = await fetch(`/api/kernels/${notebookSession}/${language}/execute`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code, project: currentProject }),
+            signal: execution.controller.signal
+        });
+        if (!response.ok) {
+            // The rate limiter answers in plain text
+            const data = await response.json().catch(() => ({ error: `${response.status} ${response.statusText}` }));
+            throw new Error(data.error);
+        }
+        
+        await readEventStream(response, (event, data) => {
+            if (event === 'stream') {
+                appendCellStream(cellId, data.name, data.text);
+            } else if (event === 'result') {
+                appendCellBundle(cellId, 'execute_result', data.data);
+            } else if (event === 'display') {
+                appendCellBundle(cellId, 'display_data', data.data);
+            } else if (event === 'error') {
+                appendCellOutput(cellId, 'error', [{
+                    type: 'error',
+                    name: data.name,
+                    value: data.message + (data.line ? ` (line ${data.line})` : ''),
+                    stack: data.traceback
+                }]);
+            } else if (event === 'done') {
+                done = true;
+                status = data.status;
+                if (data.status === 'interrupted') {
+                    appendCellOutput(cellId, 'error', [{ type: 'string', value: 'Interrupted' }]);
+                }
+            }
+        });
+    } catch (error) {
+        // Aborted cells were cancelled by Interrupt before they started
+        if (error.name === 'AbortError') {
+            status = 'cancelled';
+        } else {
+            appendCellOutput(cellId, 'error', [{ type: 'string', value: 'Kernel error: ' + error.message }]);
+        }
+    } finally {
+        serverExecutions = serverExecutions.filter(other => other !== execution);
+        setCellCount(cellId, done ? nextExecutionCount() : null);
+        if (!serverExecutions.length && !(notebookKernel && notebookKernel.running)) {
+            setKernelStatus('idle');
+        }
+    }
+    return status;
+}
+
+function appendCellStream(cellId, name, text) {
+    renderCellStream(cellId, name, text);
+    recordStreamOutput(cellId, name, text);
+}
+
+// Consecutive writes to the same stream share one block, so partial lines join up
+function renderCellStream(cellId, name, text) {
+    const outputDiv = document.getElementById(`${cellId}-output`);
+    if (!outputDiv) return;
+    
+    let block = outputDiv.lastElementChild;
+    if (!block || block.dataset.stream !== name) {
+        block = document.createElement('pre');
+        block.className = `cell-stream stream-${name}`;
+        block.dataset.stream = name;
+        outputDiv.appendChild(block);
+    }
+    block.textContent += text;
+}
+
+function recordCellOutput(cellId, output) {
+    const cell = notebookCells.find(c => c.id === cellId);
+    if (cell) {
+        cell.outputs.push(output);
+    }
+}
+
+function recordStreamOutput(cellId, name, text) {
+    const cell = notebookCells.find(c => c.id === cellId);
+    if (!cell) return;
+    
+    const last = cell.outputs[cell.outputs.length - 1];
+    if (last && last.output_type === 'stream' && last.name === name) {
+        last.text += text;
+    } else {
+        cell.outputs.push({ output_type: 'stream', name, text });
+    }
+}
+
+// Interrupt each language's running cell and cancel the cells queued behind it
+function interruptServerKernels() {
+    const interrupted = new Set();
+    serverExecutions.forEach(execution => {
+        if (interrupted.has(execution.language)) {
+            execution.controller.abort();
+            return;
+        }
+        interrupted.add(execution.language);
+        fetch(`/api/kernels/${notebookSession}/${execution.language}/interrupt`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{}'
+        })
+            .catch(() => {});
+    });
+}
+
+// Server kernels start again on the next cell that needs them
+function restartServerKernels() {
+    serverKernelLanguages.forEach(language => {
+        fetch(`/api/kernels/${notebookSession}/${language}/restart`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{}'
+        })
+            .catch(() => {});
+    });
+}
+
+// Notebook files
+// Notebooks are saved to the project as Jupyter .ipynb files (nbformat 4). Each code cell
+// records which kernel runs it in its metadata (`kernel`: code, node or python); cells from
+// other tools run in the kernel matching the notebook's language. Outputs are kept as
+// nbformat outputs, so notebooks saved elsewhere keep theirs even when shown as plain text.
+const NOTEBOOK_KERNELSPECS = {
+    javascript: { name: 'javascript', display_name: 'JavaScript', language: 'javascript' },
+    python: { name: 'python3', display_name: 'Python 3', language: 'python' }
+};
+
+// nbformat stores multiline strings either whole or as a list of lines
+function notebookText(value) {
+    return Array.isArray(value) ? value.join('') : String(value || '');
+}
+
+function notebookSourceLines(text) {
+    return text.split(/(?<=\n)/).filter(Boolean);
+}
+
+function notebookPath() {
+    const input = document.getElementById('notebookPath');
+    let filePath = input.value.trim() || 'notebook.ipynb';
+    if (!filePath.endsWith('.ipynb')) {
+        filePath += '.ipynb';
+    }
+    input.value = filePath;
+    return filePath;
+}
+
+function confirmDiscardNotebook() {
+    return !notebookDirty || !notebookCells.length || confirm('The notebook has unsaved changes. Discard them?');
+}
+
+function newNotebook() {
+    if (!confirmDiscardNotebook()) return;
+    
+    resetNotebook();
+    document.getElementById('notebookPath').value = '';
+    localStorage.removeItem('notebookPath');
+    addNotebookCell();
+    notebookDirty = false;
+}
+
+// Drop every cell and start the kernels afresh, so the next notebook does not see the
+// previous one's variables
+function resetNotebook() {
+    if (notebookKernel) {
+        restartNotebookKernel(true);
+    }
+    restartServerKernels();
+    notebookCells = [];
+    activeNotebookCell = null;
+    notebookExecutionCount = 0;
+    document.getElementById('notebookCells').innerHTML = '';
+}
+
+function notebookToIpynb() {
+    const firstCode = notebookCells.find(cell => cell.type !== 'markdown');
+    const language = firstCode && firstCode.type === 'python' ? 'python' : 'javascript';
     
-    const service = document.getElementById('aiService').value;
-    const model = document.getElementById('aiModel').value;
+    return {
+        cells: notebookCells.map(cell => {
+            const source = notebookSourceLines(cell.editor.getValue());
+            if (cell.type === 'markdown') {
+                return { cell_type: 'markdown', id: cell.notebookId, metadata: {}, source };
+            }
+            return {
+                cell_type: 'code',
+                id: cell.notebookId,
+                metadata: { kernel: cell.type },
+                execution_count: cell.executionCount,
+                outputs: cell.outputs,
+                source
+            };
+        }),
+        metadata: {
+            kernelspec: NOTEBOOK_KERNELSPECS[language],
+            language_info: { name: language }
+        },
+        nbformat: 4,
+        nbformat_minor: 5
+    };
+}
+
+async function saveNotebook() {
+    const filePath = notebookPath();
+    
+    try {
+        const response = await fetch('/api/write', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                project: currentProject,
+                filename: filePath,
+                content: JSON.stringify(notebookToIpynb(), null, 1) + '\n'
+            })
+        });
+        
+        const data = await response.json();
+        if (data.success) {
+            document.getElementById('notebookPath').value = data.filename;
+            localStorage.setItem('notebookPath', data.filename);
+            notebookDirty = false;
+            showNotification('Notebook saved: ' + data.filename);
+            loadFileList();
+        } else {
+            showNotification('Error saving notebook: ' + data.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error saving notebook: ' + error.message, 'error');
+    }
+}
+
+// Open an .ipynb file of the current project into the notebook panel
+async function openNotebook(filePath) {
+    if (!confirmDiscardNotebook()) return;
+    
+    try {
+        const response = await fetch(`/api/read/${encodeFilePath(filePath)}?${projectQuery()}`);
+        const data = await response.json();
+        if (!data.success) {
+            showNotification('Error opening notebook: ' + data.error, 'error');
+            return;
+        }
+        
+        const notebook = JSON.parse(data.content);
+        if (!Array.isArray(notebook.cells) || notebook.nbformat < 4) {
+            showNotification('Only Jupyter notebooks in nbformat 4 can be opened', 'error');
+            return;
+        }
+        
+        resetNotebook();
+        loadIpynb(notebook);
+        document.getElementById('notebookPath').value = filePath;
+        localStorage.setItem('notebookPath', filePath);
+        notebookDirty = false;
+        if (!isPanelOpen('notebookPanel')) {
+            togglePanel('notebookPanel');
+        }
+        showNotification('Notebook opened: ' + filePath);
+    } catch (error) {
+        showNotification('Error opening notebook: ' + error.message, 'error');
+    }
+}
+
+function loadIpynb(notebook) {
+    const metadata = notebook.metadata || {};
+    const language = ((metadata.language_info && metadata.language_info.name) ||
+        (metadata.kernelspec && metadata.kernelspec.language) || '').toLowerCase();
+    let defaultType = 'code';
+    if (language === 'python') {
+        defaultType = 'python';
+    } else if (language === 'javascript' && serverKernelLanguages.includes('node')) {
+        // Notebooks from Jupyter's JavaScript kernels were written for Node.js
+        defaultType = 'node';
+    }
+    // Saved counts tell the order the cells last ran in; runs after loading come later
+    const runSequence = notebookRunSequence;
+    
+    notebook.cells.forEach(saved => {
+        const source = notebookText(saved.source);
+        if (saved.cell_type !== 'code') {
+            // Raw cells have no kernel to run in, so they are kept as text
+            const cell = addNotebookCell({ type: 'markdown', source, notebookId: saved.id });
+            if (saved.cell_type === 'markdown') {
+                document.getElementById(`${cell.id}-output`).innerHTML = `<div class="markdown-body">${renderMarkdown(source)}</div>`;
+            }
+            return;
+        }
+        
+        const kernel = saved.metadata && saved.metadata.kernel;
+        const type = NOTEBOOK_CELL_TYPES[kernel] && kernel !== 'markdown' ? kernel : defaultType;
+        const cell = addNotebookCell({ type, source, notebookId: saved.id });
+        cell.outputs = Array.isArray(saved.outputs) ? saved.outputs : [];
+        cell.outputs.forEach(output => renderSavedOutput(cell.id, output));
+        if (typeof saved.execution_count === 'number') {
+            setCellCount(cell.id, saved.execution_count);
+            cell.runOrder = runSequence + saved.execution_count;
+            cell.ranSource = source;
+            notebookExecutionCount = Math.max(notebookExecutionCount, saved.execution_count);
+            notebookRunSequence = Math.max(notebookRunSequence, cell.runOrder);
+        }
+    });
+    updateStaleCells();
+}
+
+// Tracebacks from IPython are colored with ANSI escape codes
+function stripAnsi(text) {
+    return text.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '');
+}
+
+function renderSavedOutput(cellId, output) {
+    if (output.output_type === 'stream') {
+        renderCellStream(cellId, output.name === 'stderr' ? 'stderr' : 'stdout', notebookText(output.text));
+    } else if (output.output_type === 'execute_result' || output.output_type === 'display_data') {
+        renderCellBundle(cellId, output.output_type, output.data || {});
+    } else if (output.output_type === 'error') {
+        const traceback = stripAnsi((output.traceback || []).join('\n'));
+        renderCellEntry(cellId, 'error', [{ type: 'error', name: output.ename, value: output.evalue, stack: traceback || undefined }]);
+    }
+}
+
+// Text of an output for exports
+function notebookOutputText(output) {
+    if (output.output_type === 'stream') {
+        return notebookText(output.text);
+    }
+    if (output.output_type === 'error') {
+        return stripAnsi((output.traceback || []).join('\n')) || `${output.ename}: ${output.evalue}`;
+    }
+    return notebookText((output.data || {})['text/plain']);
+}
+
+// Standalone HTML page with every cell, its execution count and its outputs
+function notebookToHtml(title) {
+    const cells = notebookCells.map(cell => {
+        const source = cell.editor.getValue();
+        if (cell.type === 'markdown') {
+            return `<div class="cell markdown-body">${renderMarkdown(source)}</div>`;
+        }
+        const outputs = cell.outputs.map(output => {
+            if (output.output_type === 'execute_result' || output.output_type === 'display_data') {
+                // The inspector tree needs the editor's scripts, so values are exported as text
+                const data = Object.assign({}, output.data);
+                delete data[CONSOLE_VALUE_MIME];
+                return `<div class="output">${bundleElement(data).outerHTML}</div>`;
+            }
+            const className = output.output_type === 'error' || output.name === 'stderr' ? 'output error' : 'output';
+            return `<pre class="${className}">${escapeHtml(notebookOutputText(output))}</pre>`;
+        }).join('\n');
+        const count = cell.executionCount === null ? ' ' : cell.executionCount;
+        return `<div class="cell code">
+<div class="prompt">[${count}] ${escapeHtml(NOTEBOOK_CELL_TYPES[cell.type].label)}</div>
+<pre class="source">${escapeHtml(source)}</pre>
+${outputs}
+</div>`;
+    });
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@${katex.version}/dist/katex.min.css">
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 960px; margin: 20px auto; padding: 0 20px; color: #333; }
+.cell { margin-bottom: 16px; }
+.prompt { color: #999; font: 12px monospace; margin-bottom: 4px; }
+pre { margin: 0; padding: 10px; white-space: pre-wrap; font-size: 13px; }
+.source { background: #f5f5f5; border: 1px solid #ddd; border-radius: 3px; }
+.output { border-left: 3px solid #ddd; margin-top: 4px; }
+.output.error { color: #c62828; border-left-color: #c62828; }
+div.output { padding: 4px 10px; overflow-x: auto; }
+.cell-table { border-collapse: collapse; font-size: 13px; }
+.cell-table th, .cell-table td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+.cell-table th { background: #f5f5f5; }
+.markdown-code { background: #272822; color: #f8f8f2; border-radius: 3px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${cells.join('\n')}
+</body>
+</html>
+`;
+}
+
+// A script of the notebook's cells for one language. Cells in other languages and
+// markdown become comments. JavaScript cells are wrapped in an async function (left
+// unindented, so template strings keep their text) for top-level await to keep working.
+function notebookToScript(format) {
+    const comment = format === 'py' ? '# ' : '// ';
+    const runs = format === 'py' ? ['python'] : ['code', 'node'];
+    const parts = notebookCells.map(cell => {
+        const source = cell.editor.getValue();
+        if (runs.includes(cell.type)) {
+            const count = cell.executionCount === null ? ' ' : cell.executionCount;
+            return `${comment}In [${count}]:\n${source}`;
+        }
+        const label = cell.type === 'markdown' ? 'Markdown' : NOTEBOOK_CELL_TYPES[cell.type].label;
+        return `${comment}${label}:\n` + source.split('\n').map(line => (comment + line).trimEnd()).join('\n');
+    });
+    
+    if (format === 'py') {
+        return parts.join('\n\n\n') + '\n';
+    }
+    return `(async () => {\n${parts.join('\n\n')}\n})().catch((error) => {\n  console.error(error);\n  process.exitCode = 1;\n});\n`;
+}
+
+function exportNotebook() {
+    const format = document.getElementById('notebookExportFormat').value;
+    const filePath = notebookPath();
+    const name = baseName(filePath).replace(/\.ipynb$/, '');
+    const content = format === 'html' ? notebookToHtml(name) : notebookToScript(format);
+    
+    const blob = new Blob([content], { type: format === 'html' ? 'text/html' : 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${name}.${format}`;
+    a.click();
+    URL.revokeObjectURL(url);
+    showNotification(`Notebook exported: ${name}.${format}`);
+}
+
+// Databank
+const DATABANK_PAGE_SIZE = 50;
+
+// Databank values are stored as JSON when the text parses, otherwise as plain text
+function parseDatabankValue(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+// Text for the value box that parses back to the same value
+function databankValueText(value) {
+    if (typeof value === 'string' && parseDatabankValue(value) === value) {
+        return value;
+    }
+    return JSON.stringify(value, null, 2);
+}
+
+async function saveToDatabank() {
+    const namespace = document.getElementById('databankNamespace').value.trim() || 'default';
+    const key = document.getElementById('databankKey').value.trim();
+    const text = document.getElementById('databankValue').value.trim();
+    const ttl = document.getElementById('databankTtl').value;
+    
+    if (!key) {
+        showNotification('Please enter a key', 'error');
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/databank', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ namespace, key, value: parseDatabankValue(text), ttl: ttl ? Number(ttl) : undefined })
+        });
+        
+        const data = await response.json();
+        if (data.success) {
+            showNotification(`Saved to databank: ${namespace}/${key}`);
+            document.getElementById('databankKey').value = '';
+            document.getElementById('databankValue').value = '';
+            document.getElementById('databankTtl').value = '';
+            loadDatabank();
+        } else {
+            showNotification('Error saving to databank: ' + data.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error saving to databank: ' + error.message, 'error');
+    }
+}
+
+// Entries matching the namespace filter and search box, a page at a time
+async function loadDatabank(append) {
+    const entriesDiv = document.getElementById('databankEntries');
+    const offset = append === true ? entriesDiv.querySelectorAll('.databank-entry').length : 0;
+    const params = new URLSearchParams({ offset, limit: DATABANK_PAGE_SIZE });
+    const namespace = document.getElementById('databankFilterNamespace').value;
+    const search = document.getElementById('databankSearch').value.trim();
+    if (namespace) params.set('namespace', namespace);
+    if (search) params.set('search', search);
+    
+    try {
+        const response = await fetch(`/api/databank?${params}`);
+        const result = await response.json();
+        
+        if (result.success) {
+            if (offset === 0) {
+                entriesDiv.innerHTML = '';
+            }
+            const more = entriesDiv.querySelector('.data-list-more');
+            if (more) {
+                more.remove();
+            }
+            
+            result.entries.forEach(entry => entriesDiv.appendChild(renderDatabankEntry(entry)));
+            if (!result.total) {
+                entriesDiv.textContent = search || namespace ? 'No matching entries' : 'The databank is empty';
+            }
+            if (result.offset + result.entries.length < result.total) {
+                const moreButton = document.createElement('button');
+                moreButton.className = 'btn-small data-list-more';
+                moreButton.textContent = `More (${result.total - result.offset - result.entries.length})`;
+                moreButton.onclick = () => loadDatabank(true);
+                entriesDiv.appendChild(moreButton);
+            }
+            updateDatabankNamespaces(result.namespaces);
+        }
+    } catch (error) {
+        showNotification('Error loading databank: ' + error.message, 'error');
+    }
+}
+
+function updateDatabankNamespaces(namespaces) {
+    const filter = document.getElementById('databankFilterNamespace');
+    const selected = filter.value;
+    filter.innerHTML = '';
+    filter.appendChild(new Option('All namespaces', ''));
+    namespaces.forEach(({ namespace, count }) => {
+        filter.appendChild(new Option(`${namespace} (${count})`, namespace));
+    });
+    filter.value = namespaces.some(entry => entry.namespace === selected) ? selected : '';
+    
+    const suggestions = document.getElementById('databankNamespaces');
+    suggestions.innerHTML = '';
+    namespaces.forEach(({ namespace }) => suggestions.appendChild(new Option(namespace)));
+}
+
+function formatExpiry(expiresAt) {
+    const seconds = Math.max(0, Math.round((Date.parse(expiresAt) - Date.now()) / 1000));
+    if (seconds < 60) return `expires in ${seconds}s`;
+    if (seconds < 3600) return `expires in ${Math.round(seconds / 60)}m`;
+    if (seconds < 86400) return `expires in ${Math.round(seconds / 3600)}h`;
+    return `expires ${new Date(expiresAt).toLocaleDateString()}`;
+}
+
+function renderDatabankEntry(entry) {
+    const entryDiv = document.createElement('div');
+    entryDiv.className = 'databank-entry';
+    entryDiv.title = `Created ${new Date(entry.createdAt).toLocaleString()}\nUpdated ${new Date(entry.updatedAt).toLocaleString()}`;
+    
+    // Create elements safely to prevent XSS
+    const keyDiv = document.createElement('div');
+    keyDiv.className = 'databank-entry-key';
+    
+    const namespaceSpan = document.createElement('span');
+    namespaceSpan.className = 'databank-entry-namespace';
+    namespaceSpan.textContent = entry.namespace + ' / ';
+    const keySpan = document.createElement('span');
+    keySpan.textContent = entry.key;
+    keyDiv.appendChild(namespaceSpan);
+    keyDiv.appendChild(keySpan);
+    
+    if (entry.expiresAt) {
+        const expiry = document.createElement('span');
+        expiry.className = 'databank-entry-expiry';
+        expiry.textContent = formatExpiry(entry.expiresAt);
+        expiry.title = new Date(entry.expiresAt).toLocaleString();
+        keyDiv.appendChild(expiry);
+    }
+    
+    const actions = document.createElement('span');
+    actions.className = 'tree-actions';
+    [
+        ['✏️', 'Edit', () => editDatabankEntry(entry)],
+        ['🗑️', 'Delete', () => deleteDatabankEntry(entry.namespace, entry.key)]
+    ].forEach(([icon, title, action]) => {
+        const button = document.createElement('button');
+        button.className = 'btn-icon';
+        button.textContent = icon;
+        button.title = title;
+        button.onclick = action;
+        actions.appendChild(button);
+    });
+    keyDiv.appendChild(actions);
+    
+    const valueDiv = document.createElement('div');
+    valueDiv.className = 'databank-entry-value';
+    valueDiv.textContent = JSON.stringify(entry.value, null, 2);
+    
+    entryDiv.appendChild(keyDiv);
+    entryDiv.appendChild(valueDiv);
+    return entryDiv;
+}
+
+// Load an entry into the form; saving it again replaces the value (and clears its expiry
+// unless a new one is entered)
+function editDatabankEntry(entry) {
+    document.getElementById('databankNamespace').value = entry.namespace;
+    document.getElementById('databankKey').value = entry.key;
+    document.getElementById('databankValue').value = databankValueText(entry.value);
+    document.getElementById('databankTtl').value = entry.expiresAt
+        ? Math.max(1, Math.round((Date.parse(entry.expiresAt) - Date.now()) / 1000))
+        : '';
+    document.getElementById('databankValue').focus();
+}
+
+async function deleteDatabankEntry(namespace, key) {
+    if (!confirm(`Delete databank entry "${namespace}/${key}"?`)) return;
+    
+    try {
+        const response = await fetch(`/api/databank/${encodeURIComponent(key)}?namespace=${encodeURIComponent(namespace)}`, {
+            method: 'DELETE'
+        });
+        const result = await response.json();
+        if (result.success) {
+            showNotification(`Deleted from databank: ${namespace}/${key}`);
+            loadDatabank();
+        } else {
+            showNotification('Error deleting databank entry: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error deleting databank entry: ' + error.message, 'error');
+    }
+}
+
+// Backup and restore of all data sheets and databank entries
+function downloadBackup() {
+    const a = document.createElement('a');
+    a.href = '/api/backup';
+    a.click();
+}
+
+async function restoreBackup(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    if (!confirm('Replace all data sheets and databank entries with this backup?')) return;
+    
+    try {
+        const backup = JSON.parse(await file.text());
+        const response = await fetch('/api/backup/restore', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(backup)
+        });
+        
+        const data = await response.json();
+        if (data.success) {
+            showNotification(`Restored ${data.datasheets} data sheets and ${data.databank} databank entries`);
+            loadDatabank();
+            loadDataSheets();
+        } else {
+            showNotification('Error restoring backup: ' + data.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error restoring backup: ' + error.message, 'error');
+    }
+}
+
+// Data Sheets
+const DATA_SHEET_PAGE_SIZE = 50;
+
+// Open the editor modal with a saved sheet, or empty for a new one
+function openDataSheetModal(id, data, schema) {
+    const modal = document.getElementById('dataSheetModal');
+    modal.classList.remove('hidden');
+    
+    if (!sheetEditor) {
+        sheetEditor = CodeMirror(document.getElementById('sheetEditor'), {
+            mode: 'javascript',
+            theme: 'monokai',
+            lineNumbers: true,
+            lineWrapping: true
+        });
+        sheetSchemaEditor = CodeMirror(document.getElementById('sheetSchemaEditor'), {
+            mode: { name: 'javascript', json: true },
+            theme: 'monokai',
+            lineNumbers: true,
+            lineWrapping: true
+        });
+    }
+    
+    document.getElementById('sheetId').value = id || '';
+    setSheetText(id ? JSON.stringify(data, null, 2) : '[]');
+    setSheetSchema(schema);
+}
+
+async function saveDataSheet() {
+    const id = document.getElementById('sheetId').value.trim();
+    const data = sheetText();
+    
+    if (!id) {
+        showNotification('Please enter sheet ID', 'error');
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/datasheet', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id, data: JSON.parse(data), schema: sheetSchema() })
+        });
+        
+        const result = await response.json();
+        if (result.success) {
+            showNotification('Data sheet saved: ' + id);
+            clearSheetErrors();
+            closeModal('dataSheetModal');
+            loadDataSheets();
+        } else if (result.errors) {
+            showSheetErrors(result.errors);
+            showNotification(`${result.error} (${result.errors.length} problem${result.errors.length === 1 ? '' : 's'})`, 'error');
+        } else {
+            showNotification('Error saving data sheet: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error saving data sheet: ' + error.message, 'error');
+    }
+}
+
+async function aiAssistDataSheet() {
+    const service = 'gemini'; // Default to Gemini for data operations
     
-    if (!apiKeys[service]) {
-        showNotification('Please set API key for ' + service, 'error');
+    if (!hasApiKey(service)) {
+        showNotification('Please set Gemini API key first', 'error');
         return;
     }
     
-    // Add user message
-    addAIMessage('user', prompt);
-    promptInput.value = '';
-    
-    // Show loading
-    const loadingId = addAIMessage('assistant', 'Thinking...');
+    const currentData = sheetText();
+    const prompt = `Help me structure this data properly as JSON. Current data: ${currentData}. 
+    Please provide a well-structured JSON array with proper formatting.`;
     
     try {
         const response = await fetch('/api/gateway', {
@@ -343,291 +4369,1320 @@ async function sendAIMessage() {
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 service,
-                apiKey: apiKeys[service],
-                prompt,
-                model: model || undefined
+                prompt
             })
         });
         
         const data = await response.json();
+        if (data.success) {
+            // Try to extract JSON from response
+            const jsonMatch = data.response.match(/```json\n([\s\S]*?)\n```/) || 
+                            data.response.match(/\[[\s\S]*\]/);
+            if (jsonMatch) {
+                setSheetText(jsonMatch[1] || jsonMatch[0]);
+                showNotification('AI assisted data formatting applied');
+            } else {
+                showNotification('AI response: ' + data.response);
+            }
+        }
+    } catch (error) {
+        showNotification('Error with AI assist: ' + error.message, 'error');
+    }
+}
+
+// Sidebar list of saved sheets, most recently updated first; "More" loads the next page
+async function loadDataSheets(append) {
+    const list = document.getElementById('dataSheetsList');
+    const offset = append ? list.querySelectorAll('.data-item').length : 0;
+    
+    try {
+        const response = await fetch(`/api/datasheets?offset=${offset}&limit=${DATA_SHEET_PAGE_SIZE}`);
+        const result = await response.json();
+        if (!result.success) return;
         
-        // Remove loading message
-        document.getElementById(loadingId).remove();
+        if (!append) {
+            list.innerHTML = '';
+        }
+        const more = list.querySelector('.data-list-more');
+        if (more) {
+            more.remove();
+        }
         
-        if (data.success) {
-            addAIMessage('assistant', data.response);
+        result.sheets.forEach(sheet => list.appendChild(renderDataSheetItem(sheet)));
+        
+        if (result.offset + result.sheets.length < result.total) {
+            const moreButton = document.createElement('button');
+            moreButton.className = 'btn-small data-list-more';
+            moreButton.textContent = `More (${result.total - result.offset - result.sheets.length})`;
+            moreButton.onclick = () => loadDataSheets(true);
+            list.appendChild(moreButton);
+        }
+    } catch (error) {
+        console.error('Error loading data sheets:', error);
+    }
+}
+
+function renderDataSheetItem(sheet) {
+    const item = document.createElement('div');
+    item.className = 'data-item';
+    item.title = `Created ${new Date(sheet.createdAt).toLocaleString()}\nUpdated ${new Date(sheet.updatedAt).toLocaleString()}`;
+    
+    // Create elements safely to prevent XSS
+    const label = document.createElement('span');
+    label.className = 'data-item-label';
+    label.textContent = '📊 ' + sheet.id;
+    
+    const meta = document.createElement('span');
+    meta.className = 'data-item-meta';
+    meta.textContent = sheet.rows !== null ? `${sheet.rows} rows` : formatBytes(sheet.size);
+    
+    const actions = document.createElement('span');
+    actions.className = 'tree-actions';
+    [
+        ['✏️', 'Rename', () => renameDataSheet(sheet.id)],
+        ['📄', 'Duplicate', () => duplicateDataSheet(sheet.id)],
+        ['🗑️', 'Delete', () => deleteDataSheet(sheet.id)]
+    ].forEach(([text, title, onclick]) => {
+        const button = document.createElement('button');
+        button.className = 'btn-icon';
+        button.textContent = text;
+        button.title = title;
+        button.onclick = (e) => {
+            e.stopPropagation();
+            onclick();
+        };
+        actions.appendChild(button);
+    });
+    
+    item.appendChild(label);
+    item.appendChild(meta);
+    item.appendChild(actions);
+    item.onclick = () => openDataSheet(sheet.id);
+    return item;
+}
+
+async function openDataSheet(id) {
+    try {
+        const response = await fetch(`/api/datasheet/${encodeURIComponent(id)}`);
+        const result = await response.json();
+        if (result.success) {
+            openDataSheetModal(id, result.data, result.schema);
+        } else {
+            showNotification('Error opening data sheet: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error opening data sheet: ' + error.message, 'error');
+    }
+}
+
+async function renameDataSheet(id) {
+    const newId = prompt('Rename data sheet:', id);
+    if (!newId || newId === id) return;
+    
+    try {
+        const response = await fetch(`/api/datasheet/${encodeURIComponent(id)}/rename`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id: newId })
+        });
+        
+        const result = await response.json();
+        if (result.success) {
+            showNotification(`Renamed ${id} to ${result.id}`);
+            loadDataSheets();
+        } else {
+            showNotification('Error renaming data sheet: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error renaming data sheet: ' + error.message, 'error');
+    }
+}
+
+async function duplicateDataSheet(id) {
+    try {
+        const response = await fetch(`/api/datasheet/${encodeURIComponent(id)}/duplicate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({})
+        });
+        
+        const result = await response.json();
+        if (result.success) {
+            showNotification('Data sheet duplicated: ' + result.id);
+            loadDataSheets();
+        } else {
+            showNotification('Error duplicating data sheet: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error duplicating data sheet: ' + error.message, 'error');
+    }
+}
+
+async function deleteDataSheet(id) {
+    if (!confirm(`Delete data sheet "${id}"?`)) return;
+    
+    try {
+        const response = await fetch(`/api/datasheet/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (result.success) {
+            showNotification('Data sheet deleted: ' + id);
+            loadDataSheets();
+        } else {
+            showNotification('Error deleting data sheet: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error deleting data sheet: ' + error.message, 'error');
+    }
+}
+
+// Import a CSV, TSV or XLSX file as a new sheet named after the file
+async function importDataSheet(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    const send = async (overwrite) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        if (overwrite) formData.append('overwrite', 'true');
+        const response = await fetch('/api/datasheets/import', { method: 'POST', body: formData });
+        return { status: response.status, result: await response.json() };
+    };
+    
+    try {
+        let { status, result } = await send(false);
+        if (status === 409) {
+            if (!confirm(`A data sheet named after "${file.name}" already exists. Replace it?`)) return;
+            ({ result } = await send(true));
+        }
+        
+        if (result.success) {
+            const others = (result.worksheets || []).filter(name => name !== result.worksheet);
+            showNotification(`Imported ${result.sheet.rows} row${result.sheet.rows === 1 ? '' : 's'} into "${result.id}"` +
+                (result.header ? '' : ' (no header row found)') +
+                (others.length ? `; other worksheets not imported: ${others.join(', ')}` : ''));
+            loadDataSheets();
+            openDataSheet(result.id);
+        } else if (result.errors) {
+            showNotification(`${result.error}: ${result.errors[0].path} ${result.errors[0].message}`, 'error');
+        } else {
+            showNotification('Error importing data sheet: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error importing data sheet: ' + error.message, 'error');
+    }
+}
+
+// Download the saved version of the open sheet in the format picked next to the button
+async function exportDataSheet() {
+    const id = document.getElementById('sheetId').value.trim();
+    const format = document.getElementById('sheetExportFormat').value;
+    if (!id) {
+        showNotification('Save the sheet before exporting it', 'error');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/datasheet/${encodeURIComponent(id)}/export?format=${format}`);
+        if (!response.ok) {
+            const result = await response.json();
+            showNotification('Error exporting data sheet: ' + result.error, 'error');
+            return;
+        }
+        
+        const url = URL.createObjectURL(await response.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${id}.${format}`;
+        a.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        showNotification('Error exporting data sheet: ' + error.message, 'error');
+    }
+}
+
+// Data Sheet Grid
+// Arrays of objects can be edited as a spreadsheet. The grid edits the parsed rows in
+// place, so switching back to JSON keeps every value, type and key order. Sorting and
+// filtering only change what is shown, never the order of the rows themselves.
+const SHEET_GRID_MAX_ROWS = 2000;
+
+let sheetView = 'json';
+let sheetGrid = null;       // { rows, columns, sort: { column, direction }, filter, visible, dirty }
+let sheetSelection = null;  // { anchor, focus } as { position, col } in displayed order
+
+function isGridData(data) {
+    return Array.isArray(data) &&
+        data.every(row => row !== null && typeof row === 'object' && !Array.isArray(row));
+}
+
+// Columns in the order keys first appear
+function sheetColumns(rows) {
+    const columns = new Set();
+    rows.forEach(row => Object.keys(row).forEach(key => columns.add(key)));
+    return Array.from(columns);
+}
+
+function cellText(value) {
+    if (value === undefined) return '';
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Turn typed or pasted text back into a value. Cells holding strings stay strings;
+// anything else is read as JSON when it parses (numbers, true/false, null, objects).
+// Clearing a cell that held some other value removes the key.
+function parseCellInput(text, previous) {
+    if (typeof previous === 'string') return text;
+    if (text === '') return undefined;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+function setSheetCell(row, column, value) {
+    if (value === undefined) {
+        delete row[column];
+    } else {
+        row[column] = value;
+    }
+    sheetGrid.dirty = true;
+}
+
+// Current sheet content as JSON text, whichever view is active
+function sheetText() {
+    return sheetView === 'grid' ? JSON.stringify(sheetGrid.rows, null, 2) : sheetEditor.getValue();
+}
+
+// Replace the sheet content, showing the grid when the data fits it
+function setSheetText(text) {
+    clearSheetErrors();
+    sheetEditor.setValue(text);
+    sheetView = 'json';
+    setSheetView('grid', true);
+}
+
+// Switch between 'grid' and 'json'; falls back to JSON when the data is not an array of objects
+function setSheetView(view, quiet) {
+    if (view === 'grid' && sheetView !== 'grid') {
+        let data;
+        try {
+            data = JSON.parse(sheetEditor.getValue());
+        } catch (error) {
+            data = undefined;
+            if (!quiet) showNotification('Fix the JSON before switching to the grid: ' + error.message, 'error');
+        }
+        
+        if (isGridData(data)) {
+            sheetGrid = { rows: data, columns: sheetColumns(data), sort: null, filter: '', visible: [], dirty: false };
+            sheetSelection = null;
+            document.getElementById('sheetFilter').value = '';
+            renderSheetGrid();
+        } else {
+            if (data !== undefined && !quiet) showNotification('The grid view needs an array of objects', 'error');
+            view = 'json';
+        }
+    } else if (view === 'json' && sheetView === 'grid' && sheetGrid.dirty) {
+        sheetEditor.setValue(JSON.stringify(sheetGrid.rows, null, 2));
+    }
+    
+    sheetView = view;
+    document.getElementById('sheetGrid').style.display = view === 'grid' ? 'block' : 'none';
+    document.getElementById('sheetGridTools').style.display = view === 'grid' ? 'flex' : 'none';
+    document.getElementById('sheetEditor').style.display = view === 'json' ? 'block' : 'none';
+    document.getElementById('sheetGridView').classList.toggle('active', view === 'grid');
+    document.getElementById('sheetJsonView').classList.toggle('active', view === 'json');
+    if (view === 'json') {
+        sheetEditor.refresh();
+        markSheetJsonErrors();
+    }
+}
+
+// Missing values sort last, numbers numerically, everything else as text
+function compareCells(a, b) {
+    const aEmpty = a === undefined || a === null;
+    const bEmpty = b === undefined || b === null;
+    if (aEmpty || bEmpty) return aEmpty - bEmpty;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return cellText(a).localeCompare(cellText(b), undefined, { numeric: true });
+}
+
+// Indices into sheetGrid.rows in the order they are displayed
+function visibleSheetRows() {
+    const { rows, columns, sort, filter } = sheetGrid;
+    let indices = rows.map((row, index) => index);
+    
+    if (filter) {
+        const needle = filter.toLowerCase();
+        indices = indices.filter(index =>
+            columns.some(column => cellText(rows[index][column]).toLowerCase().includes(needle)));
+    }
+    if (sort) {
+        indices.sort((a, b) => compareCells(rows[a][sort.column], rows[b][sort.column]) * sort.direction);
+    }
+    return indices;
+}
+
+function renderSheetGrid() {
+    const container = document.getElementById('sheetGrid');
+    container.innerHTML = '';
+    
+    const { rows, columns, sort } = sheetGrid;
+    sheetGrid.visible = visibleSheetRows();
+    
+    if (!columns.length) {
+        const note = document.createElement('p');
+        note.className = 'sheet-note';
+        note.textContent = 'Add a column to start, or paste cells copied from a spreadsheet (the first row becomes the column names).';
+        container.appendChild(note);
+        return;
+    }
+    
+    const table = document.createElement('table');
+    table.className = 'sheet-table';
+    
+    const header = document.createElement('tr');
+    const corner = document.createElement('th');
+    corner.className = 'sheet-row-header';
+    corner.textContent = '#';
+    header.appendChild(corner);
+    columns.forEach(column => {
+        const th = document.createElement('th');
+        
+        const label = document.createElement('span');
+        label.className = 'sheet-column-label';
+        label.textContent = column + (sort && sort.column === column ? (sort.direction > 0 ? ' ▲' : ' ▼') : '');
+        label.title = 'Sort';
+        label.onclick = () => sortSheetColumn(column);
+        
+        const removeButton = document.createElement('button');
+        removeButton.className = 'sheet-remove';
+        removeButton.textContent = '×';
+        removeButton.title = 'Remove column';
+        removeButton.tabIndex = -1;
+        removeButton.onclick = () => removeSheetColumn(column);
+        
+        th.appendChild(label);
+        th.appendChild(removeButton);
+        header.appendChild(th);
+    });
+    table.appendChild(header);
+    
+    sheetGrid.visible.slice(0, SHEET_GRID_MAX_ROWS).forEach((rowIndex, position) => {
+        const row = rows[rowIndex];
+        const tr = document.createElement('tr');
+        
+        const rowHeader = document.createElement('td');
+        rowHeader.className = 'sheet-row-header';
+        rowHeader.dataset.row = rowIndex;
+        const number = document.createElement('span');
+        number.textContent = rowIndex + 1;
+        const removeButton = document.createElement('button');
+        removeButton.className = 'sheet-remove';
+        removeButton.textContent = '×';
+        removeButton.title = 'Remove row';
+        removeButton.tabIndex = -1;
+        removeButton.onclick = () => removeSheetRow(rowIndex);
+        rowHeader.appendChild(number);
+        rowHeader.appendChild(removeButton);
+        tr.appendChild(rowHeader);
+        
+        columns.forEach((column, col) => {
+            const td = document.createElement('td');
+            const input = document.createElement('input');
+            input.className = 'sheet-cell';
+            input.dataset.position = position;
+            input.dataset.col = col;
+            input.dataset.row = rowIndex;
+            input.dataset.column = column;
+            updateSheetCellInput(input, row[column]);
+            
+            input.addEventListener('change', () => {
+                setSheetCell(row, column, parseCellInput(input.value, row[column]));
+                updateSheetCellInput(input, row[column]);
+                input.classList.remove('invalid');
+            });
+            input.addEventListener('keydown', (e) => handleSheetCellKey(e, position, col));
+            input.addEventListener('mousedown', (e) => selectSheetCell({ position, col }, e.shiftKey));
+            input.addEventListener('focus', () => {
+                if (!sheetSelection) selectSheetCell({ position, col }, false);
+            });
+            
+            td.appendChild(input);
+            tr.appendChild(td);
+        });
+        table.appendChild(tr);
+    });
+    container.appendChild(table);
+    
+    if (sheetGrid.visible.length > SHEET_GRID_MAX_ROWS) {
+        const note = document.createElement('p');
+        note.className = 'sheet-note';
+        note.textContent = `Showing the first ${SHEET_GRID_MAX_ROWS} of ${sheetGrid.visible.length} rows. Use the filter to narrow them down.`;
+        container.appendChild(note);
+    }
+    highlightSheetSelection();
+    markSheetGridErrors();
+}
+
+// Show a value in its cell; non-string values are marked so "42" and 42 look different
+function updateSheetCellInput(input, value) {
+    input.value = cellText(value);
+    input.classList.toggle('missing', value === undefined);
+    input.classList.toggle('typed', value !== undefined && typeof value !== 'string');
+    input.title = value === undefined ? 'Not set' : typeof value === 'string' ? '' : `${value === null ? 'null' : typeof value} value`;
+}
+
+function sheetCellInput(position, col) {
+    return document.querySelector(`#sheetGrid .sheet-cell[data-position="${position}"][data-col="${col}"]`);
+}
+
+function handleSheetCellKey(e, position, col) {
+    const moves = { Enter: 1, ArrowDown: 1, ArrowUp: -1 };
+    if (!(e.key in moves) || e.shiftKey || e.altKey) return;
+    
+    const next = sheetCellInput(position + moves[e.key], col);
+    if (next) {
+        e.preventDefault();
+        // Commit the edit before leaving the cell
+        e.target.dispatchEvent(new Event('change'));
+        selectSheetCell({ position: position + moves[e.key], col }, false);
+        next.focus();
+        next.select();
+    }
+}
+
+function selectSheetCell(cell, extend) {
+    sheetSelection = extend && sheetSelection
+        ? { anchor: sheetSelection.anchor, focus: cell }
+        : { anchor: cell, focus: cell };
+    highlightSheetSelection();
+}
+
+function sheetSelectionBounds() {
+    const { anchor, focus } = sheetSelection;
+    return {
+        top: Math.min(anchor.position, focus.position),
+        bottom: Math.max(anchor.position, focus.position),
+        left: Math.min(anchor.col, focus.col),
+        right: Math.max(anchor.col, focus.col)
+    };
+}
+
+function highlightSheetSelection() {
+    const bounds = sheetSelection && sheetSelectionBounds();
+    const multiple = bounds && (bounds.top !== bounds.bottom || bounds.left !== bounds.right);
+    document.querySelectorAll('#sheetGrid .sheet-cell').forEach(input => {
+        const position = Number(input.dataset.position);
+        const col = Number(input.dataset.col);
+        input.classList.toggle('selected', Boolean(multiple) &&
+            position >= bounds.top && position <= bounds.bottom && col >= bounds.left && col <= bounds.right);
+    });
+}
+
+function sortSheetColumn(column) {
+    const { sort } = sheetGrid;
+    // Cycle ascending → descending → unsorted
+    if (!sort || sort.column !== column) {
+        sheetGrid.sort = { column, direction: 1 };
+    } else if (sort.direction === 1) {
+        sheetGrid.sort = { column, direction: -1 };
+    } else {
+        sheetGrid.sort = null;
+    }
+    sheetSelection = null;
+    renderSheetGrid();
+}
+
+function filterSheetRows(filter) {
+    sheetGrid.filter = filter;
+    sheetSelection = null;
+    renderSheetGrid();
+}
+
+function addSheetRow() {
+    sheetGrid.rows.push({});
+    sheetGrid.dirty = true;
+    document.getElementById('sheetFilter').value = '';
+    sheetGrid.filter = '';
+    renderSheetGrid();
+    
+    const position = sheetGrid.visible.indexOf(sheetGrid.rows.length - 1);
+    const input = sheetCellInput(position, 0);
+    if (input) {
+        input.focus();
+        input.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+function removeSheetRow(rowIndex) {
+    const row = sheetGrid.rows[rowIndex];
+    if (Object.keys(row).length && !confirm(`Remove row ${rowIndex + 1}?`)) return;
+    
+    sheetGrid.rows.splice(rowIndex, 1);
+    sheetGrid.dirty = true;
+    sheetSelection = null;
+    // Later rows have moved up, so their errors no longer point at the right place
+    sheetErrors = [];
+    renderSheetGrid();
+}
+
+function addSheetColumn() {
+    const name = prompt('Column name:');
+    if (!name) return;
+    if (sheetGrid.columns.includes(name)) {
+        showNotification('Column already exists: ' + name, 'error');
+        return;
+    }
+    
+    // The column only appears in the JSON once a cell in it has a value
+    sheetGrid.columns.push(name);
+    renderSheetGrid();
+}
+
+function removeSheetColumn(column) {
+    const used = sheetGrid.rows.some(row => row[column] !== undefined);
+    if (used && !confirm(`Remove column "${column}" and its values from every row?`)) return;
+    
+    sheetGrid.rows.forEach(row => delete row[column]);
+    sheetGrid.columns = sheetGrid.columns.filter(name => name !== column);
+    if (sheetGrid.sort && sheetGrid.sort.column === column) {
+        sheetGrid.sort = null;
+    }
+    sheetGrid.dirty = sheetGrid.dirty || used;
+    sheetSelection = null;
+    renderSheetGrid();
+}
+
+// Spreadsheet clipboard text: tab-separated, with "quoted" cells that may
+// contain tabs, newlines and doubled "" quotes
+function parseTSV(text) {
+    const rows = [[]];
+    let cell = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"' && cell === '') {
+            quoted = true;
+        } else if (ch === '\t') {
+            rows[rows.length - 1].push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            rows[rows.length - 1].push(cell);
+            cell = '';
+            rows.push([]);
         } else {
-            addAIMessage('assistant', 'Error: ' + data.error);
+            cell += ch;
+        }
+    }
+    rows[rows.length - 1].push(cell);
+    
+    // Spreadsheets end a copied block with a newline
+    const last = rows[rows.length - 1];
+    if (rows.length > 1 && last.length === 1 && last[0] === '') {
+        rows.pop();
+    }
+    return rows;
+}
+
+function toTSVCell(text) {
+    return /[\t\n\r"]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+// Copy a multi-cell selection as tab-separated text that spreadsheets understand
+function copySheetSelection(e) {
+    if (sheetView !== 'grid' || !sheetSelection) return;
+    const bounds = sheetSelectionBounds();
+    if (bounds.top === bounds.bottom && bounds.left === bounds.right) return;
+    
+    const lines = [];
+    for (let position = bounds.top; position <= bounds.bottom; position++) {
+        const row = sheetGrid.rows[sheetGrid.visible[position]];
+        const cells = [];
+        for (let col = bounds.left; col <= bounds.right; col++) {
+            cells.push(toTSVCell(cellText(row[sheetGrid.columns[col]])));
         }
+        lines.push(cells.join('\t'));
+    }
+    e.clipboardData.setData('text/plain', lines.join('\n'));
+    e.preventDefault();
+}
+
+// Paste a block of cells at the focused cell, adding rows and columns as needed.
+// Pasting into a grid without columns uses the first row as the column names.
+function pasteIntoSheet(e) {
+    if (sheetView !== 'grid') return;
+    const text = e.clipboardData.getData('text/plain');
+    const single = !/[\t\n\r]/.test(text.replace(/\r?\n$/, ''));
+    const target = e.target.classList && e.target.classList.contains('sheet-cell') ? e.target : null;
+    // A single value typed into one cell is left to the input itself
+    if (single && target) return;
+    e.preventDefault();
+    
+    const block = parseTSV(text);
+    if (!sheetGrid.columns.length) {
+        sheetGrid.columns = block.shift().map((name, index) => name || `column${index + 1}`);
+    }
+    
+    const startPosition = target ? Number(target.dataset.position) : sheetGrid.visible.length;
+    const startCol = target ? Number(target.dataset.col) : 0;
+    block.forEach((cells, r) => {
+        const position = startPosition + r;
+        if (position >= sheetGrid.visible.length) {
+            sheetGrid.rows.push({});
+            sheetGrid.visible.push(sheetGrid.rows.length - 1);
+        }
+        const row = sheetGrid.rows[sheetGrid.visible[position]];
+        
+        cells.forEach((value, c) => {
+            const col = startCol + c;
+            while (col >= sheetGrid.columns.length) {
+                let name = `column${sheetGrid.columns.length + 1}`;
+                while (sheetGrid.columns.includes(name)) name += '_';
+                sheetGrid.columns.push(name);
+            }
+            const column = sheetGrid.columns[col];
+            setSheetCell(row, column, parseCellInput(value, row[column]));
+        });
+    });
+    
+    sheetGrid.dirty = true;
+    sheetSelection = null;
+    renderSheetGrid();
+    showNotification(`Pasted ${block.length} row${block.length === 1 ? '' : 's'}`);
+}
+
+// Data Sheet Schemas
+// A sheet can carry a JSON Schema that the server checks on every save. Rejected saves
+// come back with one error per problem and a path such as $[3].price, which is marked
+// on the grid cell or the JSON text it points at.
+const SCHEMA_SAMPLE_ROWS = 50;
+const SCHEMA_SAMPLE_CHARS = 8000;
+
+let sheetSchemaEditor = null;
+let sheetErrors = [];
+let sheetErrorMarks = [];
+
+function toggleSheetSchema(show) {
+    const panel = document.getElementById('sheetSchemaPanel');
+    const visible = show === undefined ? panel.style.display === 'none' : show;
+    panel.style.display = visible ? 'block' : 'none';
+    document.getElementById('sheetSchemaToggle').classList.toggle('active', visible);
+    if (visible) {
+        sheetSchemaEditor.refresh();
+    }
+}
+
+// Parsed schema from the schema editor, or null when it is empty
+function sheetSchema() {
+    const text = sheetSchemaEditor.getValue().trim();
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
     } catch (error) {
-        document.getElementById(loadingId).remove();
-        addAIMessage('assistant', 'Error: ' + error.message);
+        toggleSheetSchema(true);
+        throw new Error('Schema is not valid JSON: ' + error.message);
     }
 }
 
-function addAIMessage(role, content) {
-    const messagesDiv = document.getElementById('aiMessages');
-    const messageDiv = document.createElement('div');
-    const messageId = 'msg-' + Date.now();
-    
-    messageDiv.id = messageId;
-    messageDiv.className = `ai-message ${role}`;
-    
-    // Create elements safely to prevent XSS
-    const labelDiv = document.createElement('div');
-    labelDiv.className = 'ai-message-label';
-    labelDiv.textContent = role === 'user' ? 'You' : 'AI';
+function setSheetSchema(schema) {
+    sheetSchemaEditor.setValue(schema ? JSON.stringify(schema, null, 2) : '');
+    toggleSheetSchema(Boolean(schema));
+}
+
+// Character range { from, to } of the value at `segments` in JSON text. When the path
+// does not exist (e.g. a missing required property) this is the deepest value that does.
+function locateJsonPath(text, segments) {
+    let pos = 0;
     
-    const contentDiv = document.createElement('div');
-    contentDiv.textContent = content;
+    function skipSpace() {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+    }
     
-    messageDiv.appendChild(labelDiv);
-    messageDiv.appendChild(contentDiv);
+    function skipValue() {
+        skipSpace();
+        const ch = text[pos];
+        if (ch === '"') {
+            pos++;
+            while (pos < text.length && text[pos] !== '"') {
+                pos += text[pos] === '\\' ? 2 : 1;
+            }
+            pos++;
+        } else if (ch === '{' || ch === '[') {
+            let depth = 0;
+            while (pos < text.length) {
+                const c = text[pos];
+                if (c === '"') {
+                    skipValue();
+                    continue;
+                }
+                if (c === '{' || c === '[') depth++;
+                pos++;
+                if ((c === '}' || c === ']') && --depth === 0) return;
+            }
+        } else {
+            while (pos < text.length && !/[,\]}\s]/.test(text[pos])) pos++;
+        }
+    }
     
-    messagesDiv.appendChild(messageDiv);
-    messagesDiv.scrollTop = messagesDiv.scrollHeight;
+    // Move into the array element or object property `segment`; false if it is not there
+    function enter(segment) {
+        skipSpace();
+        if (text[pos] === '[' && typeof segment === 'number') {
+            pos++;
+            for (let index = 0; ; index++) {
+                skipSpace();
+                if (pos >= text.length || text[pos] === ']') return false;
+                if (index === segment) return true;
+                skipValue();
+                skipSpace();
+                if (text[pos] === ',') pos++;
+            }
+        }
+        if (text[pos] === '{') {
+            pos++;
+            for (;;) {
+                skipSpace();
+                if (text[pos] !== '"') return false;
+                const start = pos;
+                skipValue();
+                const key = JSON.parse(text.slice(start, pos));
+                skipSpace();
+                pos++; // the colon
+                skipSpace();
+                if (key === String(segment)) return true;
+                skipValue();
+                skipSpace();
+                if (text[pos] === ',') pos++;
+            }
+        }
+        return false;
+    }
     
-    return messageId;
+    skipSpace();
+    let from = pos;
+    for (const segment of segments) {
+        if (!enter(segment)) break;
+        from = pos;
+    }
+    pos = from;
+    skipValue();
+    return { from, to: pos };
 }
 
-// Notebook
-function addNotebookCell() {
-    const cellsDiv = document.getElementById('notebookCells');
-    const cellId = 'cell-' + Date.now();
-    
-    const cellDiv = document.createElement('div');
-    cellDiv.className = 'notebook-cell';
-    cellDiv.id = cellId;
-    cellDiv.innerHTML = `
-        <div class="cell-header">
-            <select class="cell-type-selector" onchange="changeCellType('${cellId}', this.value)">
-                <option value="code">Code</option>
-                <option value="markdown">Markdown</option>
-            </select>
-            <div class="cell-controls">
-                <button class="btn-small" onclick="runCell('${cellId}')">▶ Run</button>
-                <button class="btn-small" onclick="deleteCell('${cellId}')">🗑️</button>
-            </div>
-        </div>
-        <div class="cell-editor" id="${cellId}-editor"></div>
-        <div class="cell-output" id="${cellId}-output"></div>
-    `;
-    
-    cellsDiv.appendChild(cellDiv);
+function clearSheetErrors() {
+    showSheetErrors([]);
+}
+
+// List errors under the editor and mark them in whichever view is showing
+function showSheetErrors(errors) {
+    sheetErrors = errors;
     
-    // Initialize CodeMirror for this cell
-    const cellEditor = CodeMirror(document.getElementById(`${cellId}-editor`), {
-        mode: 'javascript',
-        theme: 'monokai',
-        lineNumbers: true,
-        lineWrapping: true
+    const list = document.getElementById('sheetErrors');
+    list.innerHTML = '';
+    list.style.display = errors.length ? 'block' : 'none';
+    errors.forEach(error => {
+        // Create elements safely to prevent XSS
+        const item = document.createElement('div');
+        item.className = 'sheet-error';
+        
+        const path = document.createElement('code');
+        path.textContent = error.path;
+        const message = document.createElement('span');
+        message.textContent = error.message;
+        
+        item.appendChild(path);
+        item.appendChild(message);
+        item.onclick = () => focusSheetError(error);
+        list.appendChild(item);
     });
     
-    notebookCells.push({ id: cellId, editor: cellEditor, type: 'code' });
-}
-
-function changeCellType(cellId, type) {
-    const cell = notebookCells.find(c => c.id === cellId);
-    if (cell) {
-        cell.type = type;
-        cell.editor.setOption('mode', type === 'code' ? 'javascript' : 'markdown');
+    markSheetJsonErrors();
+    if (sheetView === 'grid') {
+        markSheetGridErrors();
     }
 }
 
-function runCell(cellId) {
-    const cell = notebookCells.find(c => c.id === cellId);
-    if (!cell) return;
-    
-    const code = cell.editor.getValue();
-    const outputDiv = document.getElementById(`${cellId}-output`);
+function markSheetJsonErrors() {
+    sheetErrorMarks.forEach(mark => mark.clear());
+    sheetErrorMarks = [];
+    if (!sheetErrors.length || sheetView !== 'json') return;
     
-    if (cell.type === 'code') {
+    const text = sheetEditor.getValue();
+    sheetErrors.forEach(error => {
+        let range;
         try {
-            // Capture console.log
-            const logs = [];
-            const originalLog = console.log;
-            console.log = (...args) => {
-                logs.push(args.join(' '));
-                originalLog(...args);
-            };
-            
-            // Note: eval() is used intentionally for notebook functionality (like Jupyter)
-            // Users should only run trusted code. For production, consider using a sandboxed environment.
-            const result = eval(code);
-            console.log = originalLog;
-            
-            outputDiv.textContent = logs.join('\n') + (result !== undefined ? '\n=> ' + result : '');
-        } catch (error) {
-            outputDiv.textContent = 'Error: ' + error.message;
+            range = locateJsonPath(text, error.segments);
+        } catch (e) {
+            return;
         }
-    } else {
-        // Simple markdown rendering (basic) - escape HTML to prevent XSS
-        const escapedCode = code
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&#039;')
-            .replace(/\n/g, '<br>');
-        outputDiv.innerHTML = escapedCode;
-    }
+        const mark = sheetEditor.markText(sheetEditor.posFromIndex(range.from), sheetEditor.posFromIndex(range.to), {
+            className: 'sheet-invalid',
+            title: `${error.path}: ${error.message}`
+        });
+        sheetErrorMarks.push(mark);
+    });
 }
 
-function deleteCell(cellId) {
-    const index = notebookCells.findIndex(c => c.id === cellId);
-    if (index !== -1) {
-        notebookCells.splice(index, 1);
-        document.getElementById(cellId).remove();
-    }
+// Errors for a row land on its cell ($[3].price) or, for the row itself ($[3]), its number
+function markSheetGridErrors() {
+    const messages = new Map();
+    sheetErrors.forEach(error => {
+        const [rowIndex, column] = error.segments;
+        if (typeof rowIndex !== 'number') return;
+        
+        const target = column === undefined
+            ? document.querySelector(`#sheetGrid .sheet-row-header[data-row="${rowIndex}"]`)
+            : Array.from(document.querySelectorAll(`#sheetGrid .sheet-cell[data-row="${rowIndex}"]`))
+                .find(input => input.dataset.column === String(column));
+        if (target) {
+            messages.set(target, (messages.get(target) || []).concat(error.message));
+        }
+    });
+    messages.forEach((list, target) => {
+        target.classList.add('invalid');
+        target.title = list.join('\n');
+    });
 }
 
-// Databank
-async function saveToDatabank() {
-    const key = document.getElementById('databankKey').value.trim();
-    const value = document.getElementById('databankValue').value.trim();
+function focusSheetError(error) {
+    if (sheetView === 'grid') {
+        const [rowIndex, column] = error.segments;
+        const input = Array.from(document.querySelectorAll(`#sheetGrid .sheet-cell[data-row="${rowIndex}"]`))
+            .find(cell => column === undefined || cell.dataset.column === String(column));
+        if (input) {
+            input.scrollIntoView({ block: 'nearest' });
+            input.focus();
+        } else {
+            showNotification('That row is hidden by the filter', 'error');
+        }
+        return;
+    }
     
-    if (!key) {
-        showNotification('Please enter a key', 'error');
+    try {
+        const range = locateJsonPath(sheetEditor.getValue(), error.segments);
+        sheetEditor.focus();
+        sheetEditor.setCursor(sheetEditor.posFromIndex(range.from));
+        sheetEditor.scrollIntoView(null, 100);
+    } catch (e) {
+        sheetEditor.focus();
+    }
+}
+
+// Ask the AI for a starting schema that the current rows satisfy
+async function inferSheetSchema() {
+    const button = document.getElementById('sheetInferSchema');
+    let data;
+    try {
+        data = JSON.parse(sheetText());
+    } catch (error) {
+        showNotification('Fix the JSON before inferring a schema: ' + error.message, 'error');
         return;
     }
     
+    const sample = Array.isArray(data) ? data.slice(0, SCHEMA_SAMPLE_ROWS) : data;
+    const sampleText = JSON.stringify(sample, null, 2);
+    const truncated = sampleText.length > SCHEMA_SAMPLE_CHARS ||
+        (Array.isArray(data) && data.length > SCHEMA_SAMPLE_ROWS);
+    
     try {
-        const response = await fetch('/api/databank', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ key, value })
-        });
+        button.disabled = true;
+        button.textContent = '✨ Inferring...';
+        const reply = await callGateway([
+            {
+                role: 'system',
+                content: 'You write JSON Schemas (draft-07). Reply with only the schema as JSON. ' +
+                    'Use the types, required properties and formats (date, date-time, email, uri) that the data ' +
+                    'consistently follows, and stay permissive where values vary.'
+            },
+            {
+                role: 'user',
+                content: `Infer a JSON Schema for this data sheet` +
+                    (Array.isArray(data) ? ` of ${data.length} rows` : '') +
+                    (truncated ? ' (sample shown)' : '') + ':\n\n' +
+                    sampleText.slice(0, SCHEMA_SAMPLE_CHARS)
+            }
+        ]);
         
-        const data = await response.json();
-        if (data.success) {
-            showNotification('Saved to databank: ' + key);
-            document.getElementById('databankKey').value = '';
-            document.getElementById('databankValue').value = '';
-            loadDatabank();
-        }
+        const schema = JSON.parse(extractCodeBlock(reply));
+        setSheetSchema(schema);
+        showNotification('Schema inferred. Review it, then save the sheet to apply it');
     } catch (error) {
-        showNotification('Error saving to databank: ' + error.message, 'error');
+        showNotification('Error inferring schema: ' + error.message, 'error');
+    } finally {
+        button.disabled = false;
+        button.textContent = '✨ Infer Schema';
     }
 }
 
-async function loadDatabank() {
+// Data Queries
+// Queries are JSON (see query.js on the server for the format) and run against saved
+// sheets and array-valued databank keys. "Ask AI" turns a question into a query.
+const QUERY_GUIDE = `Queries are JSON objects with these optional parts (only "from" is required):
+{
+  "from": "orders",                                   // sheet id, { "sheet": id, "as": alias } or { "databank": "namespace/key", "as": alias }
+  "join": [{ "sheet": "customers", "as": "c", "on": { "orders.customerId": "c.id" }, "type": "inner" | "left" }],
+  "where": { "orders.total": { "$gt": 100 }, "$or": [{ "c.country": "NZ" }, { "c.vip": true }] },
+  "groupBy": ["c.country"],
+  "select": { "country": "c.country", "orders": { "$count": "*" }, "revenue": { "$sum": "orders.total" } },
+  "having": { "revenue": { "$gte": 1000 } },
+  "orderBy": ["-revenue", "country"],
+  "offset": 0,
+  "limit": 10
+}
+Fields are dotted paths. With joins every field starts with its source alias (the "from" alias defaults to its id).
+Conditions: { field: value } or { field: { op: value } } with $eq $ne $gt $gte $lt $lte $in $nin $exists $contains $regex ($options), combined with $and $or $nor $not.
+"select" is a list of fields or an object of name → field or aggregate ($count ("*" for rows), $countDistinct, $sum, $avg, $min, $max, $first, $last, $push).
+Aggregates without "groupBy" summarize all rows. "orderBy" may use output names; prefix "-" for descending.`;
+
+let queryResult = null;
+
+function parseQueryText() {
+    const text = document.getElementById('queryText').value.trim();
+    if (!text) {
+        throw new Error('Write a query first');
+    }
     try {
-        const response = await fetch('/api/databank');
-        const result = await response.json();
-        
-        if (result.success) {
-            const entriesDiv = document.getElementById('databankEntries');
-            entriesDiv.innerHTML = '';
-            
-            Object.entries(result.data).forEach(([key, value]) => {
-                const entryDiv = document.createElement('div');
-                entryDiv.className = 'databank-entry';
-                
-                // Create elements safely to prevent XSS
-                const keyDiv = document.createElement('div');
-                keyDiv.className = 'databank-entry-key';
-                keyDiv.textContent = key;
-                
-                const valueDiv = document.createElement('div');
-                valueDiv.className = 'databank-entry-value';
-                valueDiv.textContent = JSON.stringify(value, null, 2);
-                
-                entryDiv.appendChild(keyDiv);
-                entryDiv.appendChild(valueDiv);
-                entriesDiv.appendChild(entryDiv);
-            });
-        }
+        return JSON.parse(text);
     } catch (error) {
-        showNotification('Error loading databank: ' + error.message, 'error');
+        throw new Error('Query is not valid JSON: ' + error.message);
     }
 }
 
-// Data Sheets
-function openDataSheetModal() {
-    const modal = document.getElementById('dataSheetModal');
-    modal.classList.remove('hidden');
+async function runDataQuery() {
+    const status = document.getElementById('queryStatus');
+    let query;
+    try {
+        query = parseQueryText();
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return;
+    }
     
-    if (!sheetEditor) {
-        sheetEditor = CodeMirror(document.getElementById('sheetEditor'), {
-            mode: 'javascript',
-            theme: 'monokai',
-            lineNumbers: true,
-            lineWrapping: true
+    status.textContent = 'Running...';
+    try {
+        const response = await fetch('/api/query', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query })
         });
-        sheetEditor.setValue('[]');
+        const result = await response.json();
+        if (!result.success) {
+            status.textContent = '';
+            showNotification('Query error: ' + result.error, 'error');
+            return;
+        }
+        
+        queryResult = result;
+        let summary = `${result.count} row${result.count === 1 ? '' : 's'}`;
+        if (result.total !== result.count) summary += ` of ${result.total}`;
+        if (result.truncated) summary += ` (showing the first ${result.rows.length})`;
+        status.textContent = summary;
+        renderQueryResults(result.rows);
+    } catch (error) {
+        status.textContent = '';
+        showNotification('Query error: ' + error.message, 'error');
     }
 }
 
-async function saveDataSheet() {
-    const id = document.getElementById('sheetId').value.trim();
-    const data = sheetEditor.getValue();
-    
-    if (!id) {
-        showNotification('Please enter sheet ID', 'error');
+function renderQueryResults(rows) {
+    const container = document.getElementById('queryResults');
+    container.innerHTML = '';
+    if (!rows.length) {
+        const note = document.createElement('p');
+        note.className = 'sheet-note';
+        note.textContent = 'No rows match this query.';
+        container.appendChild(note);
         return;
     }
     
+    // Create elements safely to prevent XSS
+    const columns = sheetColumns(rows.filter(row => row !== null && typeof row === 'object' && !Array.isArray(row)));
+    const table = document.createElement('table');
+    table.className = 'sheet-table';
+    
+    const header = document.createElement('tr');
+    columns.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column;
+        header.appendChild(th);
+    });
+    table.appendChild(header);
+    
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        columns.forEach(column => {
+            const td = document.createElement('td');
+            const value = row[column];
+            td.textContent = cellText(value);
+            td.className = value !== undefined && typeof value !== 'string' ? 'query-cell typed' : 'query-cell';
+            tr.appendChild(td);
+        });
+        table.appendChild(tr);
+    });
+    container.appendChild(table);
+}
+
+// Run the query again on the server and store its full result as a sheet
+async function saveQueryResult() {
+    let query;
     try {
-        const response = await fetch('/api/datasheet', {
+        query = parseQueryText();
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return;
+    }
+    const id = prompt('Save the result as data sheet:');
+    if (!id) return;
+    
+    const send = async (overwrite) => {
+        const response = await fetch('/api/query', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ id, data: JSON.parse(data) })
+            body: JSON.stringify({ query, saveAs: id, overwrite })
         });
-        
-        const result = await response.json();
+        return { status: response.status, result: await response.json() };
+    };
+    
+    try {
+        let { status, result } = await send(false);
+        if (status === 409) {
+            if (!confirm(`Data sheet "${id}" already exists. Replace it?`)) return;
+            ({ result } = await send(true));
+        }
         if (result.success) {
-            showNotification('Data sheet saved: ' + id);
-            closeModal('dataSheetModal');
+            showNotification(`Saved ${result.count} row${result.count === 1 ? '' : 's'} as data sheet: ${id}`);
             loadDataSheets();
+        } else {
+            showNotification('Error saving query result: ' + result.error, 'error');
         }
     } catch (error) {
-        showNotification('Error saving data sheet: ' + error.message, 'error');
+        showNotification('Error saving query result: ' + error.message, 'error');
     }
 }
 
-async function aiAssistDataSheet() {
-    const service = 'gemini'; // Default to Gemini for data operations
-    
-    if (!apiKeys[service]) {
-        showNotification('Please set Gemini API key first', 'error');
+// Turn the question into a query with the AI model selected in the AI panel, then run it
+async function askQueryAI() {
+    const question = document.getElementById('queryQuestion').value.trim();
+    const button = document.getElementById('queryAsk');
+    if (!question) {
+        showNotification('Type a question about your data first', 'error');
         return;
     }
     
-    const currentData = sheetEditor.getValue();
-    const prompt = `Help me structure this data properly as JSON. Current data: ${currentData}. 
-    Please provide a well-structured JSON array with proper formatting.`;
+    try {
+        button.disabled = true;
+        button.textContent = '✨ Thinking...';
+        const response = await fetch('/api/query/sources');
+        const sources = await response.json();
+        const describe = (name, source) => `- ${name} (${source.rows} rows): ${(source.columns || []).join(', ') || 'no object rows'}`;
+        const catalog = sources.sheets.map(sheet => describe(`sheet "${sheet.id}"`, sheet))
+            .concat(sources.databank.map(entry => describe(`databank "${entry.key}"`, entry)))
+            .join('\n');
+        
+        const reply = await callGateway([
+            {
+                role: 'system',
+                content: 'You translate questions about tabular data into JSON queries. Reply with only the query JSON.\n\n' +
+                    QUERY_GUIDE + '\n\nAvailable sources and their columns:\n' + (catalog || '(none)')
+            },
+            { role: 'user', content: question }
+        ]);
+        
+        const query = JSON.parse(extractCodeBlock(reply));
+        document.getElementById('queryText').value = JSON.stringify(query, null, 2);
+        await runDataQuery();
+    } catch (error) {
+        showNotification('Error generating query: ' + error.message, 'error');
+    } finally {
+        button.disabled = false;
+        button.textContent = '✨ Ask AI';
+    }
+}
+
+// Search
+const SEARCH_RESULTS = 20;
+const SEARCH_SNIPPET_LINES = 8;
+const AI_RETRIEVAL_RESULTS = 5;
+const SEARCH_SOURCE_ICONS = { files: '📄', sheets: '📊', databank: '💾' };
+
+// GET /api/search; options: { limit, sources, project }
+async function fetchSearchResults(query, options = {}) {
+    const params = new URLSearchParams({ q: query });
+    if (options.limit) params.set('limit', options.limit);
+    if (options.sources) params.set('sources', options.sources.join(','));
+    if (options.project) params.set('project', options.project);
+    
+    const response = await fetch('/api/search?' + params);
+    const result = await response.json();
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+    return result;
+}
+
+function searchSources() {
+    return [['searchFiles', 'files'], ['searchSheets', 'sheets'], ['searchDatabank', 'databank']]
+        .filter(([id]) => document.getElementById(id).checked)
+        .map(([, source]) => source);
+}
+
+async function runSearch() {
+    const query = document.getElementById('searchQuery').value.trim();
+    const status = document.getElementById('searchStatus');
+    if (!query) return;
+    
+    const sources = searchSources();
+    if (!sources.length) {
+        showNotification('Choose at least one kind of content to search', 'error');
+        return;
+    }
     
+    status.textContent = 'Searching...';
     try {
-        const response = await fetch('/api/gateway', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                service,
-                apiKey: apiKeys[service],
-                prompt
-            })
+        const result = await fetchSearchResults(query, {
+            limit: SEARCH_RESULTS,
+            sources,
+            project: document.getElementById('searchProjectOnly').checked ? currentProject : undefined
         });
+        const count = result.results.length;
+        status.textContent = `${count} result${count === 1 ? '' : 's'}, ranked by ` +
+            (result.mode === 'embeddings' ? 'embeddings' : 'keywords') +
+            (result.warning ? ` (embeddings unavailable: ${result.warning})` : '');
+        renderSearchResults(result.results);
+    } catch (error) {
+        status.textContent = '';
+        showNotification('Search error: ' + error.message, 'error');
+    }
+}
+
+// "project/file.js:12", "sheet row 3" or "namespace/key"
+function searchResultLabel(result) {
+    if (result.source === 'files') return `${result.title}:${result.line}`;
+    if (result.source === 'sheets' && result.ref.rows) return `${result.title} row ${result.line}`;
+    return result.title;
+}
+
+function renderSearchResults(results) {
+    const container = document.getElementById('searchResults');
+    container.innerHTML = '';
+    if (!results.length) {
+        const note = document.createElement('p');
+        note.className = 'sheet-note';
+        note.textContent = 'Nothing matched.';
+        container.appendChild(note);
+        return;
+    }
+    
+    // Create elements safely to prevent XSS
+    results.forEach(result => {
+        const item = document.createElement('div');
+        item.className = 'search-result';
+        item.title = 'Open';
         
-        const data = await response.json();
-        if (data.success) {
-            // Try to extract JSON from response
-            const jsonMatch = data.response.match(/```json\n([\s\S]*?)\n```/) || 
-                            data.response.match(/\[[\s\S]*\]/);
-            if (jsonMatch) {
-                sheetEditor.setValue(jsonMatch[1] || jsonMatch[0]);
-                showNotification('AI assisted data formatting applied');
-            } else {
-                showNotification('AI response: ' + data.response);
+        const header = document.createElement('div');
+        header.className = 'search-result-header';
+        const label = document.createElement('span');
+        label.className = 'search-result-title';
+        label.textContent = `${SEARCH_SOURCE_ICONS[result.source]} ${searchResultLabel(result)}`;
+        const score = document.createElement('span');
+        score.className = 'search-result-score';
+        score.textContent = result.score.toFixed(3);
+        header.appendChild(label);
+        header.appendChild(score);
+        
+        const snippet = document.createElement('pre');
+        snippet.className = 'search-snippet';
+        snippet.textContent = result.text.split('\n').slice(0, SEARCH_SNIPPET_LINES).join('\n');
+        
+        item.appendChild(header);
+        item.appendChild(snippet);
+        item.onclick = () => openSearchResult(result);
+        container.appendChild(item);
+    });
+}
+
+// Jump to the file line, sheet row or databank entry a result came from
+async function openSearchResult(result) {
+    const { ref } = result;
+    if (result.source === 'files') {
+        if (ref.project !== currentProject) {
+            switchProject(ref.project);
+            if (ref.project !== currentProject) return;
+        }
+        await openFileAtLine({ file: ref.path, line: result.line });
+    } else if (result.source === 'sheets') {
+        await openDataSheet(ref.id);
+        if (ref.rows) {
+            focusSheetError({ segments: [result.line - 1] });
+        }
+    } else {
+        try {
+            const response = await fetch(`/api/databank/${encodeURIComponent(ref.key)}?namespace=${encodeURIComponent(ref.namespace)}`);
+            const data = await response.json();
+            if (!data.success) {
+                showNotification('Error opening databank entry: ' + data.error, 'error');
+                return;
             }
+            if (!isPanelOpen('databankPanel')) {
+                togglePanel('databankPanel');
+                loadDatabank();
+            }
+            editDatabankEntry(data.entry);
+        } catch (error) {
+            showNotification('Error opening databank entry: ' + error.message, 'error');
+        }
+    }
+}
+
+async function reindexSearch() {
+    const status = document.getElementById('searchStatus');
+    status.textContent = 'Rebuilding the index...';
+    try {
+        const response = await fetch('/api/search/reindex', { method: 'POST' });
+        const result = await response.json();
+        if (result.success) {
+            status.textContent = `Indexed ${result.chunks} chunks from ${result.documents} documents` +
+                (result.warning ? ` (embeddings unavailable: ${result.warning})` : '');
+        } else {
+            status.textContent = '';
+            showNotification('Error rebuilding the index: ' + result.error, 'error');
         }
     } catch (error) {
-        showNotification('Error with AI assist: ' + error.message, 'error');
+        status.textContent = '';
+        showNotification('Error rebuilding the index: ' + error.message, 'error');
     }
 }
 
-async function loadDataSheets() {
-    // This would load saved sheets list
-    // For now, it's a placeholder
+// System message with the best matches for `prompt` from the current project, data
+// sheets and databank, or null when nothing matches
+async function retrievalContext(prompt) {
+    const { results } = await fetchSearchResults(prompt, { limit: AI_RETRIEVAL_RESULTS, project: currentProject });
+    if (!results.length) return null;
+    
+    const excerpts = results.map((result, i) =>
+        `[${i + 1}] ${searchResultLabel(result)}\n\`\`\`\n${result.text}\n\`\`\``
+    );
+    return {
+        results,
+        message: {
+            role: 'system',
+            content: 'Excerpts from the user\'s workspace files, data sheets and databank that may help answer. ' +
+                'Use them when relevant and mention which ones you used by number.\n\n' + excerpts.join('\n\n')
+        }
+    };
 }
 
 // Utility Functions
@@ -654,6 +5709,12 @@ function showNotification(message, type = 'success') {
     }, 3000);
 }
 
+function formatBytes(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+}
+
 function debounce(func, wait) {
     let timeout;
     return function executedFunction(...args) {
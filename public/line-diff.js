@@ -0,0 +1,69 @@
+// Line diff shared by the editor page (code action previews and the history view) and the
+// server's revision diff route, which requires it.
+(function (root) {
+    // Largest LCS table (lines × lines) to build; bigger changes are shown as a block of
+    // removed lines followed by the added ones rather than freezing the page
+    const MAX_TABLE_CELLS = 4000000;
+
+    // Line diff via longest common subsequence: [{ type: 'same'|'added'|'removed', text }].
+    // Lines shared at the start and end are matched first, so only the changed middle
+    // needs the table.
+    function diffLines(oldText, newText) {
+        const oldLines = oldText.split('\n');
+        const newLines = newText.split('\n');
+        let start = 0;
+        while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+            start++;
+        }
+        let end = 0;
+        while (end < oldLines.length - start && end < newLines.length - start &&
+            oldLines[oldLines.length - 1 - end] === newLines[newLines.length - 1 - end]) {
+            end++;
+        }
+        
+        const same = text => ({ type: 'same', text });
+        return oldLines.slice(0, start).map(same).concat(
+            diffMiddle(oldLines.slice(start, oldLines.length - end), newLines.slice(start, newLines.length - end)),
+            oldLines.slice(oldLines.length - end).map(same)
+        );
+    }
+
+    function diffMiddle(a, b) {
+        if (a.length * b.length > MAX_TABLE_CELLS) {
+            return a.map(text => ({ type: 'removed', text })).concat(b.map(text => ({ type: 'added', text })));
+        }
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+        
+        const result = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                result.push({ type: 'same', text: a[i] });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                result.push({ type: 'removed', text: a[i++] });
+            } else {
+                result.push({ type: 'added', text: b[j++] });
+            }
+        }
+        while (i < a.length) result.push({ type: 'removed', text: a[i++] });
+        while (j < b.length) result.push({ type: 'added', text: b[j++] });
+        return result;
+    }
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = { diffLines };
+    } else {
+        root.diffLines = diffLines;
+    }
+})(this);
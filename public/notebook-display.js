@@ -0,0 +1,304 @@
+// Rich output shared by the JavaScript notebook kernels: the browser kernel
+// (notebook-kernel.js) loads it with importScripts and the server's Node.js kernel
+// (kernels/node-kernel.js) requires it.
+//
+// Results and display() output are nbformat mime bundles, which the notebook renders and
+// saves as they are:
+//   text/plain                         always, as a fallback
+//   application/vnd.console-value+json the value as an expandable tree (preview console format)
+//   application/vnd.dataresource+json  a table: { schema: { fields: [{ name }] }, data: [rows] }
+//   text/html, text/markdown, image/svg+xml, image/png, image/jpeg, image/gif
+(function (root) {
+    const MAX_DEPTH = 3;
+    const MAX_ENTRIES = 100;
+    const TABLE_MAX_ROWS = 1000;
+    const VALUE_MIME = 'application/vnd.console-value+json';
+    const TABLE_MIME = 'application/vnd.dataresource+json';
+    const CHART_COLORS = ['#1976d2', '#e65100', '#2e7d32', '#6a1b9a', '#c62828', '#00838f'];
+
+    // Same value format as preview-console.js, so the page renders both with renderConsoleValue
+    function serialize(value, depth, seen) {
+        if (value === null) return { type: 'null', value: 'null' };
+
+        const type = typeof value;
+        if (type === 'string') return { type, value };
+        if (type === 'number' || type === 'boolean' || type === 'bigint' || type === 'symbol' || type === 'undefined') {
+            return { type, value: String(value) };
+        }
+        if (type === 'function') {
+            return { type, value: `ƒ ${value.name || 'anonymous'}()` };
+        }
+        if (value instanceof Error) {
+            return { type: 'error', name: value.name, value: value.message, stack: value.stack };
+        }
+        if (seen.includes(value)) return { type: 'circular', value: '[Circular]' };
+
+        const isArray = Array.isArray(value);
+        const name = isArray ? 'Array' : (value.constructor && value.constructor.name) || 'Object';
+        let source = value;
+        if (value instanceof Map) source = Object.fromEntries(value);
+        if (value instanceof Set) source = Array.from(value);
+        const keys = Object.keys(source);
+
+        const node = { type: isArray ? 'array' : 'object', name, size: keys.length };
+        if (depth >= MAX_DEPTH) {
+            node.truncated = true;
+            return node;
+        }
+
+        const nextSeen = seen.concat([value]);
+        node.entries = keys.slice(0, MAX_ENTRIES).map(key => {
+            let entry;
+            try {
+                entry = serialize(source[key], depth + 1, nextSeen);
+            } catch (error) {
+                entry = { type: 'error', name: 'Error', value: 'Unreadable property' };
+            }
+            return { key, value: entry };
+        });
+        if (keys.length > MAX_ENTRIES) node.more = keys.length - MAX_ENTRIES;
+        return node;
+    }
+
+    function isPlainObject(value) {
+        return Object.prototype.toString.call(value) === '[object Object]';
+    }
+
+    // Arrays of plain objects display as tables
+    function isTable(value) {
+        return Array.isArray(value) && value.length > 0 && value.every(isPlainObject);
+    }
+
+    function tableCell(value) {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'number' || typeof value === 'boolean' || typeof value === 'string') return value;
+        try {
+            return JSON.stringify(value);
+        } catch (error) {
+            return String(value);
+        }
+    }
+
+    // Columns are the keys of the shown rows, in order of first appearance
+    function tableResource(rows, columns) {
+        const shown = rows.slice(0, TABLE_MAX_ROWS);
+        const fields = columns ? columns.slice() : [];
+        if (!columns) {
+            shown.forEach(row => Object.keys(row).forEach(key => {
+                if (!fields.includes(key)) fields.push(key);
+            }));
+        }
+        return {
+            schema: { fields: fields.map(name => ({ name })) },
+            data: shown.map(row => {
+                const cells = {};
+                fields.forEach(name => {
+                    cells[name] = tableCell(row[name]);
+                });
+                return cells;
+            })
+        };
+    }
+
+    function tableText(rows) {
+        return `Table: ${rows.length} row${rows.length === 1 ? '' : 's'}` +
+            (rows.length > TABLE_MAX_ROWS ? ` (first ${TABLE_MAX_ROWS} shown)` : '');
+    }
+
+    function plainText(value) {
+        if (typeof value === 'string') return value;
+        try {
+            const text = JSON.stringify(value, null, 2);
+            return text === undefined ? String(value) : text;
+        } catch (error) {
+            return String(value);
+        }
+    }
+
+    // Bundle for a cell's result or a value passed to display(); `inspect` turns the
+    // value into its text/plain form
+    function valueBundle(value, inspect) {
+        const bundle = { 'text/plain': (inspect || plainText)(value) };
+        bundle[VALUE_MIME] = serialize(value, 0, []);
+        if (isTable(value)) {
+            bundle[TABLE_MIME] = tableResource(value);
+        }
+        return bundle;
+    }
+
+    function toBase64(bytes) {
+        if (typeof Buffer === 'function') {
+            return Buffer.from(bytes).toString('base64');
+        }
+        const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes.buffer || bytes);
+        let binary = '';
+        for (let i = 0; i < view.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, view.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    // `source` is a data: URL, SVG markup, base64 text or bytes (Buffer, ArrayBuffer, typed array)
+    function imageBundle(source, type) {
+        if (typeof source === 'string') {
+            const dataUrl = source.match(/^data:([\w/+.-]+)(;base64)?,(.*)$/s);
+            if (dataUrl) {
+                const data = dataUrl[2] ? dataUrl[3] : decodeURIComponent(dataUrl[3]);
+                return dataUrl[1] === 'image/svg+xml'
+                    ? { 'image/svg+xml': dataUrl[2] ? atob(data) : data, 'text/plain': '[image]' }
+                    : { [dataUrl[1]]: dataUrl[2] ? data : toBase64(new TextEncoder().encode(data)), 'text/plain': '[image]' };
+            }
+            if (/^\s*(<\?xml[^>]*>\s*)?<svg[\s>]/.test(source)) {
+                return { 'image/svg+xml': source, 'text/plain': '[image]' };
+            }
+            return { [type || 'image/png']: source.replace(/\s+/g, ''), 'text/plain': '[image]' };
+        }
+        return { [type || 'image/png']: toBase64(source), 'text/plain': '[image]' };
+    }
+
+    function escapeXml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // Round axis ticks: about `count` steps of 1, 2 or 5 times a power of ten
+    function niceTicks(min, max, count) {
+        if (min === max) {
+            min -= 1;
+            max += 1;
+        }
+        const rough = (max - min) / count;
+        const power = Math.pow(10, Math.floor(Math.log10(rough)));
+        const step = [1, 2, 5, 10].map(n => n * power).find(n => n >= rough);
+        const ticks = [];
+        for (let tick = Math.floor(min / step) * step; tick <= max + step * 1e-9; tick += step) {
+            ticks.push(Number(tick.toPrecision(12)));
+        }
+        if (ticks[ticks.length - 1] < max) ticks.push(Number((ticks[ticks.length - 1] + step).toPrecision(12)));
+        return ticks;
+    }
+
+    // SVG chart of `data` (an array of objects):
+    //   { type: 'bar' | 'line' | 'scatter', data, x: 'month', y: 'sales' or ['sales', 'costs'],
+    //     title?, width?, height? }
+    // Bar and line charts place x values as categories; scatter charts need numeric x values.
+    function chartSvg(spec) {
+        const { type = 'bar', data, x, title, width = 640, height = 320 } = spec || {};
+        if (!Array.isArray(data) || !x || !spec.y) {
+            throw new TypeError('display.chart needs { data: [...], x: "field", y: "field" or ["fields"] }');
+        }
+        if (!['bar', 'line', 'scatter'].includes(type)) {
+            throw new TypeError(`Unknown chart type "${type}"; use bar, line or scatter`);
+        }
+        const series = Array.isArray(spec.y) ? spec.y : [spec.y];
+        const margin = { top: title ? 36 : 16, right: 16, bottom: 48, left: 56 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+
+        const values = [];
+        data.forEach(row => series.forEach(name => {
+            const value = Number(row[name]);
+            if (Number.isFinite(value)) values.push(value);
+        }));
+        const ticks = niceTicks(Math.min(0, ...values), Math.max(0, ...values), 5);
+        const low = ticks[0];
+        const high = ticks[ticks.length - 1];
+        const yPosition = value => margin.top + plotHeight - (value - low) / (high - low) * plotHeight;
+
+        let xPosition;
+        let xLabels;
+        if (type === 'scatter') {
+            const xs = data.map(row => Number(row[x])).filter(Number.isFinite);
+            const xTicks = niceTicks(Math.min(...xs), Math.max(...xs), 6);
+            const left = xTicks[0];
+            const right = xTicks[xTicks.length - 1];
+            xPosition = row => margin.left + (Number(row[x]) - left) / (right - left) * plotWidth;
+            xLabels = xTicks.map(tick => ({ at: margin.left + (tick - left) / (right - left) * plotWidth, text: tick }));
+        } else {
+            const band = plotWidth / Math.max(data.length, 1);
+            xPosition = (row, index) => margin.left + band * (index + 0.5);
+            const every = Math.ceil(data.length / Math.max(1, Math.floor(plotWidth / 60)));
+            xLabels = data
+                .map((row, index) => ({ at: xPosition(row, index), text: row[x], index }))
+                .filter(label => label.index % every === 0);
+        }
+
+        const parts = [];
+        ticks.forEach(tick => {
+            const at = yPosition(tick);
+            parts.push(`<line x1="${margin.left}" x2="${width - margin.right}" y1="${at}" y2="${at}" stroke="#eee"/>`);
+            parts.push(`<text x="${margin.left - 6}" y="${at + 4}" text-anchor="end">${escapeXml(tick)}</text>`);
+        });
+        xLabels.forEach(label => {
+            parts.push(`<text x="${label.at}" y="${height - margin.bottom + 16}" text-anchor="middle">${escapeXml(label.text)}</text>`);
+        });
+
+        series.forEach((name, seriesIndex) => {
+            const color = CHART_COLORS[seriesIndex % CHART_COLORS.length];
+            const points = data
+                .map((row, index) => ({ row, index, value: Number(row[name]) }))
+                .filter(point => Number.isFinite(point.value));
+            if (type === 'bar') {
+                const band = plotWidth / Math.max(data.length, 1);
+                const barWidth = band * 0.8 / series.length;
+                points.forEach(({ row, index, value }) => {
+                    const left = xPosition(row, index) - band * 0.4 + barWidth * seriesIndex;
+                    const top = Math.min(yPosition(value), yPosition(0));
+                    const barHeight = Math.abs(yPosition(value) - yPosition(0));
+                    parts.push(`<rect x="${left}" y="${top}" width="${barWidth}" height="${barHeight}" fill="${color}"/>`);
+                });
+            } else if (type === 'line') {
+                const path = points.map(({ row, index, value }) => `${xPosition(row, index)},${yPosition(value)}`).join(' ');
+                parts.push(`<polyline points="${path}" fill="none" stroke="${color}" stroke-width="2"/>`);
+            } else {
+                points.forEach(({ row, index, value }) => {
+                    if (Number.isFinite(Number(row[x]))) {
+                        parts.push(`<circle cx="${xPosition(row, index)}" cy="${yPosition(value)}" r="3" fill="${color}"/>`);
+                    }
+                });
+            }
+            if (series.length > 1) {
+                const legendX = margin.left + seriesIndex * 120;
+                parts.push(`<rect x="${legendX}" y="${height - 18}" width="10" height="10" fill="${color}"/>`);
+                parts.push(`<text x="${legendX + 14}" y="${height - 9}">${escapeXml(name)}</text>`);
+            }
+        });
+
+        parts.push(`<line x1="${margin.left}" x2="${margin.left}" y1="${margin.top}" y2="${margin.top + plotHeight}" stroke="#999"/>`);
+        parts.push(`<line x1="${margin.left}" x2="${width - margin.right}" y1="${yPosition(Math.max(low, Math.min(0, high)))}" y2="${yPosition(Math.max(low, Math.min(0, high)))}" stroke="#999"/>`);
+        if (title) {
+            parts.push(`<text x="${width / 2}" y="20" text-anchor="middle" font-size="14" font-weight="bold">${escapeXml(title)}</text>`);
+        }
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ` +
+            `font-family="sans-serif" font-size="11" fill="#333">${parts.join('')}</svg>`;
+    }
+
+    // The display() function cells call; `emit(bundle)` sends a display_data output.
+    //   display(value)                 as an inspector tree (a table for arrays of objects)
+    //   display.html(markup)           sanitized by the notebook before it is shown
+    //   display.markdown(text)
+    //   display.table(rows, columns?)
+    //   display.image(source, type?)   data: URL, SVG markup, base64 text or bytes
+    //   display.chart(spec)            see chartSvg
+    function createDisplay(emit, inspect) {
+        function display(...values) {
+            values.forEach(value => emit(valueBundle(value, inspect)));
+        }
+        display.html = (markup) => emit({ 'text/html': String(markup), 'text/plain': '[HTML]' });
+        display.markdown = (text) => emit({ 'text/markdown': String(text), 'text/plain': String(text) });
+        display.table = (rows, columns) => {
+            if (!Array.isArray(rows)) throw new TypeError('display.table needs an array of rows');
+            const objects = rows.map(row => isPlainObject(row) ? row : { value: row });
+            emit({ [TABLE_MIME]: tableResource(objects, columns), 'text/plain': tableText(objects) });
+        };
+        display.image = (source, type) => emit(imageBundle(source, type));
+        display.chart = (spec) => emit({ 'image/svg+xml': chartSvg(spec), 'text/plain': `[${(spec && spec.type) || 'bar'} chart]` });
+        return display;
+    }
+
+    const exported = { serialize, valueBundle, createDisplay, chartSvg };
+    if (typeof module === 'object' && module.exports) {
+        module.exports = exported;
+    } else {
+        root.notebookDisplay = exported;
+    }
+})(this);
@@ -0,0 +1,117 @@
+// Notebook kernel, run as a Web Worker by the notebook panel in app.js.
+// Cells execute here, in their own realm: they cannot reach the editor's DOM, page state
+// or local storage, and restarting the kernel (terminating the worker) throws away
+// everything they left behind. The worker is same-origin, though, so cells can call the
+// server's API just as the page can.
+//
+// Messages from the page:
+//   { type: 'execute', id, code, name }  run a cell; `name` labels it in stack traces
+//   { type: 'interrupt', id }            stop waiting for a cell that is awaiting something
+// Messages to the page:
+//   { type: 'ready' }
+//   { type: 'console', id, level, args }     console output of the cell that last ran
+//   { type: 'display', id, data }            a mime bundle from display() (see notebook-display.js)
+//   { type: 'result', id, data }             the mime bundle of the cell's last expression, or null
+//   { type: 'error', id, error: { name, message, line } }
+//   { type: 'interrupted', id }
+(function () {
+    importScripts('/vendor/acorn/acorn.js', '/notebook-transform.js', '/notebook-display.js');
+
+    const LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+
+    // Kept here so cells that overwrite globals cannot break the kernel itself
+    const post = self.postMessage.bind(self);
+    const prepareCell = self.prepareNotebookCell;
+    const { serialize, valueBundle, createDisplay } = self.notebookDisplay;
+    const evaluateGlobally = eval;
+
+    let running = null;
+    let lastId = null;
+
+    // { name, message, line } with the line in the cell, when it can be found
+    function describeError(error, name) {
+        if (!(error instanceof Error)) {
+            return { name: 'Error', message: `Uncaught ${serializeText(error)}`, line: null };
+        }
+        if (error.loc) {
+            return { name: error.name, message: error.message, line: error.loc.line };
+        }
+        const frame = (error.stack || '').split('\n').find(text => text.includes(name));
+        const match = frame && frame.match(/:(\d+):\d+\)?$/);
+        return { name: error.name, message: error.message, line: match ? Number(match[1]) : null };
+    }
+
+    function serializeText(value) {
+        try {
+            return typeof value === 'string' ? value : JSON.stringify(value);
+        } catch (error) {
+            return String(value);
+        }
+    }
+
+    async function execute({ id, code, name }) {
+        let interrupt;
+        const interrupted = new Promise((resolve) => {
+            interrupt = resolve;
+        });
+        running = { id, interrupt };
+        lastId = id;
+
+        try {
+            const source = prepareCell(code) + `\n//# sourceURL=${name}`;
+            const outcome = await Promise.race([
+                evaluateGlobally(source).then(value => ({ value })),
+                interrupted.then(() => ({ interrupted: true }))
+            ]);
+            if (outcome.interrupted) {
+                post({ type: 'interrupted', id });
+            } else {
+                post({ type: 'result', id, data: outcome.value === undefined ? null : valueBundle(outcome.value) });
+            }
+        } catch (error) {
+            post({ type: 'error', id, error: describeError(error, name) });
+        } finally {
+            running = null;
+        }
+    }
+
+    self.display = createDisplay(bundle => post({ type: 'display', id: lastId, data: bundle }));
+
+    LEVELS.forEach(level => {
+        console[level] = function (...args) {
+            post({ type: 'console', id: lastId, level, args: args.map(arg => serialize(arg, 0, [])) });
+        };
+    });
+
+    // Errors from timers and promises that outlive their cell
+    self.addEventListener('error', (event) => {
+        event.preventDefault();
+        post({
+            type: 'console',
+            id: lastId,
+            level: 'error',
+            args: [event.error ? serialize(event.error, 0, []) : { type: 'string', value: event.message }]
+        });
+    });
+
+    self.addEventListener('unhandledrejection', (event) => {
+        event.preventDefault();
+        post({
+            type: 'console',
+            id: lastId,
+            level: 'error',
+            args: [{ type: 'string', value: 'Unhandled promise rejection:' }, serialize(event.reason, 0, [])]
+        });
+    });
+
+    self.addEventListener('message', (event) => {
+        const message = event.data;
+        if (message.type === 'execute') {
+            execute(message);
+        } else if (message.type === 'interrupt' && running && running.id === message.id) {
+            running.interrupt();
+        }
+    });
+
+    post({ type: 'ready' });
+})();
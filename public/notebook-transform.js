@@ -0,0 +1,62 @@
+// Cell rewriting shared by the notebook kernels: the browser kernel (notebook-kernel.js)
+// loads it with importScripts and the server's Node.js kernel (kernels/node-kernel.js)
+// requires it.
+(function (root) {
+    const acorn = typeof require === 'function' ? require('acorn') : root.acorn;
+
+    // Rewrite a cell so that its top-level declarations become globals shared with later
+    // cells, its last expression statement becomes its result, and top-level `await` works:
+    //   const total = await load(); function twice(n) { return n * 2; } twice(total)
+    // runs as
+    //   (async () => { globalThis.twice = twice; ;(total = (await load())); function twice(n) { ... } return (twice(total))
+    //   })()
+    // Edits never add or remove line breaks, so error line numbers match the cell.
+    function prepareCell(code) {
+        const program = acorn.parse(code, { ecmaVersion: 'latest', allowAwaitOutsideFunction: true });
+        const edits = [];
+        const hoisted = [];
+        const lineBreaks = text => text.replace(/[^\n]/g, '');
+
+        program.body.forEach((node, index) => {
+            if (node.type === 'VariableDeclaration') {
+                const first = node.declarations[0];
+                const last = node.declarations[node.declarations.length - 1];
+                edits.push({ start: node.start, end: first.start, text: ';(' + lineBreaks(code.slice(node.start, first.start)) });
+                node.declarations.forEach(declaration => {
+                    if (declaration.init) {
+                        edits.push({ start: declaration.init.start, end: declaration.init.start, text: '(' });
+                        edits.push({ start: declaration.init.end, end: declaration.init.end, text: ')' });
+                    } else if (node.kind === 'var') {
+                        // Declaring a var again keeps its value
+                        edits.push({ start: declaration.id.end, end: declaration.id.end, text: ` = globalThis.${declaration.id.name}` });
+                    } else {
+                        edits.push({ start: declaration.id.end, end: declaration.id.end, text: ' = undefined' });
+                    }
+                });
+                edits.push({ start: last.end, end: node.end, text: ');' + lineBreaks(code.slice(last.end, node.end)) });
+            } else if (node.type === 'FunctionDeclaration') {
+                hoisted.push(node.id.name);
+            } else if (node.type === 'ClassDeclaration') {
+                edits.push({ start: node.start, end: node.start, text: `;${node.id.name} = ` });
+                edits.push({ start: node.end, end: node.end, text: ';' });
+            } else if (node.type === 'ExpressionStatement' && index === program.body.length - 1) {
+                edits.push({ start: node.start, end: node.start, text: 'return (' });
+                edits.push({ start: node.expression.end, end: node.expression.end, text: ')' });
+            }
+        });
+
+        // Apply from the end; of two edits at one position the later one stays behind
+        const body = edits
+            .map((edit, order) => Object.assign({ order }, edit))
+            .sort((a, b) => (b.start - a.start) || (b.order - a.order))
+            .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), code);
+        const prelude = hoisted.map(name => `globalThis.${name} = ${name}; `).join('');
+        return `(async () => { ${prelude}${body}\n})()`;
+    }
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = { prepareCell };
+    } else {
+        root.prepareNotebookCell = prepareCell;
+    }
+})(this);
@@ -0,0 +1,114 @@
+// Injected into live preview pages by the preview file server.
+// Forwards console output, uncaught exceptions and unhandled rejections to the
+// editor window via postMessage so they show up in the preview console pane.
+(function () {
+    const MAX_DEPTH = 3;
+    const MAX_ENTRIES = 100;
+    const LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+
+    // Turn any value into plain data the editor can render as an expandable tree
+    function serialize(value, depth, seen) {
+        if (value === null) return { type: 'null', value: 'null' };
+
+        const type = typeof value;
+        if (type === 'string') return { type, value };
+        if (type === 'number' || type === 'boolean' || type === 'bigint' || type === 'symbol' || type === 'undefined') {
+            return { type, value: String(value) };
+        }
+        if (type === 'function') {
+            return { type, value: `ƒ ${value.name || 'anonymous'}()` };
+        }
+        if (value instanceof Error) {
+            return { type: 'error', name: value.name, value: value.message, stack: value.stack };
+        }
+        if (typeof Element !== 'undefined' && value instanceof Element) {
+            const id = value.id ? '#' + value.id : '';
+            const classes = value.className && typeof value.className === 'string'
+                ? '.' + value.className.trim().split(/\s+/).join('.')
+                : '';
+            return { type: 'element', value: `<${value.tagName.toLowerCase()}${id}${classes}>` };
+        }
+        if (seen.includes(value)) return { type: 'circular', value: '[Circular]' };
+
+        const isArray = Array.isArray(value);
+        const name = isArray ? 'Array' : (value.constructor && value.constructor.name) || 'Object';
+        let source = value;
+        if (value instanceof Map) source = Object.fromEntries(value);
+        if (value instanceof Set) source = Array.from(value);
+        const keys = Object.keys(source);
+
+        const node = { type: isArray ? 'array' : 'object', name, size: keys.length };
+        if (depth >= MAX_DEPTH) {
+            node.truncated = true;
+            return node;
+        }
+
+        const nextSeen = seen.concat([value]);
+        node.entries = keys.slice(0, MAX_ENTRIES).map(key => {
+            let entry;
+            try {
+                entry = serialize(source[key], depth + 1, nextSeen);
+            } catch (error) {
+                entry = { type: 'error', name: 'Error', value: 'Unreadable property' };
+            }
+            return { key, value: entry };
+        });
+        if (keys.length > MAX_ENTRIES) node.more = keys.length - MAX_ENTRIES;
+        return node;
+    }
+
+    // Find the first stack frame outside this script: { url, line, column }
+    function callerLocation(stack) {
+        const frames = (stack || '').split('\n');
+        for (const frame of frames) {
+            if (frame.includes('preview-console.js')) continue;
+            const match = frame.match(/(https?:\/\/[^\s()]+?):(\d+):(\d+)/);
+            if (match) {
+                return { url: match[1], line: Number(match[2]), column: Number(match[3]) };
+            }
+        }
+        return null;
+    }
+
+    function post(message) {
+        try {
+            window.parent.postMessage(Object.assign({ source: 'preview-console' }, message), '*');
+        } catch (error) {
+            // The editor window is gone; nothing to report to
+        }
+    }
+
+    LEVELS.forEach(level => {
+        const original = console[level];
+        console[level] = function (...args) {
+            post({
+                kind: 'console',
+                level,
+                args: args.map(arg => serialize(arg, 0, [])),
+                location: callerLocation(new Error().stack)
+            });
+            return original.apply(console, args);
+        };
+    });
+
+    window.addEventListener('error', (event) => {
+        post({
+            kind: 'exception',
+            level: 'error',
+            args: [event.error ? serialize(event.error, 0, []) : { type: 'string', value: event.message }],
+            location: event.filename
+                ? { url: event.filename, line: event.lineno, column: event.colno }
+                : callerLocation(event.error && event.error.stack)
+        });
+    });
+
+    window.addEventListener('unhandledrejection', (event) => {
+        const reason = event.reason;
+        post({
+            kind: 'rejection',
+            level: 'error',
+            args: [{ type: 'string', value: 'Unhandled promise rejection:' }, serialize(reason, 0, [])],
+            location: callerLocation(reason && reason.stack)
+        });
+    });
+})();
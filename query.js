@@ -0,0 +1,348 @@
+// Queries over data sheets and databank values.
+//
+// A query is a JSON object. Every part except `from` is optional, and they run in
+// this order:
+//   {
+//     "from": "orders",
+//     "join": [{ "sheet": "customers", "as": "c", "on": { "orders.customerId": "c.id" }, "type": "left" }],
+//     "where": { "orders.total": { "$gt": 100 }, "$or": [{ "c.country": "NZ" }, { "c.vip": true }] },
+//     "groupBy": ["c.country"],
+//     "select": { "country": "c.country", "orders": { "$count": "*" }, "revenue": { "$sum": "orders.total" } },
+//     "having": { "revenue": { "$gte": 1000 } },
+//     "orderBy": ["-revenue", "country"],
+//     "offset": 0,
+//     "limit": 10
+//   }
+//
+// Sources (`from` and each join) are a sheet id, { "sheet": id } or { "databank": key },
+// where the sheet or databank value is an array and the key is "<namespace>/<key>" or a
+// key in the default namespace; { "databank": "*" } lists every databank entry as
+// { namespace, key, value }. Array items that are not objects become { value }.
+//
+// Fields are dotted paths into a row ("address.city"). Once a query has joins, each row
+// is { alias: record } and paths start with an alias; `as` defaults to the sheet id or
+// databank key.
+//
+// `where` and `having` use MongoDB-style conditions: { field: value } for equality, or
+// { field: { "$op": value } } with $eq $ne $gt $gte $lt $lte $in $nin $exists $contains
+// $regex (with optional $options), combined with $and, $or, $nor and $not.
+//
+// `select` is a list of fields, or an object of output name → field or aggregate. The
+// aggregates $count ("*" counts rows, a field counts values that are set), $countDistinct,
+// $sum, $avg, $min, $max, $first, $last and $push group the rows by `groupBy`, or treat
+// all rows as one group when there is no `groupBy`. `orderBy` entries are fields, with a
+// leading "-" for descending, and may name output fields or source fields.
+
+const MAX_ROWS = 100000;
+const AGGREGATES = ['$count', '$countDistinct', '$sum', '$avg', '$min', '$max', '$first', '$last', '$push'];
+const CLAUSES = ['from', 'join', 'where', 'groupBy', 'select', 'having', 'orderBy', 'offset', 'limit'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function getPath(record, path) {
+  return path.split('.').reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), record);
+}
+
+function sameValue(a, b) {
+  if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b || (a === undefined && b === null) || (a === null && b === undefined);
+}
+
+// Order for sorting: missing values first, then booleans, numbers, strings, everything else
+function compareValues(a, b) {
+  const rank = value => {
+    if (value === undefined || value === null) return 0;
+    if (typeof value === 'boolean') return 1;
+    if (typeof value === 'number') return 2;
+    if (typeof value === 'string') return 3;
+    return 4;
+  };
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (typeof a === 'number' || typeof a === 'boolean') return a - b;
+  if (typeof a === 'string') return a.localeCompare(b, undefined, { numeric: true });
+  return JSON.stringify(a || null).localeCompare(JSON.stringify(b || null));
+}
+
+// Range comparisons only apply to two numbers or two strings, as in MongoDB
+function comparable(a, b) {
+  return (typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string');
+}
+
+function testOperator(value, operator, operand, options) {
+  switch (operator) {
+    case '$eq': return sameValue(value, operand);
+    case '$ne': return !sameValue(value, operand);
+    case '$gt': return comparable(value, operand) && compareValues(value, operand) > 0;
+    case '$gte': return comparable(value, operand) && compareValues(value, operand) >= 0;
+    case '$lt': return comparable(value, operand) && compareValues(value, operand) < 0;
+    case '$lte': return comparable(value, operand) && compareValues(value, operand) <= 0;
+    case '$in':
+    case '$nin': {
+      if (!Array.isArray(operand)) throw new Error(`${operator} needs an array`);
+      const found = operand.some(item => sameValue(value, item));
+      return operator === '$in' ? found : !found;
+    }
+    case '$exists': return (value !== undefined) === Boolean(operand);
+    case '$contains':
+      if (Array.isArray(value)) return value.some(item => sameValue(item, operand));
+      return typeof value === 'string' && value.toLowerCase().includes(String(operand).toLowerCase());
+    case '$regex':
+      return typeof value === 'string' && new RegExp(operand, options || '').test(value);
+    case '$options': return true;
+    default: throw new Error(`Unknown operator ${operator}`);
+  }
+}
+
+function matches(row, condition) {
+  if (!isPlainObject(condition)) {
+    throw new Error('Conditions must be objects, e.g. { "price": { "$gt": 10 } }');
+  }
+  return Object.entries(condition).every(([key, expected]) => {
+    if (key === '$and' || key === '$or' || key === '$nor') {
+      if (!Array.isArray(expected)) throw new Error(`${key} needs an array of conditions`);
+      if (key === '$and') return expected.every(part => matches(row, part));
+      const any = expected.some(part => matches(row, part));
+      return key === '$or' ? any : !any;
+    }
+    if (key === '$not') return !matches(row, expected);
+    if (key.startsWith('$')) throw new Error(`Unknown operator ${key}`);
+    
+    const value = getPath(row, key);
+    const operators = isPlainObject(expected) && Object.keys(expected).length &&
+      Object.keys(expected).every(name => name.startsWith('$'));
+    if (!operators) return sameValue(value, expected);
+    return Object.entries(expected).every(([operator, operand]) =>
+      testOperator(value, operator, operand, expected.$options));
+  });
+}
+
+// { sheet } / { databank } / "id" → { kind, name, alias }
+function parseSource(source, label) {
+  if (typeof source === 'string') {
+    return { kind: 'sheet', name: source, alias: source };
+  }
+  if (isPlainObject(source) && (typeof source.sheet === 'string' || typeof source.databank === 'string')) {
+    const kind = typeof source.sheet === 'string' ? 'sheet' : 'databank';
+    const name = source[kind];
+    return { kind, name, alias: source.as || (name === '*' ? 'databank' : name) };
+  }
+  throw new Error(`${label} must be a sheet id, { "sheet": id } or { "databank": key }`);
+}
+
+function loadRecords(source, loadSource) {
+  const rows = loadSource(source);
+  if (!Array.isArray(rows)) {
+    throw new Error(`${source.kind === 'sheet' ? 'Sheet' : 'Databank value'} "${source.name}" is not an array`);
+  }
+  return rows.map(row => (isPlainObject(row) ? row : { value: row }));
+}
+
+function join(rows, spec, index, loadSource) {
+  const source = parseSource(spec, `join[${index}]`);
+  const type = spec.type || 'inner';
+  if (!['inner', 'left'].includes(type)) {
+    throw new Error(`join[${index}].type must be "inner" or "left"`);
+  }
+  if (!isPlainObject(spec.on) || !Object.keys(spec.on).length) {
+    throw new Error(`join[${index}].on must map fields to fields, e.g. { "orders.customerId": "c.id" }`);
+  }
+  
+  // Hash join on the joined source's fields (paths without the alias)
+  const pairs = Object.entries(spec.on).map(([left, right]) => {
+    const prefix = source.alias + '.';
+    if (right.startsWith(prefix)) return [left, right.slice(prefix.length)];
+    if (left.startsWith(prefix)) return [right, left.slice(prefix.length)];
+    throw new Error(`join[${index}].on must use a field of "${source.alias}"`);
+  });
+  const keyOf = (record, paths) => JSON.stringify(paths.map(path => {
+    const value = getPath(record, path);
+    return value === undefined ? null : value;
+  }));
+  
+  const buckets = new Map();
+  loadRecords(source, loadSource).forEach(record => {
+    const key = keyOf(record, pairs.map(([, right]) => right));
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(record);
+  });
+  
+  const joined = [];
+  rows.forEach(row => {
+    const found = buckets.get(keyOf(row, pairs.map(([left]) => left))) || [];
+    if (!found.length && type === 'left') {
+      joined.push(Object.assign({}, row, { [source.alias]: null }));
+    }
+    found.forEach(record => joined.push(Object.assign({}, row, { [source.alias]: record })));
+    if (joined.length > MAX_ROWS) {
+      throw new Error(`join[${index}] produces more than ${MAX_ROWS} rows`);
+    }
+  });
+  return joined;
+}
+
+function isAggregate(expression) {
+  return isPlainObject(expression) && Object.keys(expression).length === 1 &&
+    AGGREGATES.includes(Object.keys(expression)[0]);
+}
+
+function aggregate(rows, expression) {
+  const [operator, field] = Object.entries(expression)[0];
+  if (operator === '$count' && field === '*') {
+    return rows.length;
+  }
+  if (typeof field !== 'string') {
+    throw new Error(`${operator} needs a field name`);
+  }
+  
+  const values = rows.map(row => getPath(row, field)).filter(value => value !== undefined && value !== null);
+  const numbers = values.filter(value => typeof value === 'number');
+  switch (operator) {
+    case '$count': return values.length;
+    case '$countDistinct': return new Set(values.map(value => JSON.stringify(value))).size;
+    case '$sum': return numbers.reduce((sum, value) => sum + value, 0);
+    case '$avg': return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+    case '$min': return values.length ? values.reduce((min, value) => (compareValues(value, min) < 0 ? value : min)) : null;
+    case '$max': return values.length ? values.reduce((max, value) => (compareValues(value, max) > 0 ? value : max)) : null;
+    case '$first': return values.length ? values[0] : null;
+    case '$last': return values.length ? values[values.length - 1] : null;
+    default: return values;
+  }
+}
+
+// `select` as [name, expression] pairs; null means "the whole row"
+function selectEntries(select) {
+  if (select === undefined || select === '*') return null;
+  if (Array.isArray(select)) {
+    return select.map(field => {
+      if (typeof field !== 'string') throw new Error('select lists must contain field names');
+      return [field, field];
+    });
+  }
+  if (isPlainObject(select)) {
+    return Object.entries(select).map(([name, expression]) => {
+      if (typeof expression !== 'string' && !isAggregate(expression)) {
+        throw new Error(`select.${name} must be a field name or an aggregate such as { "$sum": "price" }`);
+      }
+      return [name, expression];
+    });
+  }
+  throw new Error('select must be a list of fields or an object of name → field or aggregate');
+}
+
+function project(rows, entries) {
+  const output = {};
+  entries.forEach(([name, expression]) => {
+    const value = typeof expression === 'string' ? getPath(rows[0] || {}, expression) : aggregate(rows, expression);
+    output[name] = value === undefined ? null : value;
+  });
+  return output;
+}
+
+function orderKeys(orderBy) {
+  if (orderBy === undefined) return [];
+  const list = Array.isArray(orderBy) ? orderBy : [orderBy];
+  return list.map(entry => {
+    if (typeof entry === 'string') {
+      return entry.startsWith('-') ? { field: entry.slice(1), direction: -1 } : { field: entry, direction: 1 };
+    }
+    if (isPlainObject(entry) && typeof entry.field === 'string') {
+      return { field: entry.field, direction: entry.desc ? -1 : 1 };
+    }
+    throw new Error('orderBy entries must be field names ("-field" for descending)');
+  });
+}
+
+function checkCount(value, name) {
+  if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+    throw new Error(`${name} must be a whole number of 0 or more`);
+  }
+}
+
+// Run `query`, reading sources through `loadSource({ kind, name })`, which returns the
+// sheet's data or databank value (or throws). Returns { rows, total }, where `total`
+// counts the results before offset and limit.
+function runQuery(query, loadSource) {
+  if (!isPlainObject(query)) {
+    throw new Error('Query must be a JSON object');
+  }
+  const unknown = Object.keys(query).filter(key => !CLAUSES.includes(key));
+  if (unknown.length) {
+    throw new Error(`Unknown query field${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+  }
+  if (query.from === undefined) {
+    throw new Error('Query needs a "from" source');
+  }
+  checkCount(query.offset, 'offset');
+  checkCount(query.limit, 'limit');
+  
+  const joins = query.join === undefined ? [] : [].concat(query.join);
+  const from = parseSource(query.from, 'from');
+  let rows = loadRecords(from, loadSource);
+  if (joins.length) {
+    rows = rows.map(record => ({ [from.alias]: record }));
+    joins.forEach((spec, index) => {
+      rows = join(rows, spec, index, loadSource);
+    });
+  }
+  
+  if (query.where !== undefined) {
+    rows = rows.filter(row => matches(row, query.where));
+  }
+  
+  // Each result keeps the source row it came from so orderBy can use unselected fields
+  const entries = selectEntries(query.select);
+  const groupBy = query.groupBy === undefined ? null : [].concat(query.groupBy);
+  const grouped = groupBy || (entries && entries.some(([, expression]) => isAggregate(expression)));
+  let results;
+  if (grouped) {
+    const groups = new Map();
+    rows.forEach(row => {
+      const key = JSON.stringify((groupBy || []).map(field => {
+        const value = getPath(row, field);
+        return value === undefined ? null : value;
+      }));
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    });
+    // A query like { "select": { "n": { "$count": "*" } } } over no rows still answers 0
+    if (!groupBy && !groups.size) groups.set('[]', []);
+    
+    const groupEntries = entries || groupBy.map(field => [field, field]).concat([['count', { $count: '*' }]]);
+    results = Array.from(groups.values()).map(group => ({
+      output: project(group, groupEntries),
+      source: group[0] || {}
+    }));
+  } else {
+    results = rows.map(row => ({ output: entries ? project([row], entries) : row, source: row }));
+  }
+  
+  if (query.having !== undefined) {
+    results = results.filter(result => matches(result.output, query.having));
+  }
+  
+  const keys = orderKeys(query.orderBy);
+  if (keys.length) {
+    const valueOf = (result, field) => {
+      const value = getPath(result.output, field);
+      return value === undefined ? getPath(result.source, field) : value;
+    };
+    results.sort((a, b) => {
+      for (const { field, direction } of keys) {
+        const order = compareValues(valueOf(a, field), valueOf(b, field));
+        if (order) return order * direction;
+      }
+      return 0;
+    });
+  }
+  
+  const total = results.length;
+  const offset = query.offset || 0;
+  const end = query.limit === undefined ? undefined : offset + query.limit;
+  return { rows: results.slice(offset, end).map(result => result.output), total };
+}
+
+module.exports = { runQuery };
@@ -0,0 +1,231 @@
+// Search index for workspace files, data sheet rows and databank entries.
+//
+// Documents are split into chunks of lines. Each chunk keeps its term counts for BM25
+// ranking, which needs nothing outside this module, and optionally an embedding vector
+// computed by an AI provider for ranking by cosine similarity. The whole index is one
+// JSON file rewritten atomically after each change:
+//   { model, documents: { id: { version, source, title, ref, chunks: [...] } } }
+// A document is only re-chunked when its `version` (mtime, updatedAt, ...) changes.
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./storage');
+
+const CHUNK_LINES = 40;
+const CHUNK_OVERLAP = 5;
+const CHUNK_MAX_CHARS = 4000;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'where', 'which', 'with',
+  'about', 'find', 'me', 'show'
+]);
+
+// Crude suffix stripping so "limits", "limiter" and "limiting" share a term
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 5 && word.endsWith('er')) return word.slice(0, -2);
+  if (word.length > 4 && word.endsWith('es') && !word.endsWith('ses')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+// Lowercase terms of `text`; camelCase and snake_case identifiers count as their words
+// too, so "rateLimiter" matches a search for "rate limit"
+function tokenize(text) {
+  const terms = [];
+  (String(text).match(/[\p{L}\p{N}_]+/gu) || []).forEach(word => {
+    const parts = word
+      .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2')
+      .replace(/(\p{Lu})(\p{Lu}\p{Ll})/gu, '$1 $2')
+      .split(/[\s_]+/)
+      .filter(Boolean);
+    if (parts.length > 1) {
+      parts.push(parts.join(''));
+    }
+    parts.forEach(part => {
+      const term = part.toLowerCase();
+      if (term.length > 1 && !STOPWORDS.has(term)) {
+        terms.push(stem(term));
+      }
+    });
+  });
+  return terms;
+}
+
+// Prototype-less, so terms such as "constructor" are counted like any other word
+function termCounts(terms) {
+  const counts = Object.create(null);
+  terms.forEach(term => {
+    counts[term] = (counts[term] || 0) + 1;
+  });
+  return counts;
+}
+
+// Overlapping runs of `size` lines: [{ line, text }] with 1-based start lines.
+// Blank chunks are skipped; overly long ones are cut to CHUNK_MAX_CHARS.
+function chunkText(text, size = CHUNK_LINES) {
+  const lines = String(text).split(/\r?\n/);
+  const step = size > CHUNK_OVERLAP * 2 ? size - CHUNK_OVERLAP : size;
+  const chunks = [];
+  for (let start = 0; start < lines.length; start += step) {
+    const chunk = lines.slice(start, start + size).join('\n');
+    if (chunk.trim()) {
+      chunks.push({ line: start + 1, text: chunk.slice(0, CHUNK_MAX_CHARS) });
+    }
+    if (start + size >= lines.length) break;
+  }
+  return chunks;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Counts read back from the saved index are plain objects, so inherited keys are ignored
+function termCount(chunk, term) {
+  return Object.prototype.hasOwnProperty.call(chunk.terms, term) ? chunk.terms[term] : 0;
+}
+
+// BM25 score of every chunk for the query terms, with document frequencies taken
+// over `chunks` itself
+function bm25Scores(chunks, queryTerms) {
+  const averageLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0) / (chunks.length || 1);
+  const terms = Array.from(new Set(queryTerms));
+  const idf = new Map();
+  terms.forEach(term => {
+    const frequency = chunks.filter(chunk => termCount(chunk, term)).length;
+    idf.set(term, Math.log(1 + (chunks.length - frequency + 0.5) / (frequency + 0.5)));
+  });
+  
+  return chunks.map(chunk => terms.reduce((score, term) => {
+    const count = termCount(chunk, term);
+    if (!count) return score;
+    const norm = BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / (averageLength || 1));
+    return score + idf.get(term) * count * (BM25_K1 + 1) / (count + norm);
+  }, 0));
+}
+
+// Open (creating on first save) the index at `filePath`
+function openIndex(filePath) {
+  let state = { model: null, documents: {} };
+  if (fs.existsSync(filePath)) {
+    try {
+      state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.warn(`Rebuilding unreadable search index ${path.basename(filePath)}: ${error.message}`);
+    }
+  }
+  let dirty = false;
+  
+  function allChunks() {
+    return Object.values(state.documents).flatMap(document => document.chunks);
+  }
+  
+  return {
+    // Bring the index in line with `documents`, a list of
+    // { id, version, source, title, ref, chunkLines?, load() → text }.
+    // Unchanged documents are not loaded again; documents missing from the list are dropped.
+    update(documents) {
+      const seen = new Set();
+      let changed = 0;
+      documents.forEach(document => {
+        seen.add(document.id);
+        const existing = state.documents[document.id];
+        if (existing && existing.version === document.version) return;
+        
+        const chunks = chunkText(document.load(), document.chunkLines).map(chunk => {
+          const terms = tokenize(chunk.text);
+          return { line: chunk.line, text: chunk.text, terms: termCounts(terms), length: terms.length };
+        });
+        const { id, version, source, title, ref } = document;
+        state.documents[id] = { version, source, title, ref, chunks };
+        changed++;
+      });
+      
+      const removed = Object.keys(state.documents).filter(id => !seen.has(id));
+      removed.forEach(id => delete state.documents[id]);
+      if (changed || removed.length) dirty = true;
+      return { changed, removed: removed.length };
+    },
+    
+    // Chunks without a vector from `model`. Switching models drops every stored vector.
+    missingVectors(model) {
+      if (state.model !== model) {
+        allChunks().forEach(chunk => delete chunk.vector);
+        state.model = model;
+        dirty = true;
+      }
+      return allChunks().filter(chunk => !chunk.vector);
+    },
+    
+    setVectors(chunks, vectors) {
+      chunks.forEach((chunk, i) => {
+        chunk.vector = vectors[i];
+      });
+      dirty = true;
+    },
+    
+    save() {
+      if (!dirty) return;
+      fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o755 });
+      writeFileAtomic(filePath, JSON.stringify(state));
+      dirty = false;
+    },
+    
+    // Best chunks for `query`: [{ document, chunk, score }], highest score first.
+    // `queryVector` ranks by cosine similarity when every candidate chunk has a vector
+    // from `model`; otherwise chunks are ranked by BM25 and ones without a query term
+    // are left out. `filter(document)` limits the candidates.
+    search(query, { limit = 10, filter = () => true, queryVector, model } = {}) {
+      const candidates = [];
+      Object.values(state.documents).forEach(document => {
+        if (!filter(document)) return;
+        document.chunks.forEach(chunk => candidates.push({ document, chunk }));
+      });
+      
+      const useVectors = Boolean(queryVector) && state.model === model &&
+        candidates.every(({ chunk }) => chunk.vector);
+      let scores;
+      if (useVectors) {
+        scores = candidates.map(({ chunk }) => cosine(queryVector, chunk.vector));
+      } else {
+        scores = bm25Scores(candidates.map(({ chunk }) => chunk), tokenize(query));
+      }
+      
+      const results = candidates
+        .map((candidate, i) => Object.assign({ score: scores[i] }, candidate))
+        .filter(result => useVectors || result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+      return { mode: useVectors ? 'embeddings' : 'bm25', results };
+    },
+    
+    stats() {
+      const chunks = allChunks();
+      return {
+        documents: Object.keys(state.documents).length,
+        chunks: chunks.length,
+        vectors: chunks.filter(chunk => chunk.vector).length,
+        model: state.model
+      };
+    },
+    
+    clear() {
+      state = { model: null, documents: {} };
+      dirty = true;
+    }
+  };
+}
+
+module.exports = { openIndex };
@@ -1,13 +1,36 @@
+require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const multer = require('multer');
 const rateLimit = require('express-rate-limit');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const XLSX = require('xlsx');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
+const { execFile, spawn } = require('child_process');
+const { openStore, writeFileAtomic } = require('./storage');
+const { runQuery } = require('./query');
+const { openIndex } = require('./search-index');
+const { diffLines } = require('./public/line-diff');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = path.join(__dirname, 'data');
+
+// Upstream AI endpoints (override to point the gateway at a local mock provider)
+const DEEPSEEK_API_BASE = process.env.DEEPSEEK_API_BASE || 'https://api.deepseek.com/v1';
+const GEMINI_API_BASE = process.env.GEMINI_API_BASE || 'https://generativelanguage.googleapis.com/v1';
+const OPENAI_API_BASE = process.env.OPENAI_API_BASE || 'https://api.openai.com/v1';
+const ANTHROPIC_API_BASE = process.env.ANTHROPIC_API_BASE || 'https://api.anthropic.com/v1';
+const OLLAMA_API_BASE = process.env.OLLAMA_API_BASE || 'http://localhost:11434';
+
+// Additional or overriding AI providers (see providers.example.json)
+const PROVIDERS_FILE = process.env.PROVIDERS_FILE || path.join(__dirname, 'providers.json');
 
 // Rate limiting middleware
 const limiter = rateLimit({
@@ -22,19 +45,203 @@ const apiLimiter = rateLimit({
   max: 30, // Limit each IP to 30 API requests per minute
   standardHeaders: true,
   legacyHeaders: false,
+  // Preview buffer sync fires on every typing pause and only touches memory; completions
+  // and notebook kernels have their own limits below
+  skip: (req) => (req.method === 'PUT' && /^\/preview\/[^/]+\/buffers$/.test(req.path)) ||
+    req.path === '/complete' || req.path.startsWith('/kernels'),
+});
+
+// Completions are requested on every typing pause
+const completionLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000,
+  max: 120,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// One request per notebook cell, so "Run All" on a long notebook is a burst of them
+const kernelLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000,
+  max: 600,
+  standardHeaders: true,
+  legacyHeaders: false,
 });
 
+// Routes that spend the server's API keys, manage them or run code on this machine.
+// They only take requests from the editor's own page: no CORS headers, and see
+// requireSameOrigin below.
+const SAME_ORIGIN_ROUTES = ['/api/gateway', '/api/complete', '/api/vault', '/api/kernels'];
+
+// Browsers send Origin with cross-site POST, PUT and DELETE requests, and a JSON body
+// cannot be sent cross-site without a CORS preflight, which these routes never answer;
+// so other sites cannot call them from a visitor's browser.
+function requireSameOrigin(req, res, next) {
+  const origin = req.get('Origin');
+  let sameOrigin = !origin;
+  try {
+    sameOrigin = sameOrigin || new URL(origin).host === req.get('Host');
+  } catch (error) {
+    // A malformed Origin is treated as another site
+  }
+  if (!sameOrigin) {
+    return res.status(403).json({ error: 'Requests must come from the editor page' });
+  }
+  if ((req.method === 'POST' || req.method === 'PUT') && !req.is('application/json')) {
+    return res.status(415).json({ error: 'Requests must be JSON' });
+  }
+  next();
+}
+
 // Middleware
-app.use(cors());
+const corsMiddleware = cors();
+app.use((req, res, next) => (
+  SAME_ORIGIN_ROUTES.some(route => req.path === route || req.path.startsWith(route + '/'))
+    ? next()
+    : corsMiddleware(req, res, next)
+));
 app.use(bodyParser.json({ limit: '50mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
 app.use(express.static('public'));
+// Parser used by the notebook kernel (public/notebook-kernel.js) to rewrite cells
+app.use('/vendor/acorn', express.static(path.join(__dirname, 'node_modules', 'acorn', 'dist')));
+// Markdown, math and HTML sanitizing for notebook cells and outputs
+app.use('/vendor/markdown-it', express.static(path.join(__dirname, 'node_modules', 'markdown-it', 'dist', 'browser')));
+app.use('/vendor/katex', express.static(path.join(__dirname, 'node_modules', 'katex', 'dist')));
+app.use('/vendor/dompurify', express.static(path.join(__dirname, 'node_modules', 'dompurify', 'dist')));
 app.use('/api/', apiLimiter);
+app.use('/api/complete', completionLimiter);
+app.use('/api/kernels', kernelLimiter);
+app.use(SAME_ORIGIN_ROUTES, requireSameOrigin);
+
+// Project workspaces
+//
+// Each project is a directory under workspaces/ and may contain nested folders.
+// Every file route takes a `project` plus a path relative to the project root;
+// resolveProjectPath() confines those paths to the project directory.
+const WORKSPACES_DIR = path.join(__dirname, 'workspaces');
+const DEFAULT_PROJECT = 'default';
+const HIDDEN_ENTRIES = ['.git'];
+
+function isValidProjectName(name) {
+  return typeof name === 'string' && /^[\w][\w .-]{0,63}$/.test(name);
+}
+
+function projectRoot(project) {
+  return isValidProjectName(project) ? path.join(WORKSPACES_DIR, project) : null;
+}
+
+// Resolve `relativePath` inside the project; null when it would escape the project root
+function resolveProjectPath(project, relativePath = '') {
+  const root = projectRoot(project);
+  if (!root || typeof relativePath !== 'string' || relativePath.includes('\0')) {
+    return null;
+  }
+  
+  const resolved = path.resolve(root, '.' + path.sep + relativePath);
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    return null;
+  }
+  if (HIDDEN_ENTRIES.some(name => path.relative(root, resolved).split(path.sep).includes(name))) {
+    return null;
+  }
+  
+  // Refuse symlinks that point outside the project, including ones on the way to a file
+  // that does not exist yet
+  try {
+    const real = realPathOf(resolved);
+    const realRoot = realPathOf(root);
+    if (real !== realRoot && !real.startsWith(realRoot + path.sep)) {
+      return null;
+    }
+  } catch (error) {
+    // A dangling symlink: where it leads cannot be checked
+    return null;
+  }
+  return resolved;
+}
+
+// `target` with symlinks resolved in the part of it that exists
+function realPathOf(target) {
+  const missing = [];
+  let existing = target;
+  for (;;) {
+    try {
+      fs.lstatSync(existing);
+      break;
+    } catch (error) {
+      const parent = path.dirname(existing);
+      if (parent === existing) throw error;
+      missing.unshift(path.basename(existing));
+      existing = parent;
+    }
+  }
+  return path.join(fs.realpathSync(existing), ...missing);
+}
+
+// Project-relative path with forward slashes, as used by the browser
+function toProjectPath(project, absolutePath) {
+  return path.relative(projectRoot(project), absolutePath).split(path.sep).join('/');
+}
+
+function ensureProject(project) {
+  const root = projectRoot(project);
+  if (!fs.existsSync(root)) {
+    fs.mkdirSync(root, { recursive: true, mode: 0o755 });
+  }
+  return root;
+}
+
+function readTree(project, dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => !HIDDEN_ENTRIES.includes(entry.name))
+    .sort((a, b) => (b.isDirectory() - a.isDirectory()) || a.name.localeCompare(b.name))
+    .map(entry => {
+      const fullPath = path.join(dir, entry.name);
+      const node = { name: entry.name, path: toProjectPath(project, fullPath) };
+      if (entry.isDirectory()) {
+        node.type = 'dir';
+        node.children = readTree(project, fullPath);
+      } else {
+        node.type = 'file';
+      }
+      return node;
+    });
+}
+
+function flattenTree(tree) {
+  return tree.reduce((files, node) =>
+    files.concat(node.type === 'dir' ? flattenTree(node.children) : [node.path]), []);
+}
+
+// Resolve project + path from a request, replying 403 when the path is not allowed
+function resolveRequestPath(res, project, relativePath) {
+  const filePath = resolveProjectPath(project || DEFAULT_PROJECT, relativePath);
+  if (!filePath) {
+    res.status(403).json({ error: 'Access denied' });
+  }
+  return filePath;
+}
+
+// Files saved before projects existed lived flat in uploads/; they become the default project
+function migrateUploads() {
+  const uploadDir = path.join(__dirname, 'uploads');
+  if (fs.existsSync(uploadDir) && !fs.existsSync(WORKSPACES_DIR)) {
+    fs.mkdirSync(WORKSPACES_DIR, { recursive: true, mode: 0o755 });
+    fs.renameSync(uploadDir, path.join(WORKSPACES_DIR, DEFAULT_PROJECT));
+    console.log('Moved uploads/ into workspaces/' + DEFAULT_PROJECT);
+  }
+  ensureProject(DEFAULT_PROJECT);
+}
 
-// Configure multer for file uploads
+migrateUploads();
+
+// Configure multer for file uploads into a project folder (?project=&dir=)
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, 'uploads');
+    const uploadDir = resolveProjectPath(req.query.project || DEFAULT_PROJECT, req.query.dir || '');
+    if (!uploadDir) {
+      return cb(new Error('Access denied'));
+    }
     if (!fs.existsSync(uploadDir)) {
       fs.mkdirSync(uploadDir, { recursive: true, mode: 0o755 });
     }
@@ -51,51 +258,91 @@ const upload = multer({ storage });
 
 // API Routes
 
+// Project endpoints
+app.get('/api/projects', (req, res) => {
+  const projects = fs.readdirSync(WORKSPACES_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && isValidProjectName(entry.name))
+    .map(entry => entry.name)
+    .sort();
+  res.json({ success: true, projects });
+});
+
+app.post('/api/projects', (req, res) => {
+  const { name } = req.body;
+  if (!isValidProjectName(name)) {
+    return res.status(400).json({ error: 'Invalid project name' });
+  }
+  if (fs.existsSync(projectRoot(name))) {
+    return res.status(409).json({ error: 'Project already exists' });
+  }
+  ensureProject(name);
+  res.json({ success: true, project: name });
+});
+
+app.put('/api/projects/:project', (req, res) => {
+  const { project } = req.params;
+  const { name } = req.body;
+  if (!isValidProjectName(project) || !isValidProjectName(name)) {
+    return res.status(400).json({ error: 'Invalid project name' });
+  }
+  if (!fs.existsSync(projectRoot(project))) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  if (fs.existsSync(projectRoot(name))) {
+    return res.status(409).json({ error: 'Project already exists' });
+  }
+  fs.renameSync(projectRoot(project), projectRoot(name));
+  if (fs.existsSync(historyDir(project))) {
+    fs.renameSync(historyDir(project), historyDir(name));
+  }
+  res.json({ success: true, project: name });
+});
+
+app.delete('/api/projects/:project', (req, res) => {
+  const { project } = req.params;
+  if (!isValidProjectName(project) || !fs.existsSync(projectRoot(project))) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  fs.rmSync(projectRoot(project), { recursive: true, force: true });
+  fs.rmSync(historyDir(project), { recursive: true, force: true });
+  ensureProject(DEFAULT_PROJECT);
+  res.json({ success: true, project });
+});
+
 // File upload endpoint
 app.post('/api/upload', upload.single('file'), (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
+  const project = req.query.project || DEFAULT_PROJECT;
+  const filename = toProjectPath(project, req.file.path);
+  recordRevision(project, filename, fs.readFileSync(req.file.path), 'upload');
   res.json({ 
     success: true, 
-    filename: req.file.filename,
+    filename,
     path: req.file.path,
     originalName: req.file.originalname
   });
 });
 
-// File download endpoint
-app.get('/api/download/:filename', (req, res) => {
-  // Sanitize filename to prevent path traversal
-  const sanitizedFilename = path.basename(req.params.filename);
-  const filePath = path.join(__dirname, 'uploads', sanitizedFilename);
-  
-  // Verify the resolved path is within uploads directory
-  const uploadDir = path.join(__dirname, 'uploads');
-  if (!filePath.startsWith(uploadDir)) {
-    return res.status(403).json({ error: 'Access denied' });
-  }
+// File download endpoint (/api/download/<path>?project=)
+app.get('/api/download/*', (req, res) => {
+  const filePath = resolveRequestPath(res, req.query.project, req.params[0]);
+  if (!filePath) return;
   
-  if (fs.existsSync(filePath)) {
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
     res.download(filePath);
   } else {
     res.status(404).json({ error: 'File not found' });
   }
 });
 
-// Read file endpoint
-app.get('/api/read/:filename', (req, res) => {
-  // Sanitize filename to prevent path traversal
-  const sanitizedFilename = path.basename(req.params.filename);
-  const filePath = path.join(__dirname, 'uploads', sanitizedFilename);
-  
-  // Verify the resolved path is within uploads directory
-  const uploadDir = path.join(__dirname, 'uploads');
-  if (!filePath.startsWith(uploadDir)) {
-    return res.status(403).json({ error: 'Access denied' });
-  }
+// Read file endpoint (/api/read/<path>?project=)
+app.get('/api/read/*', (req, res) => {
+  const filePath = resolveRequestPath(res, req.query.project, req.params[0]);
+  if (!filePath) return;
   
-  if (fs.existsSync(filePath)) {
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
     const content = fs.readFileSync(filePath, 'utf8');
     res.json({ success: true, content });
   } else {
@@ -103,181 +350,2893 @@ app.get('/api/read/:filename', (req, res) => {
   }
 });
 
-// Write file endpoint
+// Write file endpoint; missing parent folders are created
 app.post('/api/write', (req, res) => {
-  const { filename, content } = req.body;
+  const { project, filename, content } = req.body;
   if (!filename || content === undefined) {
     return res.status(400).json({ error: 'Filename and content required' });
   }
   
-  // Sanitize filename to prevent path traversal
-  const sanitizedFilename = path.basename(filename);
-  const filePath = path.join(__dirname, 'uploads', sanitizedFilename);
-  
-  // Verify the resolved path is within uploads directory
-  const uploadDir = path.join(__dirname, 'uploads');
-  if (!filePath.startsWith(uploadDir)) {
-    return res.status(403).json({ error: 'Access denied' });
-  }
-  
-  // Create uploads directory if it doesn't exist
-  if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true, mode: 0o755 });
+  const filePath = resolveRequestPath(res, project, filename);
+  if (!filePath) return;
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    return res.status(409).json({ error: 'A folder with that name already exists' });
   }
   
+  const projectName = project || DEFAULT_PROJECT;
+  const projectPath = toProjectPath(projectName, filePath);
+  recordCurrentContent(projectName, filePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o755 });
   fs.writeFileSync(filePath, content, 'utf8');
-  res.json({ success: true, filename: sanitizedFilename });
+  const revision = recordRevision(projectName, projectPath, content, 'save');
+  res.json({ success: true, filename: projectPath, revision });
 });
 
-// List files endpoint
-app.get('/api/files', (req, res) => {
-  const uploadDir = path.join(__dirname, 'uploads');
-  if (!fs.existsSync(uploadDir)) {
-    return res.json({ files: [] });
+// List files endpoint: nested tree plus a flat list of file paths, and git status
+// for projects that are repositories (null otherwise)
+app.get('/api/files', async (req, res) => {
+  const project = req.query.project || DEFAULT_PROJECT;
+  const root = resolveRequestPath(res, project, '');
+  if (!root) return;
+  if (!fs.existsSync(root)) {
+    return res.status(404).json({ error: 'Project not found' });
   }
-  const files = fs.readdirSync(uploadDir);
-  res.json({ files });
+  
+  const tree = readTree(project, root);
+  const git = isGitRepo(project) ? await readGitStatus(project).catch(() => null) : null;
+  res.json({ success: true, project, tree, files: flattenTree(tree), git });
 });
 
-// API Gateway endpoint for AI services
-app.post('/api/gateway', async (req, res) => {
-  const { service, apiKey, prompt, model } = req.body;
+// Create folder endpoint
+app.post('/api/folder', (req, res) => {
+  const { project, path: folder } = req.body;
+  if (!folder) {
+    return res.status(400).json({ error: 'Folder path required' });
+  }
   
-  try {
-    let response;
-    
-    switch(service) {
-      case 'deepseek':
-        response = await callDeepSeek(apiKey, prompt, model);
-        break;
-      case 'gemini':
-        response = await callGemini(apiKey, prompt, model);
-        break;
-      case 'copilot':
-        response = await callCopilot(apiKey, prompt, model);
-        break;
-      default:
-        return res.status(400).json({ error: 'Invalid service' });
-    }
-    
-    res.json({ success: true, response });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const folderPath = resolveRequestPath(res, project, folder);
+  if (!folderPath) return;
+  if (fs.existsSync(folderPath)) {
+    return res.status(409).json({ error: 'A file or folder with that name already exists' });
   }
+  
+  fs.mkdirSync(folderPath, { recursive: true, mode: 0o755 });
+  res.json({ success: true, path: toProjectPath(project || DEFAULT_PROJECT, folderPath) });
 });
 
-// AI Service Implementations
-async function callDeepSeek(apiKey, prompt, model = 'deepseek-chat') {
-  const fetch = (await import('node-fetch')).default;
-  const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      model,
-      messages: [{ role: 'user', content: prompt }]
-    })
-  });
+// Rename or move a file or folder within a project
+app.post('/api/move', (req, res) => {
+  const { project, from, to } = req.body;
+  if (!from || !to) {
+    return res.status(400).json({ error: 'Source and destination paths required' });
+  }
+  
+  const fromPath = resolveRequestPath(res, project, from);
+  if (!fromPath) return;
+  const toPath = resolveRequestPath(res, project, to);
+  if (!toPath) return;
+  
+  if (!fs.existsSync(fromPath)) {
+    return res.status(404).json({ error: 'File or folder not found' });
+  }
+  if (fs.existsSync(toPath)) {
+    return res.status(409).json({ error: 'A file or folder with that name already exists' });
+  }
+  if (toPath.startsWith(fromPath + path.sep)) {
+    return res.status(400).json({ error: 'Cannot move a folder into itself' });
+  }
   
-  if (!response.ok) {
-    throw new Error(`DeepSeek API error: ${response.statusText}`);
+  fs.mkdirSync(path.dirname(toPath), { recursive: true, mode: 0o755 });
+  fs.renameSync(fromPath, toPath);
+  const projectName = project || DEFAULT_PROJECT;
+  moveHistory(projectName, toProjectPath(projectName, fromPath), toProjectPath(projectName, toPath));
+  res.json({ success: true, path: toProjectPath(projectName, toPath) });
+});
+
+// Delete a file, or a folder with everything in it (/api/files/<path>?project=)
+app.delete('/api/files/*', (req, res) => {
+  const targetPath = resolveRequestPath(res, req.query.project, req.params[0]);
+  if (!targetPath) return;
+  if (targetPath === projectRoot(req.query.project || DEFAULT_PROJECT)) {
+    return res.status(400).json({ error: 'Delete the project instead' });
+  }
+  if (!fs.existsSync(targetPath)) {
+    return res.status(404).json({ error: 'File or folder not found' });
   }
   
-  const data = await response.json();
-  return data.choices[0].message.content;
+  fs.rmSync(targetPath, { recursive: true, force: true });
+  res.json({ success: true, path: req.params[0] });
+});
+
+// File revision history
+//
+// Every write and upload records a revision. Revision metadata for a project is
+// kept in data/history/<project>/index.json, keyed by project-relative path, and
+// each distinct content is stored once under blobs/<sha256>.
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+const HISTORY_MAX_REVISIONS = 100;
+
+function historyDir(project) {
+  return path.join(HISTORY_DIR, project);
 }
 
-async function callGemini(apiKey, prompt, model = 'gemini-pro') {
-  const fetch = (await import('node-fetch')).default;
-  const response = await fetch(`https://generativelanguage.googleapis.com/v1/models/${model}:generateContent?key=${apiKey}`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      contents: [{
-        parts: [{ text: prompt }]
-      }]
-    })
-  });
+// `files` has no prototype, so files named like "constructor" or "__proto__" are ordinary keys
+function readHistory(project) {
+  const indexFile = path.join(historyDir(project), 'index.json');
+  const history = fs.existsSync(indexFile) ? JSON.parse(fs.readFileSync(indexFile, 'utf8')) : { files: {} };
+  history.files = Object.assign(Object.create(null), history.files);
+  return history;
+}
+
+function writeHistory(project, history) {
+  fs.mkdirSync(historyDir(project), { recursive: true, mode: 0o755 });
+  fs.writeFileSync(path.join(historyDir(project), 'index.json'), JSON.stringify(history, null, 2), 'utf8');
+}
+
+function blobPath(project, hash) {
+  return path.join(historyDir(project), 'blobs', hash);
+}
+
+// Store `content` (string or Buffer) as the newest revision of a file.
+// Saving unchanged content does not add a revision.
+function recordRevision(project, relativePath, content, source) {
+  const history = readHistory(project);
+  const revisions = history.files[relativePath] || [];
+  const hash = crypto.createHash('sha256').update(content).digest('hex');
+  const latest = revisions[revisions.length - 1];
+  if (latest && latest.hash === hash) {
+    return latest;
+  }
   
-  if (!response.ok) {
-    throw new Error(`Gemini API error: ${response.statusText}`);
+  const blob = blobPath(project, hash);
+  if (!fs.existsSync(blob)) {
+    fs.mkdirSync(path.dirname(blob), { recursive: true, mode: 0o755 });
+    fs.writeFileSync(blob, content);
   }
   
-  const data = await response.json();
-  return data.candidates[0].content.parts[0].text;
+  const revision = {
+    id: latest ? latest.id + 1 : 1,
+    timestamp: new Date().toISOString(),
+    size: Buffer.byteLength(content),
+    hash,
+    source
+  };
+  revisions.push(revision);
+  history.files[relativePath] = revisions.slice(-HISTORY_MAX_REVISIONS);
+  writeHistory(project, history);
+  
+  if (revisions.length > HISTORY_MAX_REVISIONS) {
+    pruneBlobs(project, history);
+  }
+  return revision;
 }
 
-async function callCopilot(apiKey, prompt, model = 'gpt-4') {
-  // GitHub Copilot uses OpenAI API
-  const fetch = (await import('node-fetch')).default;
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      model,
-      messages: [{ role: 'user', content: prompt }]
-    })
-  });
-  
-  if (!response.ok) {
-    throw new Error(`OpenAI API error: ${response.statusText}`);
+// Snapshot what is on disk before overwriting it, in case it was never recorded
+// (files from before history existed, or changed outside the editor)
+function recordCurrentContent(project, filePath) {
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+    recordRevision(project, toProjectPath(project, filePath), fs.readFileSync(filePath), 'disk');
   }
+}
+
+// Remove blobs no longer referenced by any revision
+function pruneBlobs(project, history) {
+  const used = new Set();
+  Object.values(history.files).forEach(revisions => revisions.forEach(revision => used.add(revision.hash)));
   
-  const data = await response.json();
-  return data.choices[0].message.content;
+  const blobsDir = path.join(historyDir(project), 'blobs');
+  fs.readdirSync(blobsDir)
+    .filter(hash => !used.has(hash))
+    .forEach(hash => fs.unlinkSync(path.join(blobsDir, hash)));
 }
 
-// Data store for dynamic data sheets and databanks
-let dataSheets = {};
-let dataBank = {};
+// Keep history attached to files (or everything in a folder) after a move
+function moveHistory(project, from, to) {
+  const history = readHistory(project);
+  let moved = false;
+  Object.keys(history.files).forEach(filePath => {
+    if (filePath === from || filePath.startsWith(from + '/')) {
+      history.files[to + filePath.slice(from.length)] = history.files[filePath];
+      delete history.files[filePath];
+      moved = true;
+    }
+  });
+  if (moved) {
+    writeHistory(project, history);
+  }
+}
 
-// Data sheet endpoints
-app.get('/api/datasheet/:id', (req, res) => {
-  const sheet = dataSheets[req.params.id];
-  if (sheet) {
-    res.json({ success: true, data: sheet });
-  } else {
-    res.status(404).json({ error: 'Data sheet not found' });
+function findRevision(project, relativePath, id) {
+  const revisions = readHistory(project).files[relativePath] || [];
+  return revisions.find(revision => revision.id === Number(id)) || null;
+}
+
+function readRevision(project, revision) {
+  return fs.readFileSync(blobPath(project, revision.hash), 'utf8');
+}
+
+// List revisions of a file, newest first (/api/history/<path>?project=)
+app.get('/api/history/*', (req, res) => {
+  const project = req.query.project || DEFAULT_PROJECT;
+  const filePath = resolveRequestPath(res, project, req.params[0]);
+  if (!filePath) return;
+  
+  const relativePath = toProjectPath(project, filePath);
+  const revisions = (readHistory(project).files[relativePath] || []).slice().reverse();
+  res.json({ success: true, path: relativePath, revisions });
+});
+
+// Fetch one revision with its content (/api/revision/<path>?project=&id=)
+app.get('/api/revision/*', (req, res) => {
+  const project = req.query.project || DEFAULT_PROJECT;
+  const filePath = resolveRequestPath(res, project, req.params[0]);
+  if (!filePath) return;
+  
+  const revision = findRevision(project, toProjectPath(project, filePath), req.query.id);
+  if (!revision) {
+    return res.status(404).json({ error: 'Revision not found' });
   }
+  res.json({ success: true, revision, content: readRevision(project, revision) });
 });
 
-app.post('/api/datasheet', (req, res) => {
-  const { id, data } = req.body;
-  dataSheets[id] = data;
-  res.json({ success: true, id });
+// Diff two revisions (/api/revision-diff/<path>?project=&from=&to=).
+// `to` may be omitted to compare against the file as it is on disk.
+app.get('/api/revision-diff/*', (req, res) => {
+  const project = req.query.project || DEFAULT_PROJECT;
+  const filePath = resolveRequestPath(res, project, req.params[0]);
+  if (!filePath) return;
+  
+  const relativePath = toProjectPath(project, filePath);
+  const from = findRevision(project, relativePath, req.query.from);
+  const to = req.query.to ? findRevision(project, relativePath, req.query.to) : null;
+  if (!from || (req.query.to && !to)) {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
+  if (!to && !fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  
+  const oldText = readRevision(project, from);
+  const newText = to ? readRevision(project, to) : fs.readFileSync(filePath, 'utf8');
+  res.json({ success: true, from: from.id, to: to ? to.id : null, diff: diffLines(oldText, newText) });
 });
 
-app.put('/api/datasheet/:id', (req, res) => {
-  const { data } = req.body;
-  dataSheets[req.params.id] = data;
-  res.json({ success: true, id: req.params.id });
+// Restore a revision as the current content; the restore itself becomes a new revision
+app.post('/api/restore', (req, res) => {
+  const { project = DEFAULT_PROJECT, path: relativePath, revision: id } = req.body;
+  if (!relativePath || id === undefined) {
+    return res.status(400).json({ error: 'Path and revision required' });
+  }
+  
+  const filePath = resolveRequestPath(res, project, relativePath);
+  if (!filePath) return;
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    return res.status(409).json({ error: 'A folder with that name already exists' });
+  }
+  
+  const projectPath = toProjectPath(project, filePath);
+  const revision = findRevision(project, projectPath, id);
+  if (!revision) {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
+  
+  const content = fs.readFileSync(blobPath(project, revision.hash));
+  recordCurrentContent(project, filePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o755 });
+  fs.writeFileSync(filePath, content);
+  const restored = recordRevision(project, projectPath, content, 'restore');
+  res.json({ success: true, path: projectPath, revision: restored, content: content.toString('utf8') });
 });
 
-// Databank endpoints
-app.get('/api/databank/:key', (req, res) => {
-  const value = dataBank[req.params.key];
-  if (value !== undefined) {
-    res.json({ success: true, value });
+// Git integration
+//
+// Every project directory can be its own repository, driven through the local git
+// binary. Routes only run once the project has its own .git directory, so git never
+// walks up into a repository that happens to contain workspaces/.
+const GIT_TIMEOUT = 30000;
+const GIT_MAX_BUFFER = 20 * 1024 * 1024;
+const GIT_LOG_LIMIT = 50;
+
+// Resolves with stdout; rejects with git's own error output as the message.
+// `allowedCodes` lists non-zero exit codes that are not failures for this command.
+function runGit(project, args, allowedCodes = []) {
+  // Optional committer identity for servers without a global git config
+  const identity = [];
+  if (process.env.GIT_USER_NAME) identity.push('-c', `user.name=${process.env.GIT_USER_NAME}`);
+  if (process.env.GIT_USER_EMAIL) identity.push('-c', `user.email=${process.env.GIT_USER_EMAIL}`);
+  
+  return new Promise((resolve, reject) => {
+    execFile('git', identity.concat(args), {
+      cwd: projectRoot(project),
+      timeout: GIT_TIMEOUT,
+      maxBuffer: GIT_MAX_BUFFER,
+      env: Object.assign({}, process.env, { GIT_TERMINAL_PROMPT: '0' })
+    }, (error, stdout, stderr) => {
+      if (error && !allowedCodes.includes(error.code)) {
+        if (error.code !== 'ENOENT') {
+          error.message = (stderr || stdout || error.message).trim();
+        }
+        return reject(error);
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+function isGitRepo(project) {
+  return fs.existsSync(path.join(projectRoot(project), '.git'));
+}
+
+async function hasCommits(project) {
+  return (await runGit(project, ['rev-parse', '--verify', '-q', 'HEAD'], [1])).trim() !== '';
+}
+
+// { branch, files: [{ path, index, worktree, from? }] } using porcelain XY status codes
+async function readGitStatus(project) {
+  const output = await runGit(project, ['status', '--porcelain=v1', '-z', '--untracked-files=all']);
+  const entries = output.split('\0');
+  const files = [];
+  for (let i = 0; i < entries.length; i++) {
+    if (!entries[i]) continue;
+    const file = { path: entries[i].slice(3), index: entries[i][0], worktree: entries[i][1] };
+    // Renames and copies are followed by the original path
+    if (file.index === 'R' || file.index === 'C') {
+      file.from = entries[++i];
+    }
+    files.push(file);
+  }
+  
+  // Empty when HEAD is detached
+  const branch = (await runGit(project, ['symbolic-ref', '--short', '-q', 'HEAD'], [1])).trim() || null;
+  return { branch, files };
+}
+
+async function listBranches(project) {
+  const output = await runGit(project, ['branch', '--format=%(refname:short)']);
+  return output.split('\n').filter(Boolean);
+}
+
+// Validate the project, then run the handler; git failures become JSON errors
+function gitRoute(handler, requireRepo = true) {
+  return async (req, res) => {
+    const { project } = req.params;
+    if (!isValidProjectName(project) || !fs.existsSync(projectRoot(project))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (requireRepo && !isGitRepo(project)) {
+      return res.status(409).json({ error: 'Project is not a git repository' });
+    }
+    
+    try {
+      await handler(req, res, project);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return res.status(500).json({ error: 'git is not installed on the server' });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  };
+}
+
+// Check request paths like any other file path; the project root becomes '.'
+function gitPaths(res, project, paths) {
+  if (!Array.isArray(paths) || !paths.length) {
+    res.status(400).json({ error: 'Paths required' });
+    return null;
+  }
+  const resolved = [];
+  for (const relativePath of paths) {
+    const filePath = resolveRequestPath(res, project, relativePath);
+    if (!filePath) return null;
+    resolved.push(toProjectPath(project, filePath) || '.');
+  }
+  return resolved;
+}
+
+function matchesPath(filePath, pathspec) {
+  return pathspec === '.' || filePath === pathspec || filePath.startsWith(pathspec + '/');
+}
+
+app.get('/api/git/:project/status', gitRoute(async (req, res, project) => {
+  if (!isGitRepo(project)) {
+    return res.json({ success: true, initialized: false });
+  }
+  const status = await readGitStatus(project);
+  res.json({ success: true, initialized: true, branch: status.branch, files: status.files });
+}, false));
+
+app.post('/api/git/:project/init', gitRoute(async (req, res, project) => {
+  if (isGitRepo(project)) {
+    return res.status(409).json({ error: 'Project is already a git repository' });
+  }
+  await runGit(project, ['init', '-q']);
+  const status = await readGitStatus(project);
+  res.json({ success: true, initialized: true, branch: status.branch, files: status.files });
+}, false));
+
+// Stage files or folders ({ paths }); deletions are staged too
+app.post('/api/git/:project/stage', gitRoute(async (req, res, project) => {
+  const paths = gitPaths(res, project, req.body.paths);
+  if (!paths) return;
+  await runGit(project, ['add', '-A', '--'].concat(paths));
+  res.json({ success: true, paths });
+}));
+
+app.post('/api/git/:project/unstage', gitRoute(async (req, res, project) => {
+  const paths = gitPaths(res, project, req.body.paths);
+  if (!paths) return;
+  if (await hasCommits(project)) {
+    await runGit(project, ['restore', '--staged', '--'].concat(paths));
   } else {
-    res.status(404).json({ error: 'Key not found' });
+    // Nothing to restore from before the first commit
+    await runGit(project, ['rm', '--cached', '-r', '-q', '--ignore-unmatch', '--'].concat(paths));
+  }
+  res.json({ success: true, paths });
+}));
+
+// Throw away unstaged changes ({ paths }); untracked files are deleted.
+// The current content is recorded in file history first so nothing is lost for good.
+app.post('/api/git/:project/discard', gitRoute(async (req, res, project) => {
+  const paths = gitPaths(res, project, req.body.paths);
+  if (!paths) return;
+  
+  const changed = (await readGitStatus(project)).files
+    .filter(file => file.worktree !== ' ' && paths.some(pathspec => matchesPath(file.path, pathspec)));
+  changed.forEach(file => recordCurrentContent(project, path.join(projectRoot(project), file.path)));
+  
+  const untracked = changed.filter(file => file.worktree === '?').map(file => file.path);
+  const tracked = changed.filter(file => file.worktree !== '?').map(file => file.path);
+  if (untracked.length) {
+    await runGit(project, ['clean', '-f', '-q', '--'].concat(untracked));
+  }
+  if (tracked.length) {
+    await runGit(project, ['checkout', '-q', '--'].concat(tracked));
+  }
+  res.json({ success: true, paths: changed.map(file => file.path) });
+}));
+
+app.post('/api/git/:project/commit', gitRoute(async (req, res, project) => {
+  const { message } = req.body;
+  if (typeof message !== 'string' || !message.trim()) {
+    return res.status(400).json({ error: 'Commit message required' });
+  }
+  await runGit(project, ['commit', '-q', '-m', message.trim()]);
+  const commit = (await runGit(project, ['rev-parse', 'HEAD'])).trim();
+  res.json({ success: true, commit });
+}));
+
+// Recent commits (?limit=, default 50)
+app.get('/api/git/:project/log', gitRoute(async (req, res, project) => {
+  if (!(await hasCommits(project))) {
+    return res.json({ success: true, commits: [] });
+  }
+  
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || GIT_LOG_LIMIT, 1), 500);
+  const output = await runGit(project, ['log', `--max-count=${limit}`, '--pretty=format:%H%x1f%an%x1f%aI%x1f%s%x1e']);
+  const commits = output.split('\x1e').map(record => record.trim()).filter(Boolean).map(record => {
+    const [hash, author, date, subject] = record.split('\x1f');
+    return { hash, author, date, subject };
+  });
+  res.json({ success: true, commits });
+}));
+
+// Unified diff of unstaged changes, or staged ones with ?staged=true; ?path= limits it to one file
+app.get('/api/git/:project/diff', gitRoute(async (req, res, project) => {
+  const staged = req.query.staged === 'true';
+  const args = ['diff', '--no-color'];
+  if (staged) args.push('--cached');
+  
+  if (req.query.path) {
+    const paths = gitPaths(res, project, [req.query.path]);
+    if (!paths) return;
+    
+    // Untracked files have nothing to diff against; show them as entirely added
+    const tracked = (await runGit(project, ['ls-files', '--', paths[0]])).trim() !== '';
+    if (!staged && !tracked && fs.existsSync(path.join(projectRoot(project), paths[0]))) {
+      const diff = await runGit(project, ['diff', '--no-color', '--no-index', '--', '/dev/null', paths[0]], [1]);
+      return res.json({ success: true, diff });
+    }
+    args.push('--', paths[0]);
+  }
+  
+  res.json({ success: true, diff: await runGit(project, args) });
+}));
+
+app.get('/api/git/:project/branches', gitRoute(async (req, res, project) => {
+  const { branch } = await readGitStatus(project);
+  res.json({ success: true, current: branch, branches: await listBranches(project) });
+}));
+
+// Create a branch ({ name, checkout }); `checkout` switches to it right away
+app.post('/api/git/:project/branches', gitRoute(async (req, res, project) => {
+  const { name, checkout } = req.body;
+  if (typeof name !== 'string' || !name || name.startsWith('-')) {
+    return res.status(400).json({ error: 'Invalid branch name' });
+  }
+  try {
+    await runGit(project, ['check-ref-format', '--branch', name]);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid branch name' });
+  }
+  if ((await listBranches(project)).includes(name)) {
+    return res.status(409).json({ error: 'Branch already exists' });
+  }
+  
+  if (checkout) {
+    await runGit(project, ['checkout', '-q', '-b', name]);
+  } else {
+    await runGit(project, ['branch', name]);
+  }
+  res.json({ success: true, branch: name });
+}));
+
+// Switch branches ({ branch }); git refuses when local changes would be overwritten
+app.post('/api/git/:project/checkout', gitRoute(async (req, res, project) => {
+  const { branch } = req.body;
+  if (!(await listBranches(project)).includes(branch)) {
+    return res.status(404).json({ error: 'Branch not found' });
+  }
+  await runGit(project, ['checkout', '-q', branch]);
+  res.json({ success: true, branch });
+}));
+
+// Live preview file server
+//
+// /preview/<project>/<path> serves project files at their real relative paths so
+// pages can load sibling CSS, scripts, ES modules and JSON. Unsaved editor buffers
+// are pushed to an in-memory overlay that takes precedence over files on disk.
+const previewOverlays = {};
+
+// Types express may not know about, or that must be exact for module scripts
+const PREVIEW_CONTENT_TYPES = {
+  '.mjs': 'text/javascript',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.map': 'application/json',
+  '.wasm': 'application/wasm'
+};
+
+const PREVIEW_CONSOLE_TAG = '<script src="/preview-console.js"></script>';
+
+// Add the console capture script as the first thing the page runs. It goes on the
+// line of an existing tag so error line numbers still match the editor.
+function injectPreviewConsole(html) {
+  const anchor = html.match(/<head[^>]*>/i) || html.match(/<html[^>]*>/i) || html.match(/<!doctype[^>]*>/i);
+  if (anchor) {
+    return html.replace(anchor[0], anchor[0] + PREVIEW_CONSOLE_TAG);
+  }
+  return PREVIEW_CONSOLE_TAG + html;
+}
+
+function sendPreviewContent(res, filePath, content) {
+  const extension = path.extname(filePath).toLowerCase();
+  res.set('Cache-Control', 'no-store');
+  res.type(PREVIEW_CONTENT_TYPES[extension] || extension || 'text/plain');
+  
+  if (extension === '.html' || extension === '.htm') {
+    const html = content !== undefined ? content : fs.readFileSync(filePath, 'utf8');
+    return res.send(injectPreviewConsole(html));
   }
+  if (content !== undefined) {
+    return res.send(content);
+  }
+  res.sendFile(filePath);
+}
+
+// Replace the overlay of unsaved buffers for a project ({ buffers: { path: content } })
+app.put('/api/preview/:project/buffers', (req, res) => {
+  const { project } = req.params;
+  const { buffers = {} } = req.body;
+  if (!projectRoot(project)) {
+    return res.status(400).json({ error: 'Invalid project name' });
+  }
+  
+  const overlay = {};
+  for (const [filePath, content] of Object.entries(buffers)) {
+    const resolved = resolveProjectPath(project, filePath);
+    if (!resolved || typeof content !== 'string') {
+      return res.status(403).json({ error: 'Access denied: ' + filePath });
+    }
+    overlay[resolved] = content;
+  }
+  previewOverlays[project] = overlay;
+  res.json({ success: true, buffers: Object.keys(overlay).length });
 });
 
-app.post('/api/databank', (req, res) => {
-  const { key, value } = req.body;
-  dataBank[key] = value;
-  res.json({ success: true, key });
+app.get('/preview/:project/*', (req, res) => {
+  const { project } = req.params;
+  let filePath = resolveProjectPath(project, req.params[0]);
+  if (!filePath) {
+    return res.status(403).send('Access denied');
+  }
+  
+  const overlay = previewOverlays[project] || {};
+  if (!(filePath in overlay) && fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(filePath, 'index.html');
+  }
+  
+  if (filePath in overlay) {
+    return sendPreviewContent(res, filePath, overlay[filePath]);
+  }
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+    return sendPreviewContent(res, filePath);
+  }
+  res.status(404).type('text/plain').send('Not found in project: ' + req.params[0]);
 });
 
-app.get('/api/databank', (req, res) => {
-  res.json({ success: true, data: dataBank });
+// AI provider registry
+//
+// Request/response shapes shared by every provider of the same API family.
+// `responsePath`/`deltaPath` are dotted paths into the (streamed) JSON payload
+// and can be overridden per provider in providers.json. `embed` describes the
+// embeddings endpoint used by semantic search, where the API family has one.
+const PROVIDER_FORMATS = {
+  openai: {
+    path: () => '/chat/completions',
+    body: (messages, model, stream) => ({ model, messages, stream }),
+    responsePath: 'choices.0.message.content',
+    deltaPath: 'choices.0.delta.content',
+    streamEncoding: 'sse',
+    embed: {
+      path: () => '/embeddings',
+      body: (texts, model) => ({ model, input: texts }),
+      vectors: data => data.data.map(item => item.embedding)
+    }
+  },
+  gemini: {
+    path: (model, stream) => stream
+      ? `/models/${model}:streamGenerateContent?alt=sse`
+      : `/models/${model}:generateContent`,
+    body: (messages) => toGeminiRequest(messages),
+    responsePath: 'candidates.0.content.parts.0.text',
+    deltaPath: 'candidates.0.content.parts.0.text',
+    streamEncoding: 'sse',
+    embed: {
+      path: (model) => `/models/${model}:batchEmbedContents`,
+      body: (texts, model) => ({
+        requests: texts.map(text => ({ model: `models/${model}`, content: { parts: [{ text }] } }))
+      }),
+      vectors: data => data.embeddings.map(embedding => embedding.values)
+    }
+  },
+  anthropic: {
+    path: () => '/messages',
+    body: (messages, model, stream) => toAnthropicRequest(messages, model, stream),
+    responsePath: 'content.0.text',
+    deltaPath: 'delta.text',
+    streamEncoding: 'sse'
+  },
+  ollama: {
+    path: () => '/api/chat',
+    body: (messages, model, stream) => ({ model, messages, stream }),
+    responsePath: 'message.content',
+    deltaPath: 'message.content',
+    streamEncoding: 'ndjson',
+    embed: {
+      path: () => '/api/embed',
+      body: (texts, model) => ({ model, input: texts }),
+      vectors: data => data.embeddings
+    }
+  }
+};
+
+// How the API key is sent: `bearer` header, Gemini-style `query` parameter,
+// Anthropic-style `x-api-key` header, or `none` for local servers
+const AUTH_STYLES = ['bearer', 'query', 'x-api-key', 'none'];
+
+const DEFAULT_PROVIDERS = [
+  { id: 'deepseek', name: 'DeepSeek', format: 'openai', baseUrl: DEEPSEEK_API_BASE, auth: 'bearer', defaultModel: 'deepseek-chat' },
+  { id: 'gemini', name: 'Google Gemini', format: 'gemini', baseUrl: GEMINI_API_BASE, auth: 'query', defaultModel: 'gemini-pro', embeddingModel: 'text-embedding-004' },
+  { id: 'copilot', name: 'OpenAI/Copilot', format: 'openai', baseUrl: OPENAI_API_BASE, auth: 'bearer', defaultModel: 'gpt-4', envKey: 'OPENAI_API_KEY', embeddingModel: 'text-embedding-3-small' },
+  { id: 'anthropic', name: 'Anthropic Claude', format: 'anthropic', baseUrl: ANTHROPIC_API_BASE, auth: 'x-api-key', defaultModel: 'claude-3-5-sonnet-latest' },
+  { id: 'ollama', name: 'Ollama (local)', format: 'ollama', baseUrl: OLLAMA_API_BASE, auth: 'none', defaultModel: 'llama3', embeddingModel: 'nomic-embed-text' }
+];
+
+// Built-in providers plus any declared in providers.json (same id replaces the built-in)
+function loadProviders() {
+  const list = DEFAULT_PROVIDERS.slice();
+  
+  if (fs.existsSync(PROVIDERS_FILE)) {
+    const custom = JSON.parse(fs.readFileSync(PROVIDERS_FILE, 'utf8'));
+    custom.forEach(provider => {
+      if (!provider.id || !provider.baseUrl || !PROVIDER_FORMATS[provider.format]) {
+        console.warn(`Skipping provider "${provider.id}": id, baseUrl and a known format are required`);
+        return;
+      }
+      if (provider.auth && !AUTH_STYLES.includes(provider.auth)) {
+        console.warn(`Skipping provider "${provider.id}": unknown auth style "${provider.auth}"`);
+        return;
+      }
+      const index = list.findIndex(existing => existing.id === provider.id);
+      const entry = { name: provider.id, auth: 'bearer', ...provider };
+      if (index === -1) {
+        list.push(entry);
+      } else {
+        list[index] = entry;
+      }
+    });
+  }
+  
+  // Prototype-less, so ids from the request such as "constructor" find no provider
+  return Object.assign(Object.create(null), Object.fromEntries(list.map(provider => [provider.id, provider])));
+}
+
+const providers = loadProviders();
+
+// List providers for the AI service dropdown (no endpoints or secrets)
+app.get('/api/providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: Object.values(providers).map(({ id, name, format, defaultModel, auth }) => ({
+      id, name, format, defaultModel, requiresKey: auth !== 'none'
+    }))
+  });
+});
+
+// API Gateway endpoint for AI services
+app.post('/api/gateway', async (req, res) => {
+  const { service, model, stream } = req.body;
+  
+  // Only a string names a provider; an array such as ["deepseek"] would match one as a key
+  const provider = typeof service === 'string' ? providers[service] : undefined;
+  if (!provider) {
+    return res.status(400).json({ error: 'Invalid service' });
+  }
+  
+  const messages = normalizeMessages(req.body);
+  if (!messages) {
+    return res.status(400).json({ error: 'A prompt or a messages array is required' });
+  }
+  
+  // Keys are resolved server-side from the vault or environment, never taken from the request
+  const apiKey = resolveApiKey(service);
+  if (provider.auth !== 'none' && !apiKey) {
+    return res.status(400).json({ error: 'No API key configured for ' + service });
+  }
+  
+  if (stream) {
+    return streamGateway(req, res, provider, apiKey, messages);
+  }
+  
+  try {
+    const response = await callProvider(provider, apiKey, messages, model);
+    res.json({ success: true, response });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Conversation messages
+const MESSAGE_ROLES = ['system', 'user', 'assistant'];
+
+// Accept either a single `prompt` or a full `messages` array of { role, content }.
+// Returns null when the request carries neither in a usable form.
+function normalizeMessages({ prompt, messages }) {
+  if (Array.isArray(messages)) {
+    const valid = messages.length > 0 && messages.every(message =>
+      message && MESSAGE_ROLES.includes(message.role) && typeof message.content === 'string'
+    );
+    return valid ? messages.map(({ role, content }) => ({ role, content })) : null;
+  }
+  if (typeof prompt === 'string' && prompt) {
+    return [{ role: 'user', content: prompt }];
+  }
+  return null;
+}
+
+// Gemini takes system text separately and calls the assistant role "model"
+function toGeminiRequest(messages) {
+  const system = messages.filter(message => message.role === 'system');
+  const body = {
+    contents: messages
+      .filter(message => message.role !== 'system')
+      .map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      }))
+  };
+  if (system.length) {
+    body.systemInstruction = {
+      parts: system.map(message => ({ text: message.content }))
+    };
+  }
+  return body;
+}
+
+// Anthropic also takes system text separately and requires max_tokens
+function toAnthropicRequest(messages, model, stream) {
+  const system = messages.filter(message => message.role === 'system');
+  const body = {
+    model,
+    max_tokens: 4096,
+    messages: messages.filter(message => message.role !== 'system'),
+    stream
+  };
+  if (system.length) {
+    body.system = system.map(message => message.content).join('\n\n');
+  }
+  return body;
+}
+
+// Resolve a dotted path such as `choices.0.message.content`
+function getPath(data, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function buildProviderRequest(provider, apiKey, messages, model, stream, signal) {
+  const format = PROVIDER_FORMATS[provider.format];
+  const resolvedModel = model || provider.defaultModel;
+  const body = format.body(messages, resolvedModel, stream);
+  return providerRequest(provider, apiKey, format.path(resolvedModel, stream), body, signal);
+}
+
+// URL and fetch options for POSTing `body` to `urlPath` under the provider's base URL
+function providerRequest(provider, apiKey, urlPath, body, signal) {
+  let url = provider.baseUrl.replace(/\/$/, '') + urlPath;
+  const headers = { 'Content-Type': 'application/json', ...provider.headers };
+  
+  switch(provider.auth) {
+    case 'bearer':
+      headers['Authorization'] = `Bearer ${apiKey}`;
+      break;
+    case 'query':
+      url += (url.includes('?') ? '&' : '?') + `key=${encodeURIComponent(apiKey)}`;
+      break;
+    case 'x-api-key':
+      headers['x-api-key'] = apiKey;
+      headers['anthropic-version'] = headers['anthropic-version'] || '2023-06-01';
+      break;
+  }
+  
+  return {
+    url,
+    options: {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal
+    }
+  };
+}
+
+// node-fetch errors (FetchError) repeat the request URL, which can carry the API key
+// (`auth: 'query'`), so they are replaced before reaching the browser or the vault tests
+function providerError(provider, error, what = 'request') {
+  if (error.name !== 'FetchError') {
+    return error;
+  }
+  return new Error(`${provider.name} ${what} failed (${error.code || error.type || 'network error'})`);
+}
+
+// AI Service Implementation
+async function callProvider(provider, apiKey, messages, model, signal) {
+  const fetch = (await import('node-fetch')).default;
+  const format = PROVIDER_FORMATS[provider.format];
+  const { url, options } = buildProviderRequest(provider, apiKey, messages, model, false, signal);
+  try {
+    const response = await fetch(url, options);
+    
+    if (!response.ok) {
+      throw new Error(`${provider.name} API error: ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    return getPath(data, provider.responsePath || format.responsePath);
+  } catch (error) {
+    throw providerError(provider, error);
+  }
+}
+
+// Embedding vectors for `texts`, in order
+async function embedTexts(provider, apiKey, model, texts) {
+  const fetch = (await import('node-fetch')).default;
+  const embed = PROVIDER_FORMATS[provider.format].embed;
+  const { url, options } = providerRequest(provider, apiKey, embed.path(model), embed.body(texts, model));
+  let vectors;
+  try {
+    const response = await fetch(url, options);
+    if (!response.ok) {
+      throw new Error(`${provider.name} embeddings error: ${response.statusText}`);
+    }
+    vectors = embed.vectors(await response.json());
+  } catch (error) {
+    throw providerError(provider, error, 'embeddings request');
+  }
+  if (!Array.isArray(vectors) || vectors.length !== texts.length) {
+    throw new Error(`${provider.name} returned ${Array.isArray(vectors) ? vectors.length : 'no'} embeddings for ${texts.length} texts`);
+  }
+  return vectors;
+}
+
+async function streamProvider(provider, apiKey, messages, model, signal, onDelta) {
+  const fetch = (await import('node-fetch')).default;
+  const format = PROVIDER_FORMATS[provider.format];
+  const { url, options } = buildProviderRequest(provider, apiKey, messages, model, true, signal);
+  const deltaPath = provider.deltaPath || format.deltaPath;
+  const onPayload = (payload) => {
+    if (!payload || payload === '[DONE]') return;
+    const text = getPath(JSON.parse(payload), deltaPath);
+    if (text) {
+      onDelta(text);
+    }
+  };
+  
+  try {
+    const response = await fetch(url, options);
+    
+    if (!response.ok) {
+      throw new Error(`${provider.name} API error: ${response.statusText}`);
+    }
+    
+    if (format.streamEncoding === 'ndjson') {
+      await readLines(response.body, onPayload);
+    } else {
+      await readSSE(response.body, onPayload);
+    }
+  } catch (error) {
+    throw providerError(provider, error);
+  }
+}
+
+// Streaming gateway: relays provider token deltas to the browser as Server-Sent Events.
+// Events: `delta` ({ text }), `done` ({}), `error` ({ error }).
+async function streamGateway(req, res, provider, apiKey, messages) {
+  const { model } = req.body;
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  // Abort the upstream request when the browser stops reading (Stop button or tab closed)
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  
+  try {
+    await streamProvider(provider, apiKey, messages, model, controller.signal, (text) => {
+      sendSSE(res, 'delta', { text });
+    });
+    sendSSE(res, 'done', {});
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return;
+    }
+    sendSSE(res, 'error', { error: error.message });
+  }
+  res.end();
+}
+
+function sendSSE(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Invoke onLine with each complete line of a streamed response body. The decoder keeps
+// characters split across chunks together.
+async function readLines(body, onLine) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(onLine);
+  }
+  buffer += decoder.end();
+  if (buffer) {
+    onLine(buffer);
+  }
+}
+
+// Parse an upstream SSE body and invoke onData with each `data:` payload
+async function readSSE(body, onData) {
+  await readLines(body, (line) => {
+    if (line.startsWith('data:')) {
+      onData(line.slice(5).trim());
+    }
+  });
+}
+
+// Inline code completion
+//
+// Built on the gateway providers. Identical editor context is served from an
+// in-memory LRU cache so repeated pauses at the same spot do not cost API calls.
+const COMPLETION_PREFIX_CHARS = 3000;
+const COMPLETION_SUFFIX_CHARS = 1000;
+const COMPLETION_MAX_LINES = 15;
+const COMPLETION_CACHE_SIZE = 500;
+const COMPLETION_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+
+const completionCache = new Map();
+
+function getCachedCompletion(key) {
+  const entry = completionCache.get(key);
+  if (!entry) {
+    return undefined;
+  }
+  completionCache.delete(key);
+  if (Date.now() - entry.createdAt > COMPLETION_CACHE_TTL) {
+    return undefined;
+  }
+  // Re-insert so the Map's insertion order doubles as recency order
+  completionCache.set(key, entry);
+  return entry.completion;
+}
+
+function setCachedCompletion(key, completion) {
+  completionCache.set(key, { completion, createdAt: Date.now() });
+  if (completionCache.size > COMPLETION_CACHE_SIZE) {
+    completionCache.delete(completionCache.keys().next().value);
+  }
+}
+
+function buildCompletionMessages(prefix, suffix, language, filename) {
+  return [
+    {
+      role: 'system',
+      content: 'You are a code completion engine inside a code editor. ' +
+        'Reply with only the text to insert at the cursor: no explanations, no code fences, ' +
+        'and do not repeat code that is already before or after the cursor. ' +
+        'Reply with nothing if no completion makes sense.'
+    },
+    {
+      role: 'user',
+      content: `File: ${filename || 'untitled'} (language: ${language || 'unknown'})\n\n` +
+        `<code_before_cursor>\n${prefix}\n</code_before_cursor>\n` +
+        `<code_after_cursor>\n${suffix}\n</code_after_cursor>`
+    }
+  ];
+}
+
+// Models sometimes wrap the answer in a fence despite instructions
+function cleanCompletion(text) {
+  const fenced = (text || '').match(/```[\w-]*\n([\s\S]*?)\n?```/);
+  const completion = fenced ? fenced[1] : (text || '');
+  return completion.split('\n').slice(0, COMPLETION_MAX_LINES).join('\n').replace(/\s+$/, '');
+}
+
+app.post('/api/complete', async (req, res) => {
+  const { service, model, language, filename } = req.body;
+  const prefix = String(req.body.prefix || '').slice(-COMPLETION_PREFIX_CHARS);
+  const suffix = String(req.body.suffix || '').slice(0, COMPLETION_SUFFIX_CHARS);
+  
+  // Only a string names a provider; an array such as ["deepseek"] would match one as a key
+  const provider = typeof service === 'string' ? providers[service] : undefined;
+  if (!provider) {
+    return res.status(400).json({ error: 'Invalid service' });
+  }
+  if (!prefix.trim()) {
+    return res.json({ success: true, completion: '', cached: false });
+  }
+  
+  const apiKey = resolveApiKey(service);
+  if (provider.auth !== 'none' && !apiKey) {
+    return res.status(400).json({ error: 'No API key configured for ' + service });
+  }
+  
+  const cacheKey = crypto.createHash('sha256')
+    .update(JSON.stringify([service, model, language, prefix, suffix]))
+    .digest('hex');
+  const cached = getCachedCompletion(cacheKey);
+  if (cached !== undefined) {
+    return res.json({ success: true, completion: cached, cached: true });
+  }
+  
+  // The editor aborts stale requests as the user keeps typing; stop paying for them upstream
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  
+  try {
+    const reply = await callProvider(provider, apiKey, buildCompletionMessages(prefix, suffix, language, filename), model, controller.signal);
+    const completion = cleanCompletion(reply);
+    setCachedCompletion(cacheKey, completion);
+    res.json({ success: true, completion, cached: false });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return;
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API key vault
+//
+// Keys are encrypted at rest with AES-256-GCM using a key derived from
+// VAULT_PASSPHRASE. When a service has no vault entry the gateway falls back to
+// its environment variable (e.g. DEEPSEEK_API_KEY), so the browser never sees
+// or sends a raw key.
+const VAULT_FILE = path.join(DATA_DIR, 'vault.json');
+const VAULT_CHECK = 'brettappscode-vault';
+
+// Keys kept for integrations other than the AI gateway
+const EXTRA_VAULT_SERVICES = Object.assign(Object.create(null), { googleCloud: 'Google Cloud' });
+
+// Results of the last `test` per service, kept in memory only
+const keyTests = Object.create(null);
+
+// `keys` has no prototype, so any service name (even "__proto__") is an ordinary key
+function loadVault() {
+  const loaded = fs.existsSync(VAULT_FILE)
+    ? JSON.parse(fs.readFileSync(VAULT_FILE, 'utf8'))
+    : { salt: crypto.randomBytes(16).toString('hex'), check: null, keys: {} };
+  loaded.keys = Object.assign(Object.create(null), loaded.keys);
+  return loaded;
+}
+
+function saveVault() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true, mode: 0o755 });
+  }
+  fs.writeFileSync(VAULT_FILE, JSON.stringify(vault, null, 2), { encoding: 'utf8', mode: 0o600 });
+}
+
+function encryptSecret(plaintext, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    data: data.toString('hex')
+  };
+}
+
+function decryptSecret(secret, key) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(secret.iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(secret.tag, 'hex'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(secret.data, 'hex')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+// Returns null (vault locked) when no passphrase is set or it does not match the vault file
+function deriveVaultKey() {
+  const passphrase = process.env.VAULT_PASSPHRASE;
+  if (!passphrase) {
+    return null;
+  }
+  
+  const key = crypto.scryptSync(passphrase, Buffer.from(vault.salt, 'hex'), 32);
+  if (!vault.check) {
+    vault.check = encryptSecret(VAULT_CHECK, key);
+    return key;
+  }
+  
+  try {
+    if (decryptSecret(vault.check, key) === VAULT_CHECK) {
+      return key;
+    }
+  } catch (error) {
+    // Authentication failure means a different passphrase
+  }
+  console.warn('VAULT_PASSPHRASE does not match data/vault.json; the key vault is locked');
+  return null;
+}
+
+const vault = loadVault();
+const vaultKey = deriveVaultKey();
+
+// `googleCloud` -> `GOOGLE_CLOUD_API_KEY`, unless the provider names its own variable
+function envKeyName(service) {
+  const provider = providers[service];
+  if (provider && provider.envKey) {
+    return provider.envKey;
+  }
+  return service.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/-/g, '_').toUpperCase() + '_API_KEY';
+}
+
+function keySource(service) {
+  if (vault.keys[service] && vaultKey) {
+    return 'vault';
+  }
+  if (process.env[envKeyName(service)]) {
+    return 'env';
+  }
+  return null;
+}
+
+function resolveApiKey(service) {
+  switch(keySource(service)) {
+    case 'vault':
+      return decryptSecret(vault.keys[service], vaultKey);
+    case 'env':
+      return process.env[envKeyName(service)];
+    default:
+      return undefined;
+  }
+}
+
+function isValidServiceName(service) {
+  return /^[\w-]+$/.test(service);
+}
+
+function vaultStatus(service) {
+  const provider = providers[service];
+  const entry = vault.keys[service];
+  return {
+    service,
+    name: provider ? provider.name : EXTRA_VAULT_SERVICES[service] || service,
+    source: keySource(service),
+    envKey: envKeyName(service),
+    stored: Boolean(entry),
+    updatedAt: entry ? entry.updatedAt : null,
+    test: keyTests[service] || null
+  };
+}
+
+app.get('/api/vault', (req, res) => {
+  const services = Object.values(providers)
+    .filter(provider => provider.auth !== 'none')
+    .map(provider => provider.id)
+    .concat(Object.keys(EXTRA_VAULT_SERVICES), Object.keys(vault.keys));
+  
+  res.json({
+    success: true,
+    unlocked: Boolean(vaultKey),
+    keys: [...new Set(services)].map(vaultStatus)
+  });
+});
+
+// Add (POST) or rotate (PUT) a key
+function storeKey(req, res, rotate) {
+  const { service } = req.params;
+  const { key } = req.body;
+  
+  if (!isValidServiceName(service) || typeof key !== 'string' || !key.trim()) {
+    return res.status(400).json({ error: 'Service name and key required' });
+  }
+  if (!vaultKey) {
+    return res.status(503).json({ error: 'Key vault is locked; set VAULT_PASSPHRASE on the server' });
+  }
+  if (rotate && !vault.keys[service]) {
+    return res.status(404).json({ error: 'No key stored for ' + service });
+  }
+  if (!rotate && vault.keys[service]) {
+    return res.status(409).json({ error: 'A key is already stored for ' + service + '; rotate it instead' });
+  }
+  
+  vault.keys[service] = {
+    ...encryptSecret(key.trim(), vaultKey),
+    createdAt: rotate ? vault.keys[service].createdAt : new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  delete keyTests[service];
+  saveVault();
+  res.json({ success: true, key: vaultStatus(service) });
+}
+
+app.post('/api/vault/:service', (req, res) => storeKey(req, res, false));
+
+app.put('/api/vault/:service', (req, res) => storeKey(req, res, true));
+
+// Make a minimal gateway call with the stored key and remember the outcome
+app.post('/api/vault/:service/test', async (req, res) => {
+  const { service } = req.params;
+  const provider = providers[service];
+  
+  if (!provider) {
+    return res.status(400).json({ error: 'No AI provider to test ' + service + ' against' });
+  }
+  if (provider.auth !== 'none' && !keySource(service)) {
+    return res.status(404).json({ error: 'No key configured for ' + service });
+  }
+  
+  try {
+    await callProvider(provider, resolveApiKey(service), [{ role: 'user', content: 'Reply with OK.' }]);
+    keyTests[service] = { ok: true, testedAt: new Date().toISOString() };
+  } catch (error) {
+    keyTests[service] = { ok: false, error: error.message, testedAt: new Date().toISOString() };
+  }
+  res.json({ success: true, key: vaultStatus(service) });
+});
+
+app.delete('/api/vault/:service', (req, res) => {
+  const { service } = req.params;
+  
+  if (!vault.keys[service]) {
+    const envKey = isValidServiceName(service) ? envKeyName(service) : null;
+    if (envKey && process.env[envKey]) {
+      return res.status(400).json({ error: `Key for ${service} comes from ${envKey}; remove it from the server environment` });
+    }
+    return res.status(404).json({ error: 'No key stored for ' + service });
+  }
+  
+  delete vault.keys[service];
+  delete keyTests[service];
+  saveVault();
+  res.json({ success: true, key: vaultStatus(service) });
+});
+
+// Conversation threads, stored one JSON file per thread
+const THREADS_DIR = path.join(DATA_DIR, 'threads');
+
+function threadPath(id) {
+  // Thread ids are generated server-side; reject anything else to prevent traversal
+  if (!/^[\w-]+$/.test(id)) {
+    return null;
+  }
+  return path.join(THREADS_DIR, id + '.json');
+}
+
+// Threads may be saved empty, before the first message is sent
+function isValidHistory(messages) {
+  return Array.isArray(messages) && (messages.length === 0 || normalizeMessages({ messages }) !== null);
+}
+
+function readThread(id) {
+  const filePath = threadPath(id);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function writeThread(thread) {
+  if (!fs.existsSync(THREADS_DIR)) {
+    fs.mkdirSync(THREADS_DIR, { recursive: true, mode: 0o755 });
+  }
+  fs.writeFileSync(threadPath(thread.id), JSON.stringify(thread, null, 2), 'utf8');
+}
+
+app.get('/api/threads', (req, res) => {
+  if (!fs.existsSync(THREADS_DIR)) {
+    return res.json({ success: true, threads: [] });
+  }
+  const threads = fs.readdirSync(THREADS_DIR)
+    .filter(name => name.endsWith('.json'))
+    .map(name => readThread(path.basename(name, '.json')))
+    .map(({ id, name, service, createdAt, updatedAt, messages }) => ({
+      id, name, service, createdAt, updatedAt, messageCount: messages.length
+    }))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  res.json({ success: true, threads });
+});
+
+app.get('/api/threads/:id', (req, res) => {
+  const thread = readThread(req.params.id);
+  if (thread) {
+    res.json({ success: true, thread });
+  } else {
+    res.status(404).json({ error: 'Thread not found' });
+  }
+});
+
+app.post('/api/threads', (req, res) => {
+  const { name, service, messages = [] } = req.body;
+  if (!isValidHistory(messages)) {
+    return res.status(400).json({ error: 'Invalid messages' });
+  }
+  
+  const now = new Date().toISOString();
+  const thread = {
+    id: crypto.randomUUID(),
+    name: name || 'New conversation',
+    service,
+    createdAt: now,
+    updatedAt: now,
+    messages
+  };
+  writeThread(thread);
+  res.json({ success: true, thread });
+});
+
+app.put('/api/threads/:id', (req, res) => {
+  const thread = readThread(req.params.id);
+  if (!thread) {
+    return res.status(404).json({ error: 'Thread not found' });
+  }
+  
+  const { name, service, messages } = req.body;
+  if (messages !== undefined && !isValidHistory(messages)) {
+    return res.status(400).json({ error: 'Invalid messages' });
+  }
+  
+  if (name !== undefined) thread.name = name;
+  if (service !== undefined) thread.service = service;
+  if (messages !== undefined) thread.messages = messages;
+  thread.updatedAt = new Date().toISOString();
+  writeThread(thread);
+  res.json({ success: true, thread });
+});
+
+app.delete('/api/threads/:id', (req, res) => {
+  const filePath = threadPath(req.params.id);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Thread not found' });
+  }
+  fs.unlinkSync(filePath);
+  res.json({ success: true, id: req.params.id });
+});
+
+// Notebook kernels
+//
+// Node.js and Python notebook cells run in child processes (see kernels/), one per
+// notebook session and language, so each open notebook keeps its own state. Requests go
+// to a kernel's stdin and its replies come back as JSON lines on fd 3. Each execution
+// streams its output to the browser as Server-Sent Events. Cells run one at a time per
+// kernel, under a time limit and a memory limit; a kernel that ignores an interrupt is
+// killed, and the next cell starts a fresh one.
+const KERNELS_DIR = path.join(__dirname, 'kernels');
+const KERNEL_TIMEOUT = Number(process.env.NOTEBOOK_TIMEOUT || 60) * 1000;
+const KERNEL_MEMORY_MB = Number(process.env.NOTEBOOK_MEMORY_MB || 512);
+const KERNEL_INTERRUPT_GRACE = 2000;
+const KERNEL_IDLE_TIMEOUT = 30 * 60 * 1000;
+const KERNEL_MAX_OUTPUT = 1024 * 1024; // characters streamed per execution
+
+const KERNEL_LANGUAGES = {
+  node: {
+    name: 'Node.js',
+    command: process.execPath,
+    args: [`--max-old-space-size=${KERNEL_MEMORY_MB}`, path.join(KERNELS_DIR, 'node-kernel.js')]
+  },
+  python: {
+    name: 'Python',
+    command: process.env.NOTEBOOK_PYTHON || (process.platform === 'win32' ? 'python' : 'python3'),
+    args: ['-u', path.join(KERNELS_DIR, 'python-kernel.py')]
+  }
+};
+
+// NOTEBOOK_KERNELS lists the languages to offer; server kernels are off unless it is set
+const ENABLED_KERNELS = (process.env.NOTEBOOK_KERNELS || '')
+  .split(',')
+  .map(language => language.trim())
+  .filter(language => KERNEL_LANGUAGES[language]);
+
+// "<session>/<language>" → { language, child, queue, running, count, lastUsed, exitReason }
+const kernels = new Map();
+
+function isValidSession(session) {
+  return typeof session === 'string' && /^[\w-]{8,64}$/.test(session);
+}
+
+// Kernels get the server's environment without the vault passphrase and *_API_KEY
+// variables. This only keeps secrets out of `process.env`: kernels run as the server's
+// user and can still read .env, data/vault.json and anything else the server can.
+function kernelEnvironment() {
+  const env = {};
+  Object.entries(process.env).forEach(([name, value]) => {
+    if (name !== 'VAULT_PASSPHRASE' && !/_API_KEY$/.test(name)) {
+      env[name] = value;
+    }
+  });
+  env.KERNEL_MEMORY_MB = String(KERNEL_MEMORY_MB);
+  env.PYTHONIOENCODING = 'utf-8';
+  return env;
+}
+
+// Start a kernel in the project folder, so cells can read the project's files
+function startKernel(key, language, project) {
+  const spec = KERNEL_LANGUAGES[language];
+  const child = spawn(spec.command, spec.args, {
+    cwd: ensureProject(project),
+    env: kernelEnvironment(),
+    stdio: ['pipe', 'pipe', 'pipe', 'pipe']
+  });
+  const kernel = { key, language, child, queue: [], running: null, count: 0, lastUsed: Date.now(), exitReason: null };
+  kernels.set(key, kernel);
+  
+  readLines(child.stdio[3], (line) => {
+    if (!line.trim()) return;
+    let reply;
+    try {
+      reply = JSON.parse(line);
+    } catch (error) {
+      // Report the bad line on the running cell and keep reading, so later replies still arrive
+      if (kernel.running) {
+        sendSSE(kernel.running.res, 'error', {
+          name: 'KernelError',
+          message: `Unreadable kernel reply: ${error.message}`,
+          traceback: line.slice(0, 1000)
+        });
+      }
+      return;
+    }
+    handleKernelReply(kernel, reply);
+  }).catch(() => {});
+  
+  // Output that bypasses the kernel's capture, e.g. from subprocesses or native code
+  ['stdout', 'stderr'].forEach(name => {
+    child[name].setEncoding('utf8');
+    child[name].on('data', (text) => {
+      if (kernel.running) {
+        sendKernelOutput(kernel.running, name, text);
+      }
+    });
+  });
+  
+  let closed = false;
+  const onClose = (reason) => {
+    if (closed) return;
+    closed = true;
+    if (kernels.get(key) === kernel) {
+      kernels.delete(key);
+    }
+    [kernel.running].concat(kernel.queue).filter(Boolean).forEach(execution => {
+      clearTimeout(execution.timer);
+      sendSSE(execution.res, 'error', { name: 'KernelError', message: kernel.exitReason || reason });
+      endExecution(execution, 'dead');
+    });
+    kernel.running = null;
+    kernel.queue = [];
+  };
+  child.on('error', (error) => onClose(`Could not start ${spec.name}: ${error.message}`));
+  child.on('exit', (code, signal) => onClose(`${spec.name} kernel exited (${signal || 'code ' + code}); its state is lost`));
+  child.stdin.on('error', () => {});
+  return kernel;
+}
+
+function sendKernelOutput(execution, name, text) {
+  if (execution.output >= KERNEL_MAX_OUTPUT) return;
+  execution.output += text.length;
+  if (execution.output >= KERNEL_MAX_OUTPUT) {
+    text = text.slice(0, KERNEL_MAX_OUTPUT - (execution.output - text.length)) + '\n[output truncated]\n';
+  }
+  sendSSE(execution.res, 'stream', { name, text });
+}
+
+function endExecution(execution, status) {
+  if (execution.res.writableEnded) return;
+  sendSSE(execution.res, 'done', { status, count: execution.count });
+  execution.res.end();
+}
+
+function handleKernelReply(kernel, reply) {
+  const execution = kernel.running;
+  // Output from timers of a cell that has already finished has nowhere to go
+  if (!execution || reply.id !== execution.id) return;
+  
+  if (reply.type === 'stream') {
+    sendKernelOutput(execution, reply.name, reply.text);
+  } else if (reply.type === 'result' || reply.type === 'display') {
+    sendSSE(execution.res, reply.type, { data: reply.data });
+  } else if (reply.type === 'error') {
+    const { name, message, traceback, line } = reply;
+    sendSSE(execution.res, 'error', { name, message, traceback, line });
+  } else if (reply.type === 'done') {
+    clearTimeout(execution.timer);
+    kernel.running = null;
+    endExecution(execution, reply.status === 'interrupted' && execution.stopReason ? execution.stopReason : reply.status);
+    runNextCell(kernel);
+  }
+}
+
+function runNextCell(kernel) {
+  if (kernel.running || !kernel.queue.length) return;
+  
+  const execution = kernel.queue.shift();
+  execution.count = ++kernel.count;
+  kernel.running = execution;
+  kernel.lastUsed = Date.now();
+  kernel.child.stdin.write(JSON.stringify({ id: execution.id, code: execution.code }) + '\n');
+  execution.timer = setTimeout(() => interruptKernel(kernel, 'timeout'), KERNEL_TIMEOUT);
+}
+
+// SIGINT the running cell (`reason` is interrupted or timeout); kill the kernel if it
+// has not stopped after the grace period
+function interruptKernel(kernel, reason) {
+  const execution = kernel.running;
+  if (!execution || execution.stopReason) return false;
+  
+  execution.stopReason = reason;
+  if (reason === 'timeout') {
+    sendKernelOutput(execution, 'stderr', `Cell timed out after ${KERNEL_TIMEOUT / 1000}s\n`);
+  }
+  kernel.child.kill('SIGINT');
+  execution.timer = setTimeout(() => {
+    if (kernel.running === execution) {
+      stopKernel(kernel, 'The cell did not stop when interrupted, so the kernel was restarted');
+    }
+  }, KERNEL_INTERRUPT_GRACE);
+  return true;
+}
+
+function stopKernel(kernel, reason) {
+  kernel.exitReason = reason;
+  kernel.child.kill('SIGKILL');
+}
+
+// Look up the session's kernel for a request, replying 400 when the session or
+// language is not valid
+function kernelTarget(req, res) {
+  const { session, language } = req.params;
+  if (!isValidSession(session)) {
+    res.status(400).json({ error: 'Invalid session' });
+    return null;
+  }
+  if (!ENABLED_KERNELS.includes(language)) {
+    res.status(400).json({ error: 'Unknown kernel: ' + language });
+    return null;
+  }
+  const key = `${session}/${language}`;
+  return { key, language, kernel: kernels.get(key) };
+}
+
+// Shut down kernels nobody has used for a while
+setInterval(() => {
+  kernels.forEach(kernel => {
+    if (!kernel.running && Date.now() - kernel.lastUsed > KERNEL_IDLE_TIMEOUT) {
+      stopKernel(kernel, 'Kernel shut down after being idle');
+    }
+  });
+}, 60 * 1000).unref();
+
+app.get('/api/kernels', (req, res) => {
+  res.json({
+    success: true,
+    kernels: ENABLED_KERNELS.map(language => ({ language, name: KERNEL_LANGUAGES[language].name })),
+    timeout: KERNEL_TIMEOUT / 1000,
+    memoryMB: KERNEL_MEMORY_MB
+  });
+});
+
+// Run a cell ({ code, project }). The kernel starts on first use, in the project's folder.
+// Responds with Server-Sent Events: `stream` ({ name: stdout|stderr, text }), `display`
+// and `result` ({ data: mime bundle }), `error` ({ name, message, traceback, line }) and
+// finally `done` ({ status: ok | error | interrupted | timeout | dead, count }).
+app.post('/api/kernels/:session/:language/execute', (req, res) => {
+  const target = kernelTarget(req, res);
+  if (!target) return;
+  const { code, project = DEFAULT_PROJECT } = req.body;
+  if (typeof code !== 'string') {
+    return res.status(400).json({ error: 'Code required' });
+  }
+  if (!isValidProjectName(project)) {
+    return res.status(400).json({ error: 'Invalid project name' });
+  }
+  
+  const kernel = target.kernel || startKernel(target.key, target.language, project);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  const execution = { id: crypto.randomUUID(), code, res, output: 0, count: null, stopReason: null };
+  kernel.queue.push(execution);
+  kernel.lastUsed = Date.now();
+  
+  // A browser that stops listening cancels a queued cell and interrupts a running one
+  res.on('close', () => {
+    if (res.writableEnded) return;
+    if (kernel.running === execution) {
+      interruptKernel(kernel, 'interrupted');
+    } else {
+      kernel.queue = kernel.queue.filter(queued => queued !== execution);
+    }
+  });
+  
+  runNextCell(kernel);
+});
+
+app.post('/api/kernels/:session/:language/interrupt', (req, res) => {
+  const target = kernelTarget(req, res);
+  if (!target) return;
+  res.json({ success: true, interrupted: target.kernel ? interruptKernel(target.kernel, 'interrupted') : false });
+});
+
+// Kill the kernel and everything it holds; the next cell starts a fresh one
+app.post('/api/kernels/:session/:language/restart', (req, res) => {
+  const target = kernelTarget(req, res);
+  if (!target) return;
+  if (target.kernel) {
+    kernels.delete(target.key);
+    stopKernel(target.kernel, 'Kernel restarted');
+  }
+  res.json({ success: true });
+});
+
+// Shut down every kernel of a session, e.g. when the page closes
+app.delete('/api/kernels/:session', (req, res) => {
+  if (!isValidSession(req.params.session)) {
+    return res.status(400).json({ error: 'Invalid session' });
+  }
+  kernels.forEach((kernel, key) => {
+    if (key.startsWith(req.params.session + '/')) {
+      kernels.delete(key);
+      stopKernel(kernel, 'Kernel shut down');
+    }
+  });
+  res.json({ success: true });
+});
+
+// Data store for dynamic data sheets and databanks
+//
+// Both live in data/store.log (see storage.js) and survive restarts. When the stored
+// layout changes, add a migration here; pending migrations run once at startup and
+// on restored backups.
+const STORE_FILE = path.join(DATA_DIR, 'store.log');
+const BACKUPS_DIR = path.join(DATA_DIR, 'backups');
+const STORE_MIGRATIONS = [
+  // 1: `datasheets` (sheet id → rows) and `databank` (key → value)
+  { version: 1, migrate: () => {} },
+  // 2: sheets become { data, createdAt, updatedAt }
+  {
+    version: 2,
+    migrate: (collections) => {
+      const now = new Date().toISOString();
+      (collections.get('datasheets') || new Map()).forEach((data, id, sheets) => {
+        sheets.set(id, { data, createdAt: now, updatedAt: now });
+      });
+    }
+  },
+  // 3: databank keys move into the "default" namespace ("default/<key>") and entries
+  // become { value, createdAt, updatedAt, expiresAt? }
+  {
+    version: 3,
+    migrate: (collections) => {
+      const now = new Date().toISOString();
+      const entries = new Map();
+      (collections.get('databank') || new Map()).forEach((value, key) => {
+        entries.set(`default/${key}`, { value, createdAt: now, updatedAt: now });
+      });
+      collections.set('databank', entries);
+    }
+  }
+];
+
+// Restored backups must match the current layout; the message names the first bad entry
+function isTimestamp(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+function isRecord(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateStoreLayout(collections) {
+  (collections.get('datasheets') || new Map()).forEach((sheet, id) => {
+    if (!isRecord(sheet) || sheet.data === undefined || !isTimestamp(sheet.createdAt) || !isTimestamp(sheet.updatedAt)) {
+      throw new Error(`Sheet "${id}" must be { data, createdAt, updatedAt }`);
+    }
+    if (sheet.schema !== undefined && sheet.schema !== null && !isRecord(sheet.schema)) {
+      throw new Error(`Sheet "${id}" has a schema that is not an object`);
+    }
+  });
+  (collections.get('databank') || new Map()).forEach((entry, id) => {
+    if (!/^[^/]+\/./.test(id)) {
+      throw new Error(`Databank entry "${id}" must be named "<namespace>/<key>"`);
+    }
+    if (!isRecord(entry) || !('value' in entry) || !isTimestamp(entry.createdAt) || !isTimestamp(entry.updatedAt) ||
+        (entry.expiresAt !== undefined && !isTimestamp(entry.expiresAt))) {
+      throw new Error(`Databank entry "${id}" must be { value, createdAt, updatedAt, expiresAt? }`);
+    }
+  });
+}
+
+const store = openStore(STORE_FILE, STORE_MIGRATIONS, validateStoreLayout);
+
+function isValidKey(key) {
+  return typeof key === 'string' && key.length > 0;
+}
+
+// Sheet schemas
+// A sheet may carry a JSON Schema. Saves are validated against it and rejected with
+// one entry per problem, located by a JSON path such as $[3].price.
+const SCHEMA_MAX_ERRORS = 200;
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+// Throws with a readable message when the schema itself is invalid
+function compileSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('Schema must be a JSON object');
+  }
+  try {
+    return ajv.compile(schema);
+  } finally {
+    // Schemas with an $id would otherwise clash with the next compile of the same sheet
+    ajv.removeSchema(schema);
+  }
+}
+
+// JSON pointer ("/0/name") → path segments ([0, "name"]); indices are numbers
+// wherever the data has an array, so "/0" under an object stays the key "0"
+function pointerSegments(pointer, data) {
+  const segments = [];
+  let node = data;
+  pointer.split('/').slice(1).forEach(part => {
+    const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+    segments.push(Array.isArray(node) ? Number(key) : key);
+    node = node !== null && typeof node === 'object' ? node[key] : undefined;
+  });
+  return segments;
+}
+
+function jsonPath(segments) {
+  return '$' + segments.map(segment => {
+    if (typeof segment === 'number') return `[${segment}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(segment) ? `.${segment}` : `[${JSON.stringify(segment)}]`;
+  }).join('');
+}
+
+// Problems with `data` under `schema`: [{ path, segments, keyword, message }]
+function schemaErrors(schema, data) {
+  const validate = compileSchema(schema);
+  if (validate(data)) {
+    return [];
+  }
+  return validate.errors.slice(0, SCHEMA_MAX_ERRORS).map(error => {
+    const segments = pointerSegments(error.instancePath, data);
+    // Point at the offending property rather than the object that holds it
+    if (error.keyword === 'required') segments.push(error.params.missingProperty);
+    if (error.keyword === 'additionalProperties') segments.push(error.params.additionalProperty);
+    return { path: jsonPath(segments), segments, keyword: error.keyword, message: error.message };
+  });
+}
+
+// Validate a save and send the error response if it fails. The schema is the one in
+// the request body when given (null removes it), otherwise the sheet's current one.
+// Returns the schema to store, or undefined after responding.
+function checkSheet(res, body, existing) {
+  const schema = 'schema' in body ? body.schema : existing && existing.schema;
+  if (schema === undefined || schema === null) {
+    return null;
+  }
+  
+  let errors;
+  try {
+    errors = schemaErrors(schema, body.data);
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid schema: ' + error.message });
+    return undefined;
+  }
+  if (errors.length) {
+    res.status(422).json({ error: 'Data does not match the sheet schema', errors });
+    return undefined;
+  }
+  return schema;
+}
+
+// Data sheet endpoints
+const SHEET_PAGE_SIZE = 50;
+
+// List entry for a sheet: metadata without the data itself
+function sheetSummary(id, sheet) {
+  return {
+    id,
+    createdAt: sheet.createdAt,
+    updatedAt: sheet.updatedAt,
+    hasSchema: Boolean(sheet.schema),
+    rows: Array.isArray(sheet.data) ? sheet.data.length : null,
+    size: Buffer.byteLength(JSON.stringify(sheet.data) || '')
+  };
+}
+
+// Create or replace a sheet, keeping its creation time
+function saveSheet(id, data, schema) {
+  const existing = store.get('datasheets', id);
+  const now = new Date().toISOString();
+  const sheet = {
+    data,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+  if (schema) {
+    sheet.schema = schema;
+  }
+  return store.set('datasheets', id, sheet);
+}
+
+// First free id of the form "<id> copy", "<id> copy 2", ...
+function copyId(id) {
+  let candidate = `${id} copy`;
+  for (let n = 2; store.has('datasheets', candidate); n++) {
+    candidate = `${id} copy ${n}`;
+  }
+  return candidate;
+}
+
+// List sheets, most recently updated first (?offset=&limit=&search=)
+app.get('/api/datasheets', (req, res) => {
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SHEET_PAGE_SIZE, 1), 500);
+  const search = (req.query.search || '').toLowerCase();
+  
+  const sheets = Object.entries(store.entries('datasheets'))
+    .filter(([id]) => !search || id.toLowerCase().includes(search))
+    .map(([id, sheet]) => sheetSummary(id, sheet))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  
+  res.json({ success: true, sheets: sheets.slice(offset, offset + limit), total: sheets.length, offset, limit });
+});
+
+app.get('/api/datasheet/:id', (req, res) => {
+  const sheet = store.get('datasheets', req.params.id);
+  if (sheet !== undefined) {
+    res.json({ success: true, data: sheet.data, schema: sheet.schema || null, sheet: sheetSummary(req.params.id, sheet) });
+  } else {
+    res.status(404).json({ error: 'Data sheet not found' });
+  }
+});
+
+// Create or replace a sheet ({ id, data, schema? }); 422 with `errors` when the data
+// does not match the schema
+app.post('/api/datasheet', (req, res) => {
+  const { id, data } = req.body;
+  if (!isValidKey(id)) {
+    return res.status(400).json({ error: 'Sheet ID required' });
+  }
+  const schema = checkSheet(res, req.body, store.get('datasheets', id));
+  if (schema === undefined) return;
+  
+  const sheet = saveSheet(id, data, schema);
+  res.json({ success: true, id, sheet: sheetSummary(id, sheet) });
+});
+
+app.put('/api/datasheet/:id', (req, res) => {
+  const { data } = req.body;
+  const schema = checkSheet(res, req.body, store.get('datasheets', req.params.id));
+  if (schema === undefined) return;
+  
+  const sheet = saveSheet(req.params.id, data, schema);
+  res.json({ success: true, id: req.params.id, sheet: sheetSummary(req.params.id, sheet) });
+});
+
+app.delete('/api/datasheet/:id', (req, res) => {
+  if (!store.delete('datasheets', req.params.id)) {
+    return res.status(404).json({ error: 'Data sheet not found' });
+  }
+  res.json({ success: true, id: req.params.id });
+});
+
+// Rename a sheet ({ id: newId })
+app.post('/api/datasheet/:id/rename', (req, res) => {
+  const sheet = store.get('datasheets', req.params.id);
+  const { id } = req.body;
+  if (sheet === undefined) {
+    return res.status(404).json({ error: 'Data sheet not found' });
+  }
+  if (!isValidKey(id)) {
+    return res.status(400).json({ error: 'New sheet ID required' });
+  }
+  if (store.has('datasheets', id)) {
+    return res.status(409).json({ error: 'A data sheet with that ID already exists' });
+  }
+  
+  store.set('datasheets', id, Object.assign({}, sheet, { updatedAt: new Date().toISOString() }));
+  store.delete('datasheets', req.params.id);
+  res.json({ success: true, id, sheet: sheetSummary(id, store.get('datasheets', id)) });
+});
+
+// Copy a sheet ({ id } optional; defaults to "<id> copy")
+app.post('/api/datasheet/:id/duplicate', (req, res) => {
+  const sheet = store.get('datasheets', req.params.id);
+  if (sheet === undefined) {
+    return res.status(404).json({ error: 'Data sheet not found' });
+  }
+  const id = req.body.id || copyId(req.params.id);
+  if (!isValidKey(id)) {
+    return res.status(400).json({ error: 'Invalid sheet ID' });
+  }
+  if (store.has('datasheets', id)) {
+    return res.status(409).json({ error: 'A data sheet with that ID already exists' });
+  }
+  
+  const now = new Date().toISOString();
+  const copy = store.set('datasheets', id, Object.assign({}, sheet, { createdAt: now, updatedAt: now }));
+  res.json({ success: true, id, sheet: sheetSummary(id, copy) });
+});
+
+// Data sheet import and export
+// Imports turn CSV, TSV and XLSX files into sheets of row objects, typing each column
+// as numbers, booleans or dates when every value in it fits. Exports write a sheet back
+// out as CSV, TSV, XLSX, JSON or NDJSON.
+const IMPORT_FORMATS = { csv: 'csv', tsv: 'tsv', tab: 'tsv', xlsx: 'xlsx', xls: 'xlsx' };
+const EXPORT_TYPES = {
+  csv: 'text/csv',
+  tsv: 'text/tab-separated-values',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json',
+  ndjson: 'application/x-ndjson'
+};
+
+const NUMBER_PATTERN = /^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/;
+const GROUPED_NUMBER_PATTERN = /^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/;
+const BOOLEAN_PATTERN = /^(true|false)$/i;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const SLASH_DATE_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+
+// Split delimited text into rows of cells. "Quoted" cells may contain the delimiter,
+// newlines and doubled "" quotes.
+function parseDelimited(text, delimiter) {
+  const rows = [[]];
+  let cell = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      rows[rows.length - 1].push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      rows[rows.length - 1].push(cell);
+      cell = '';
+      rows.push([]);
+    } else {
+      cell += ch;
+    }
+  }
+  rows[rows.length - 1].push(cell);
+  return rows;
+}
+
+// CSV files saved with a comma decimal separator use semicolons between cells
+function csvDelimiter(text) {
+  const firstLine = text.split('\n', 1)[0];
+  return firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+}
+
+function readDelimitedTable(filePath, format) {
+  const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+  return parseDelimited(text, format === 'tsv' ? '\t' : csvDelimiter(text));
+}
+
+// Rows of cells from one worksheet; cells keep their spreadsheet types (dates as Date)
+function readWorkbookTable(filePath, worksheetName) {
+  const workbook = XLSX.readFile(filePath, { cellDates: true });
+  const name = worksheetName || workbook.SheetNames[0];
+  const worksheet = workbook.Sheets[name];
+  if (!worksheet) {
+    throw new Error(`No worksheet named "${name}"`);
+  }
+  return {
+    table: XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: null, raw: true }),
+    worksheet: name,
+    worksheets: workbook.SheetNames
+  };
+}
+
+function isEmptyCell(value) {
+  return value === null || value === undefined || (typeof value === 'string' && !value.trim());
+}
+
+// Leading zeros (ZIP codes, IDs) keep a value as text
+function isNumberCell(value) {
+  if (typeof value === 'number') return true;
+  if (typeof value !== 'string') return false;
+  const text = value.trim();
+  return !/^[-+]?0\d/.test(text) && (NUMBER_PATTERN.test(text) || GROUPED_NUMBER_PATTERN.test(text));
+}
+
+function isBooleanCell(value) {
+  return typeof value === 'boolean' || (typeof value === 'string' && BOOLEAN_PATTERN.test(value.trim()));
+}
+
+function isDateCell(value) {
+  if (value instanceof Date) return !isNaN(value);
+  return typeof value === 'string' && ISO_DATE_PATTERN.test(value.trim()) && !isNaN(Date.parse(value.trim()));
+}
+
+function pad2(number) {
+  return String(number).padStart(2, '0');
+}
+
+// Spreadsheet dates carry no time zone, so keep the wall-clock value as ISO text
+function formatDate(date) {
+  const day = `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+  if (!date.getHours() && !date.getMinutes() && !date.getSeconds()) {
+    return day;
+  }
+  return `${day}T${pad2(date.getHours())}:${pad2(date.getMinutes())}:${pad2(date.getSeconds())}`;
+}
+
+// Column type from its non-empty values: number, boolean, date, mdy/dmy (slash dates,
+// month first unless a value only makes sense day first) or string
+function inferColumnType(values) {
+  const present = values.filter(value => !isEmptyCell(value));
+  if (!present.length) return 'string';
+  if (present.every(isNumberCell)) return 'number';
+  if (present.every(isBooleanCell)) return 'boolean';
+  if (present.every(isDateCell)) return 'date';
+  
+  const parts = present.map(value => typeof value === 'string' && value.trim().match(SLASH_DATE_PATTERN));
+  if (parts.every(Boolean)) {
+    const valid = (month, day) => month >= 1 && month <= 12 && day >= 1 && day <= 31;
+    if (parts.every(([, a, b]) => valid(Number(a), Number(b)))) return 'mdy';
+    if (parts.every(([, a, b]) => valid(Number(b), Number(a)))) return 'dmy';
+  }
+  return 'string';
+}
+
+function convertCell(value, type) {
+  if (isEmptyCell(value)) return null;
+  const text = typeof value === 'string' ? value.trim() : value;
+  
+  switch (type) {
+    case 'number':
+      return typeof value === 'number' ? value : Number(text.replace(/,/g, ''));
+    case 'boolean':
+      return typeof value === 'boolean' ? value : text.toLowerCase() === 'true';
+    case 'date':
+      return value instanceof Date ? formatDate(value) : text.replace(' ', 'T');
+    case 'mdy':
+    case 'dmy': {
+      const [, a, b, year] = text.match(SLASH_DATE_PATTERN);
+      const [month, day] = type === 'mdy' ? [a, b] : [b, a];
+      return `${year}-${pad2(month)}-${pad2(day)}`;
+    }
+    default:
+      // Mixed columns keep each value as the file had it
+      return value instanceof Date ? formatDate(value) : value;
+  }
+}
+
+// A first row of distinct, non-empty text that does not look like data is a header
+function looksLikeHeader(row) {
+  const names = row.map(cell => (typeof cell === 'string' ? cell.trim() : ''));
+  return names.every(Boolean) && new Set(names).size === names.length &&
+    !row.some(cell => isNumberCell(cell) || isBooleanCell(cell) || isDateCell(cell) || SLASH_DATE_PATTERN.test(cell.trim()));
+}
+
+// Rows of cells → { rows: [{ column: value }], columns: [{ name, type }], header }
+// `header` is 'auto', 'yes' or 'no'; without a header columns are column1, column2, ...
+function tableToSheet(table, header) {
+  const body = table.filter(row => row.some(cell => !isEmptyCell(cell)));
+  // Trailing delimiters and formatted-but-empty spreadsheet cells add empty columns
+  const width = body.reduce((max, row) => {
+    let last = row.length;
+    while (last > 0 && isEmptyCell(row[last - 1])) last--;
+    return Math.max(max, last);
+  }, 0);
+  const cells = body.map(row => Array.from({ length: width }, (v, col) => (row[col] === undefined ? null : row[col])));
+  
+  const hasHeader = header === 'auto' ? cells.length > 0 && looksLikeHeader(cells[0]) : header === 'yes';
+  const names = [];
+  for (let col = 0; col < width; col++) {
+    const base = (hasHeader && !isEmptyCell(cells[0][col]) && String(cells[0][col]).trim()) || `column${col + 1}`;
+    let name = base;
+    for (let n = 2; names.includes(name); n++) {
+      name = `${base}_${n}`;
+    }
+    names.push(name);
+  }
+  
+  const records = hasHeader ? cells.slice(1) : cells;
+  const types = names.map((name, col) => inferColumnType(records.map(row => row[col])));
+  const rows = records.map(row => {
+    const record = {};
+    names.forEach((name, col) => {
+      // Defined rather than assigned, so a "__proto__" column is kept as data
+      Object.defineProperty(record, name, {
+        value: convertCell(row[col], types[col]),
+        enumerable: true,
+        writable: true,
+        configurable: true
+      });
+    });
+    return record;
+  });
+  
+  return {
+    rows,
+    columns: names.map((name, col) => ({ name, type: types[col] === 'mdy' || types[col] === 'dmy' ? 'date' : types[col] })),
+    header: hasHeader
+  };
+}
+
+// Sheet data as rows of cells for tabular formats: arrays of objects get a header row
+// with every key, arrays of arrays are used as they are. Anything else is not a table.
+function sheetTable(data) {
+  if (!Array.isArray(data)) return null;
+  if (data.every(Array.isArray)) return data;
+  if (!data.every(row => row !== null && typeof row === 'object' && !Array.isArray(row))) return null;
+  
+  const columns = [];
+  data.forEach(row => Object.keys(row).forEach(key => {
+    if (!columns.includes(key)) columns.push(key);
+  }));
+  return [columns].concat(data.map(row => columns.map(column => row[column])));
+}
+
+function delimitedCell(value, delimiter) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function xlsxCell(value) {
+  if (value === undefined) return null;
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+// Worksheet names are limited to 31 characters and cannot contain : \ / ? * [ ]
+function worksheetName(id) {
+  return id.replace(/[:\\/?*[\]]/g, '_').slice(0, 31) || 'Sheet1';
+}
+
+// Import a CSV, TSV or XLSX upload (multipart `file`) as a sheet. Optional fields:
+// `id` (defaults to the file name), `format` (defaults to the extension), `header`
+// (auto | yes | no), `worksheet` (XLSX, defaults to the first) and `overwrite`.
+// The upload is staged in the system temp folder, never in a project, and removed
+// once it has been read.
+const importUpload = multer({ dest: os.tmpdir() });
+
+app.post('/api/datasheets/import', importUpload.single('file'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  
+  try {
+    const extension = path.extname(req.file.originalname);
+    const format = IMPORT_FORMATS[(req.body.format || extension.slice(1)).toLowerCase()];
+    const id = req.body.id || path.basename(req.file.originalname, extension);
+    const header = req.body.header || 'auto';
+    if (!format) {
+      return res.status(400).json({ error: 'Unsupported import format; use csv, tsv or xlsx' });
+    }
+    if (!['auto', 'yes', 'no'].includes(header)) {
+      return res.status(400).json({ error: 'header must be auto, yes or no' });
+    }
+    if (!isValidKey(id)) {
+      return res.status(400).json({ error: 'Sheet ID required' });
+    }
+    const existing = store.get('datasheets', id);
+    if (existing && req.body.overwrite !== 'true') {
+      return res.status(409).json({ error: 'A data sheet with that ID already exists' });
+    }
+    
+    const workbook = format === 'xlsx' ? readWorkbookTable(req.file.path, req.body.worksheet) : null;
+    const table = workbook ? workbook.table : readDelimitedTable(req.file.path, format);
+    const { rows, columns, header: hasHeader } = tableToSheet(table, header);
+    
+    const schema = checkSheet(res, { data: rows }, existing);
+    if (schema === undefined) return;
+    
+    const sheet = saveSheet(id, rows, schema);
+    const result = { success: true, id, columns, header: hasHeader, sheet: sheetSummary(id, sheet) };
+    if (workbook) {
+      result.worksheet = workbook.worksheet;
+      result.worksheets = workbook.worksheets;
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: 'Could not import file: ' + error.message });
+  } finally {
+    fs.unlink(req.file.path, () => {});
+  }
+});
+
+// Download a sheet (?format=csv|tsv|xlsx|json|ndjson, default json). Tabular formats
+// need an array of objects or an array of arrays.
+app.get('/api/datasheet/:id/export', (req, res) => {
+  const { id } = req.params;
+  const sheet = store.get('datasheets', id);
+  const format = (req.query.format || 'json').toLowerCase();
+  if (sheet === undefined) {
+    return res.status(404).json({ error: 'Data sheet not found' });
+  }
+  if (!EXPORT_TYPES[format]) {
+    return res.status(400).json({ error: 'Unsupported export format; use csv, tsv, xlsx, json or ndjson' });
+  }
+  
+  let body;
+  if (format === 'json') {
+    body = JSON.stringify(sheet.data, null, 2) + '\n';
+  } else if (format === 'ndjson') {
+    const records = Array.isArray(sheet.data) ? sheet.data : [sheet.data];
+    body = records.map(record => JSON.stringify(record === undefined ? null : record) + '\n').join('');
+  } else {
+    const table = sheetTable(sheet.data);
+    if (!table) {
+      return res.status(400).json({ error: `Only arrays of objects or arrays can be exported as ${format.toUpperCase()}` });
+    }
+    if (format === 'xlsx') {
+      const workbook = XLSX.utils.book_new();
+      const worksheet = XLSX.utils.aoa_to_sheet(table.map(row => row.map(xlsxCell)));
+      XLSX.utils.book_append_sheet(workbook, worksheet, worksheetName(id));
+      body = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    } else {
+      const delimiter = format === 'tsv' ? '\t' : ',';
+      body = table.map(row => row.map(cell => delimitedCell(cell, delimiter)).join(delimiter) + '\r\n').join('');
+    }
+  }
+  
+  res.attachment(`${id}.${format}`);
+  res.type(EXPORT_TYPES[format]);
+  res.send(body);
+});
+
+// Databank
+// Entries live in the `databank` collection under "<namespace>/<key>" as
+// { value, createdAt, updatedAt, expiresAt? }. Values are any JSON. Expired entries read
+// as missing and are swept every minute. Each route runs synchronously against the
+// in-memory store, so read-modify-write operations (increment, append, compare-and-set)
+// are atomic.
+const DEFAULT_NAMESPACE = 'default';
+const DATABANK_PAGE_SIZE = 50;
+const DATABANK_SWEEP_INTERVAL = 60 * 1000;
+
+function isValidNamespace(namespace) {
+  return typeof namespace === 'string' && /^[\w][\w.-]{0,63}$/.test(namespace);
+}
+
+function databankId(namespace, key) {
+  return `${namespace}/${key}`;
+}
+
+function splitDatabankId(id) {
+  const slash = id.indexOf('/');
+  return { namespace: id.slice(0, slash), key: id.slice(slash + 1) };
+}
+
+function isExpired(entry, now = Date.now()) {
+  return Boolean(entry.expiresAt) && Date.parse(entry.expiresAt) <= now;
+}
+
+// The live entry, or undefined; an expired entry is deleted on the way
+function getDatabankEntry(namespace, key) {
+  const id = databankId(namespace, key);
+  const entry = store.get('databank', id);
+  if (entry && isExpired(entry)) {
+    store.delete('databank', id);
+    return undefined;
+  }
+  return entry;
+}
+
+// `ttl` is seconds until expiry. Without one a plain write clears any expiry, like
+// Redis SET, while in-place updates (`keepExpiry`) keep it.
+function putDatabankEntry(namespace, key, value, ttl, keepExpiry) {
+  const existing = getDatabankEntry(namespace, key);
+  const now = new Date();
+  const entry = {
+    value,
+    createdAt: existing ? existing.createdAt : now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+  if (ttl !== undefined && ttl !== null) {
+    entry.expiresAt = new Date(now.getTime() + ttl * 1000).toISOString();
+  } else if (keepExpiry && existing && existing.expiresAt) {
+    entry.expiresAt = existing.expiresAt;
+  }
+  return store.set('databank', databankId(namespace, key), entry);
+}
+
+function databankEntry(namespace, key, entry) {
+  return Object.assign({ namespace, key }, entry);
+}
+
+function sweepDatabank() {
+  const now = Date.now();
+  store.keys('databank').forEach(id => {
+    if (isExpired(store.get('databank', id), now)) {
+      store.delete('databank', id);
+    }
+  });
+}
+
+setInterval(sweepDatabank, DATABANK_SWEEP_INTERVAL).unref();
+
+// Namespace, key and ttl of a request (namespace from the body or ?namespace=).
+// Sends a 400 and returns null when any of them is invalid.
+function databankTarget(req, res, key) {
+  const namespace = req.body.namespace || req.query.namespace || DEFAULT_NAMESPACE;
+  const { ttl } = req.body;
+  if (!isValidNamespace(namespace)) {
+    res.status(400).json({ error: 'Invalid namespace (letters, digits, _ . - only)' });
+    return null;
+  }
+  if (!isValidKey(key)) {
+    res.status(400).json({ error: 'Key required' });
+    return null;
+  }
+  if (ttl !== undefined && ttl !== null && !(typeof ttl === 'number' && ttl > 0)) {
+    res.status(400).json({ error: 'ttl must be a positive number of seconds' });
+    return null;
+  }
+  return { namespace, key, ttl };
+}
+
+// List entries by namespace then key (?namespace=&prefix=&search=&offset=&limit=).
+// `search` matches entries whose key or value contains every word; `namespaces`
+// counts the live entries in each namespace.
+app.get('/api/databank', (req, res) => {
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DATABANK_PAGE_SIZE, 1), 500);
+  const prefix = req.query.prefix || '';
+  const words = (req.query.search || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const now = Date.now();
+  
+  const counts = new Map();
+  const entries = [];
+  Object.entries(store.entries('databank')).forEach(([id, entry]) => {
+    if (isExpired(entry, now)) return;
+    const { namespace, key } = splitDatabankId(id);
+    counts.set(namespace, (counts.get(namespace) || 0) + 1);
+    
+    if (req.query.namespace && namespace !== req.query.namespace) return;
+    if (!key.startsWith(prefix)) return;
+    if (words.length) {
+      const text = (key + ' ' + JSON.stringify(entry.value)).toLowerCase();
+      if (!words.every(word => text.includes(word))) return;
+    }
+    entries.push(databankEntry(namespace, key, entry));
+  });
+  entries.sort((a, b) => a.namespace.localeCompare(b.namespace) || a.key.localeCompare(b.key));
+  
+  const namespaces = Array.from(counts.keys()).sort().map(namespace => ({ namespace, count: counts.get(namespace) }));
+  res.json({ success: true, entries: entries.slice(offset, offset + limit), total: entries.length, offset, limit, namespaces });
+});
+
+app.get('/api/databank/:key', (req, res) => {
+  const target = databankTarget(req, res, req.params.key);
+  if (!target) return;
+  
+  const entry = getDatabankEntry(target.namespace, target.key);
+  if (entry !== undefined) {
+    res.json({ success: true, value: entry.value, entry: databankEntry(target.namespace, target.key, entry) });
+  } else {
+    res.status(404).json({ error: 'Key not found' });
+  }
+});
+
+// Set a value ({ namespace?, key, value, ttl? })
+app.post('/api/databank', (req, res) => {
+  const target = databankTarget(req, res, req.body.key);
+  if (!target) return;
+  if (req.body.value === undefined) {
+    return res.status(400).json({ error: 'Value required' });
+  }
+  
+  const entry = putDatabankEntry(target.namespace, target.key, req.body.value, target.ttl);
+  res.json({ success: true, key: target.key, entry: databankEntry(target.namespace, target.key, entry) });
+});
+
+app.delete('/api/databank/:key', (req, res) => {
+  const target = databankTarget(req, res, req.params.key);
+  if (!target) return;
+  
+  if (!getDatabankEntry(target.namespace, target.key)) {
+    return res.status(404).json({ error: 'Key not found' });
+  }
+  store.delete('databank', databankId(target.namespace, target.key));
+  res.json({ success: true, key: target.key });
+});
+
+// Add `by` (default 1) to a number; a missing key counts as 0
+app.post('/api/databank/:key/increment', (req, res) => {
+  const target = databankTarget(req, res, req.params.key);
+  if (!target) return;
+  const by = req.body.by === undefined ? 1 : req.body.by;
+  if (typeof by !== 'number' || !isFinite(by)) {
+    return res.status(400).json({ error: 'by must be a number' });
+  }
+  
+  const existing = getDatabankEntry(target.namespace, target.key);
+  const current = existing ? existing.value : 0;
+  if (typeof current !== 'number') {
+    return res.status(409).json({ error: 'Value is not a number', value: current });
+  }
+  const entry = putDatabankEntry(target.namespace, target.key, current + by, target.ttl, true);
+  res.json({ success: true, key: target.key, value: entry.value, entry: databankEntry(target.namespace, target.key, entry) });
+});
+
+// Push `value`, or each of `values`, onto an array; a missing key starts empty
+app.post('/api/databank/:key/append', (req, res) => {
+  const target = databankTarget(req, res, req.params.key);
+  if (!target) return;
+  const { value, values } = req.body;
+  if (values !== undefined ? !Array.isArray(values) : value === undefined) {
+    return res.status(400).json({ error: 'value or an array of values required' });
+  }
+  
+  const existing = getDatabankEntry(target.namespace, target.key);
+  const current = existing ? existing.value : [];
+  if (!Array.isArray(current)) {
+    return res.status(409).json({ error: 'Value is not an array', value: current });
+  }
+  const next = current.concat(values !== undefined ? values : [value]);
+  const entry = putDatabankEntry(target.namespace, target.key, next, target.ttl, true);
+  res.json({ success: true, key: target.key, length: next.length, entry: databankEntry(target.namespace, target.key, entry) });
+});
+
+// Set `value` only if the current value equals `expected`. Leaving `expected` out means
+// the key must not exist yet. On a mismatch, 409 with the current value.
+app.post('/api/databank/:key/cas', (req, res) => {
+  const target = databankTarget(req, res, req.params.key);
+  if (!target) return;
+  if (req.body.value === undefined) {
+    return res.status(400).json({ error: 'Value required' });
+  }
+  
+  const existing = getDatabankEntry(target.namespace, target.key);
+  const matches = 'expected' in req.body
+    ? existing !== undefined && JSON.stringify(existing.value) === JSON.stringify(req.body.expected)
+    : existing === undefined;
+  if (!matches) {
+    return res.status(409).json({
+      error: existing ? 'Value has changed' : 'Key not found',
+      value: existing ? existing.value : null,
+      exists: Boolean(existing)
+    });
+  }
+  const entry = putDatabankEntry(target.namespace, target.key, req.body.value, target.ttl);
+  res.json({ success: true, key: target.key, entry: databankEntry(target.namespace, target.key, entry) });
+});
+
+// Data queries over sheets and databank values (see query.js for the query format)
+const QUERY_RESPONSE_ROWS = 1000;
+const QUERY_SAMPLE_ROWS = 100;
+
+// Databank sources are "<namespace>/<key>" or a key in the default namespace
+function loadQuerySource({ kind, name }) {
+  if (kind === 'databank') {
+    if (name === '*') {
+      return Object.entries(store.entries('databank'))
+        .filter(([, entry]) => !isExpired(entry))
+        .map(([id, entry]) => Object.assign(splitDatabankId(id), { value: entry.value }));
+    }
+    const { namespace, key } = splitDatabankId(name);
+    const entry = (isValidNamespace(namespace) && getDatabankEntry(namespace, key)) ||
+      getDatabankEntry(DEFAULT_NAMESPACE, name);
+    if (!entry) {
+      throw new Error(`Databank key not found: ${name}`);
+    }
+    return entry.value;
+  }
+  const sheet = store.get('datasheets', name);
+  if (sheet === undefined) {
+    throw new Error(`Data sheet not found: ${name}`);
+  }
+  return sheet.data;
+}
+
+// Keys seen in the first rows of an array of objects, for describing a source
+function sampleColumns(value) {
+  if (!Array.isArray(value)) return null;
+  const columns = [];
+  value.slice(0, QUERY_SAMPLE_ROWS).forEach(row => {
+    if (row !== null && typeof row === 'object' && !Array.isArray(row)) {
+      Object.keys(row).forEach(key => {
+        if (!columns.includes(key)) columns.push(key);
+      });
+    } else if (!columns.includes('value')) {
+      // Queries see other items as { value }
+      columns.push('value');
+    }
+  });
+  return columns;
+}
+
+// What can be queried: sheets and array-valued databank keys with their columns
+app.get('/api/query/sources', (req, res) => {
+  const sheets = Object.entries(store.entries('datasheets'))
+    .filter(([, sheet]) => Array.isArray(sheet.data))
+    .map(([id, sheet]) => ({ id, rows: sheet.data.length, columns: sampleColumns(sheet.data) }));
+  const databank = Object.entries(store.entries('databank'))
+    .filter(([, entry]) => Array.isArray(entry.value) && !isExpired(entry))
+    .map(([id, entry]) => ({ key: id, rows: entry.value.length, columns: sampleColumns(entry.value) }));
+  res.json({ success: true, sheets, databank });
+});
+
+// Run { query }. Responses hold the first 1000 rows; `saveAs` stores the whole result
+// as a sheet (`overwrite: true` to replace an existing one).
+app.post('/api/query', (req, res) => {
+  const { query, saveAs, overwrite } = req.body;
+  let result;
+  try {
+    result = runQuery(query, loadQuerySource);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  let saved;
+  if (saveAs !== undefined) {
+    if (!isValidKey(saveAs)) {
+      return res.status(400).json({ error: 'Sheet ID required' });
+    }
+    const existing = store.get('datasheets', saveAs);
+    if (existing && !overwrite) {
+      return res.status(409).json({ error: 'A data sheet with that ID already exists' });
+    }
+    const schema = checkSheet(res, { data: result.rows }, existing);
+    if (schema === undefined) return;
+    saved = sheetSummary(saveAs, saveSheet(saveAs, result.rows, schema));
+  }
+  
+  res.json({
+    success: true,
+    rows: result.rows.slice(0, QUERY_RESPONSE_ROWS),
+    count: result.rows.length,
+    total: result.total,
+    truncated: result.rows.length > QUERY_RESPONSE_ROWS,
+    sheet: saved
+  });
+});
+
+// Semantic search
+// Workspace files, data sheet rows and databank entries are chunked into a search index
+// (see search-index.js) stored in data/search/index.json and brought up to date before
+// each search. With EMBEDDINGS_PROVIDER set to a provider id, chunks and queries are
+// embedded by that provider and ranked by similarity; otherwise, or while the provider
+// is failing, results are ranked locally by BM25 keyword relevance.
+const SEARCH_INDEX_FILE = path.join(DATA_DIR, 'search', 'index.json');
+const SEARCH_SOURCES = ['files', 'sheets', 'databank'];
+const SEARCH_SKIP_DIRS = ['node_modules'];
+const SEARCH_MAX_FILE_BYTES = 1024 * 1024;
+const SEARCH_MAX_SHEET_ROWS = 5000;
+const SEARCH_MAX_RESULTS = 50;
+const EMBEDDING_BATCH_SIZE = 64;
+
+// { provider, model, key } for EMBEDDINGS_PROVIDER (EMBEDDINGS_MODEL overrides the
+// provider's embeddingModel), or null for BM25 only
+function loadEmbeddingsConfig() {
+  const id = process.env.EMBEDDINGS_PROVIDER;
+  if (!id) {
+    return null;
+  }
+  const provider = providers[id];
+  const model = process.env.EMBEDDINGS_MODEL || (provider && provider.embeddingModel);
+  if (!provider || !PROVIDER_FORMATS[provider.format].embed || !model) {
+    console.warn(`EMBEDDINGS_PROVIDER "${id}" has no embeddings model; search uses BM25 only`);
+    return null;
+  }
+  return { provider, model, key: `${id}:${model}` };
+}
+
+const embeddings = loadEmbeddingsConfig();
+const searchIndex = openIndex(SEARCH_INDEX_FILE);
+let searchRefresh = null;
+
+async function embedWithConfig(texts) {
+  const apiKey = resolveApiKey(embeddings.provider.id);
+  if (embeddings.provider.auth !== 'none' && !apiKey) {
+    throw new Error('No API key configured for ' + embeddings.provider.id);
+  }
+  return embedTexts(embeddings.provider, apiKey, embeddings.model, texts);
+}
+
+// Every text file of a project, leaving out hidden entries, dependencies and large files
+function searchableFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    if (HIDDEN_ENTRIES.includes(entry.name) || SEARCH_SKIP_DIRS.includes(entry.name)) {
+      return [];
+    }
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return searchableFiles(fullPath);
+    }
+    if (!entry.isFile()) {
+      return [];
+    }
+    const stats = fs.statSync(fullPath);
+    return stats.size <= SEARCH_MAX_FILE_BYTES ? [{ fullPath, stats }] : [];
+  });
+}
+
+// Binary files index as empty text
+function fileSearchText(fullPath) {
+  const content = fs.readFileSync(fullPath);
+  return content.includes(0) ? '' : content.toString('utf8');
+}
+
+// One line per row ("column: value; ...") so each row is its own chunk; other data as JSON
+function sheetSearchText(data) {
+  if (!Array.isArray(data)) {
+    return JSON.stringify(data, null, 2);
+  }
+  return data.slice(0, SEARCH_MAX_SHEET_ROWS).map(row => {
+    const text = row !== null && typeof row === 'object' && !Array.isArray(row)
+      ? Object.entries(row).map(([column, value]) => `${column}: ${cellSearchText(value)}`).join('; ')
+      : cellSearchText(row);
+    return text.replace(/\s*\n\s*/g, ' ');
+  }).join('\n');
+}
+
+function cellSearchText(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Everything searchable, in the shape search-index.js expects
+function searchDocuments() {
+  const documents = [];
+  fs.readdirSync(WORKSPACES_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && isValidProjectName(entry.name))
+    .forEach(({ name: project }) => {
+      searchableFiles(projectRoot(project)).forEach(({ fullPath, stats }) => {
+        const filePath = toProjectPath(project, fullPath);
+        documents.push({
+          id: `file:${project}/${filePath}`,
+          version: `${stats.mtimeMs}:${stats.size}`,
+          source: 'files',
+          title: `${project}/${filePath}`,
+          ref: { project, path: filePath },
+          load: () => fileSearchText(fullPath)
+        });
+      });
+    });
+  
+  Object.entries(store.entries('datasheets')).forEach(([id, sheet]) => {
+    documents.push({
+      id: `sheet:${id}`,
+      version: sheet.updatedAt,
+      source: 'sheets',
+      title: id,
+      ref: { id, rows: Array.isArray(sheet.data) },
+      chunkLines: Array.isArray(sheet.data) ? 1 : undefined,
+      load: () => sheetSearchText(sheet.data)
+    });
+  });
+  
+  Object.entries(store.entries('databank')).forEach(([id, entry]) => {
+    if (isExpired(entry)) return;
+    documents.push({
+      id: `databank:${id}`,
+      version: entry.updatedAt,
+      source: 'databank',
+      title: id,
+      ref: splitDatabankId(id),
+      load: () => `${id}\n${cellSearchText(entry.value)}`
+    });
+  });
+  return documents;
+}
+
+// Sync the index with the current content and embed chunks that have no vector yet.
+// Concurrent callers share one refresh. Resolves with the embeddings error, if any,
+// so the search can still answer by BM25.
+function refreshSearchIndex() {
+  if (!searchRefresh) {
+    searchRefresh = (async () => {
+      searchIndex.update(searchDocuments());
+      let embeddingsError = null;
+      if (embeddings) {
+        try {
+          const chunks = searchIndex.missingVectors(embeddings.key);
+          for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+            const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+            searchIndex.setVectors(batch, await embedWithConfig(batch.map(chunk => chunk.text)));
+          }
+        } catch (error) {
+          console.warn('Search embeddings failed, using BM25:', error.message);
+          embeddingsError = error;
+        }
+      }
+      searchIndex.save();
+      return embeddingsError;
+    })().finally(() => {
+      searchRefresh = null;
+    });
+  }
+  return searchRefresh;
+}
+
+// `line` is where the chunk starts: a line of the file or JSON text, or for sheets of
+// rows the 1-based row number
+function searchResult({ document, chunk, score }) {
+  return {
+    source: document.source,
+    title: document.title,
+    ref: document.ref,
+    line: chunk.line,
+    text: chunk.text,
+    score: Math.round(score * 10000) / 10000
+  };
+}
+
+// Search (?q=&limit=&sources=files,sheets,databank&project=). `project` limits file
+// results to one project. `mode` is how results were ranked: embeddings or bm25;
+// `warning` explains a fall back to bm25.
+app.get('/api/search', async (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!query) {
+    return res.status(400).json({ error: 'Search text required' });
+  }
+  const sources = req.query.sources ? String(req.query.sources).split(',') : SEARCH_SOURCES;
+  if (!sources.every(source => SEARCH_SOURCES.includes(source))) {
+    return res.status(400).json({ error: 'Sources must be any of ' + SEARCH_SOURCES.join(', ') });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), SEARCH_MAX_RESULTS);
+  const { project } = req.query;
+  
+  try {
+    let embeddingsError = await refreshSearchIndex();
+    let queryVector;
+    if (embeddings && !embeddingsError) {
+      try {
+        [queryVector] = await embedWithConfig([query]);
+      } catch (error) {
+        embeddingsError = error;
+      }
+    }
+    
+    const { mode, results } = searchIndex.search(query, {
+      limit,
+      queryVector,
+      model: embeddings && embeddings.key,
+      filter: document => sources.includes(document.source) &&
+        (!project || document.source !== 'files' || document.ref.project === project)
+    });
+    res.json({
+      success: true,
+      mode,
+      warning: embeddingsError ? embeddingsError.message : undefined,
+      results: results.map(searchResult)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Throw the index away and build it again from scratch
+app.post('/api/search/reindex', async (req, res) => {
+  try {
+    // Let a refresh that is already running finish before clearing under it
+    await refreshSearchIndex();
+    searchIndex.clear();
+    const embeddingsError = await refreshSearchIndex();
+    res.json({
+      success: true,
+      ...searchIndex.stats(),
+      warning: embeddingsError ? embeddingsError.message : undefined
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Backup and restore of all data sheets and databank entries
+function createBackup() {
+  return Object.assign({ createdAt: new Date().toISOString() }, store.snapshot());
+}
+
+app.get('/api/backup', (req, res) => {
+  const backup = createBackup();
+  res.attachment(`backup-${backup.createdAt.replace(/[:.]/g, '-')}.json`);
+  res.json(backup);
+});
+
+// Replace everything with a backup from GET /api/backup. The data it replaces is
+// kept in data/backups/ so a restore can be undone.
+app.post('/api/backup/restore', (req, res) => {
+  // Keep the current data before replacing it; if it cannot be saved, nothing is restored
+  const current = createBackup();
+  const savedAs = path.join(BACKUPS_DIR, `pre-restore-${current.createdAt.replace(/[:.]/g, '-')}.json`);
+  try {
+    fs.mkdirSync(BACKUPS_DIR, { recursive: true, mode: 0o755 });
+    writeFileAtomic(savedAs, JSON.stringify(current, null, 2));
+  } catch (error) {
+    return res.status(500).json({ error: 'Could not save the current data, so nothing was restored: ' + error.message });
+  }
+  
+  try {
+    store.restore(req.body);
+  } catch (error) {
+    // The data was left as it was, so its copy is not needed
+    fs.rmSync(savedAs, { force: true });
+    return res.status(400).json({ error: error.message });
+  }
+  
+  const { collections } = store.snapshot();
+  res.json({
+    success: true,
+    datasheets: Object.keys(collections.datasheets || {}).length,
+    databank: Object.keys(collections.databank || {}).length,
+    previous: path.relative(__dirname, savedAs)
+  });
 });
 
 // Start server
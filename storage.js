@@ -0,0 +1,226 @@
+// Persistent storage for server data such as data sheets and the databank.
+//
+// A store is a set of named collections of key → JSON value, kept in memory and
+// persisted to an append-only log of JSON lines. The first line is a header with
+// the data format version; every later line records one change:
+//   {"op":"set","collection":"datasheets","key":"sales","value":[...]}
+//   {"op":"delete","collection":"databank","key":"old"}
+//
+// Appends are a single write followed by fsync, so a crash can at worst leave a
+// torn last line, which is dropped when the log is replayed. Compaction, migrations
+// and restores write a complete new log to a temporary file and rename it into
+// place, so the log on disk is never half rewritten.
+const fs = require('fs');
+const path = require('path');
+
+const HEADER_OP = 'header';
+const COMPACT_MIN_RECORDS = 1000;
+
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempPath, 'w', 0o600);
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+function applyRecord(collections, record) {
+  if (!collections.has(record.collection)) {
+    collections.set(record.collection, new Map());
+  }
+  const collection = collections.get(record.collection);
+  if (record.op === 'set') {
+    collection.set(record.key, record.value);
+  } else if (record.op === 'delete') {
+    collection.delete(record.key);
+  }
+}
+
+// Replay a log file: { version, collections, records, torn }
+function readLog(filePath) {
+  const state = { version: 0, collections: new Map(), records: 0, torn: false };
+  if (!fs.existsSync(filePath)) {
+    return state;
+  }
+  
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      // Only the final line can be torn by a crash; anything else is corruption
+      if (index === lines.length - 1) {
+        state.torn = true;
+        return;
+      }
+      throw new Error(`Corrupt storage log ${filePath} at line ${index + 1}`);
+    }
+    
+    if (record.op === HEADER_OP) {
+      state.version = record.version;
+    } else {
+      applyRecord(state.collections, record);
+      state.records++;
+    }
+  });
+  return state;
+}
+
+function collectionsToObject(collections) {
+  const result = {};
+  collections.forEach((collection, name) => {
+    result[name] = Object.fromEntries(collection);
+  });
+  return result;
+}
+
+function collectionsFromObject(object) {
+  const collections = new Map();
+  Object.entries(object || {}).forEach(([name, entries]) => {
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new Error(`Collection "${name}" must be an object of key/value pairs`);
+    }
+    collections.set(name, new Map(Object.entries(entries)));
+  });
+  return collections;
+}
+
+// Open (creating if needed) the store at `filePath`.
+// `migrations` is a list of { version, migrate(collections) } run in order on data
+// older than their version; `collections` is a Map of name → Map(key → value).
+// `validate(collections)`, when given, throws if restored data (after migrating) is
+// not in the shape the caller expects, so a bad backup is rejected before it replaces
+// anything.
+function openStore(filePath, migrations = [], validate = () => {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o755 });
+  
+  const latestVersion = migrations.reduce((version, migration) => Math.max(version, migration.version), 0);
+  let { version, collections, records, torn } = readLog(filePath);
+  
+  function migrate(fromVersion, data) {
+    if (fromVersion > latestVersion) {
+      throw new Error(`Storage format version ${fromVersion} is newer than this server supports (${latestVersion})`);
+    }
+    migrations
+      .filter(migration => migration.version > fromVersion)
+      .sort((a, b) => a.version - b.version)
+      .forEach(migration => {
+        console.log(`Migrating ${path.basename(filePath)} to format version ${migration.version}`);
+        migration.migrate(data);
+      });
+  }
+  
+  // Rewrite the log as a header plus one `set` per live entry
+  function compact() {
+    const lines = [JSON.stringify({ op: HEADER_OP, version: latestVersion })];
+    collections.forEach((collection, name) => {
+      collection.forEach((value, key) => {
+        lines.push(JSON.stringify({ op: 'set', collection: name, key, value }));
+      });
+    });
+    writeFileAtomic(filePath, lines.join('\n') + '\n');
+    records = lines.length - 1;
+  }
+  
+  function append(record) {
+    const fd = fs.openSync(filePath, 'a', 0o600);
+    try {
+      fs.writeSync(fd, JSON.stringify(record) + '\n');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    records++;
+  }
+  
+  function collection(name) {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  }
+  
+  // Compact once overwritten and deleted entries make up most of the log
+  function maybeCompact() {
+    let live = 0;
+    collections.forEach(entries => {
+      live += entries.size;
+    });
+    if (records >= COMPACT_MIN_RECORDS && records > live * 2) {
+      compact();
+    }
+  }
+  
+  // Startup: bring old data up to date, and never append after a torn line
+  if (torn) {
+    console.warn(`Dropped an incomplete last record from ${path.basename(filePath)}`);
+  }
+  if (version !== latestVersion || torn || !fs.existsSync(filePath)) {
+    migrate(version, collections);
+    compact();
+  }
+  
+  return {
+    get(name, key) {
+      return collection(name).get(key);
+    },
+    
+    has(name, key) {
+      return collection(name).has(key);
+    },
+    
+    keys(name) {
+      return Array.from(collection(name).keys());
+    },
+    
+    // Plain object copy of a collection
+    entries(name) {
+      return Object.fromEntries(collection(name));
+    },
+    
+    set(name, key, value) {
+      append({ op: 'set', collection: name, key, value });
+      collection(name).set(key, value);
+      maybeCompact();
+      return value;
+    },
+    
+    delete(name, key) {
+      if (!collection(name).has(key)) {
+        return false;
+      }
+      append({ op: 'delete', collection: name, key });
+      collection(name).delete(key);
+      maybeCompact();
+      return true;
+    },
+    
+    // Everything in the store, e.g. for backups: { version, collections: { name: { key: value } } }
+    snapshot() {
+      return { version: latestVersion, collections: collectionsToObject(collections) };
+    },
+    
+    // Replace the whole store with a snapshot (older versions are migrated first)
+    restore(snapshot) {
+      if (!snapshot || typeof snapshot !== 'object' || typeof snapshot.version !== 'number') {
+        throw new Error('Backup must have a numeric version and collections');
+      }
+      const restored = collectionsFromObject(snapshot.collections);
+      migrate(snapshot.version, restored);
+      validate(restored);
+      collections = restored;
+      compact();
+    },
+    
+    compact
+  };
+}
+
+module.exports = { openStore, writeFileAtomic };